@@ -1,31 +1,49 @@
 /**
  * Availability Controller
- * Handles parking space availability schedules and conflict detection
+ * Handles parking space availability schedules, dated overrides and conflict detection
  */
 
 const SpaceAvailability = require('../models/SpaceAvailability');
+const AvailabilityOverride = require('../models/AvailabilityOverride');
 const ParkingSpace = require('../models/ParkingSpace');
 const Owner = require('../models/Owner');
+const Booking = require('../models/Booking');
 const { success, error } = require('../utils/responseHelper');
 const errorCodes = require('../utils/errorCodes');
+const { toMinutes, isOvernight, windowsOverlap, checkSchedule, findOverrides } = require('../utils/availabilityHelpers');
+const { INACTIVE_BOOKING_STATUSES } = require('../utils/bookingHelpers');
+const { markSpaceForWaitlist } = require('../utils/waitlist');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest date range a single override can cover
+const MAX_OVERRIDE_DAYS = 366;
 
 /**
- * Helper function to check time conflicts
+ * Helper function to validate a window's time range
+ * available_to before available_from makes an overnight window; equal times are ambiguous
  */
-const hasTimeConflict = (start1, end1, start2, end2) => {
-  // Convert HH:MM to minutes for easier comparison
-  const toMinutes = (time) => {
-    const [hours, minutes] = time.split(':').map(Number);
-    return hours * 60 + minutes;
-  };
+const isValidTimeRange = (availableFrom, availableTo) => toMinutes(availableFrom) !== toMinutes(availableTo, true) &&
+  toMinutes(availableFrom) !== toMinutes(availableTo);
 
-  const s1 = toMinutes(start1);
-  const e1 = toMinutes(end1);
-  const s2 = toMinutes(start2);
-  const e2 = toMinutes(end2);
+/**
+ * Helper function to describe a conflicting schedule
+ */
+const describeConflict = (schedule) => ({
+  id: schedule._id,
+  day_of_week: schedule.day_of_week,
+  available_from: schedule.available_from,
+  available_to: schedule.available_to
+});
 
-  // Check if ranges overlap
-  return (s1 < e2 && e1 > s2);
+/**
+ * Helper function to unlink a space from its availability template
+ * A schedule edited by hand no longer follows the template, so propagating
+ * the template later will not overwrite the edit.
+ */
+const detachTemplate = async (parkingSpace) => {
+  if (!parkingSpace.availability_template_id) return;
+  await ParkingSpace.updateOne({ _id: parkingSpace._id }, { $set: { availability_template_id: null } });
 };
 
 /**
@@ -88,29 +106,19 @@ exports.createAvailability = async (req, res, next) => {
       }
     }
 
-    // Validate time range
-    const fromMinutes = parseInt(available_from.split(':')[0]) * 60 + parseInt(available_from.split(':')[1]);
-    const toMinutes = parseInt(available_to.split(':')[0]) * 60 + parseInt(available_to.split(':')[1]);
-
-    if (fromMinutes >= toMinutes) {
-      return error(res, errorCodes.REQ_VALIDATION, 400, 'available_from must be before available_to');
+    // Validate time range (available_to before available_from runs overnight)
+    if (!isValidTimeRange(available_from, available_to)) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'available_from and available_to cannot be the same time');
     }
 
     // Check for conflicts with existing schedules
-    const existingSchedules = await SpaceAvailability.find({
-      space_id: spaceId,
-      day_of_week: day_of_week
-    });
+    // Overnight windows run into the next day, so every day of the week is compared
+    const existingSchedules = await SpaceAvailability.find({ space_id: spaceId });
 
     for (const schedule of existingSchedules) {
-      if (hasTimeConflict(available_from, available_to, schedule.available_from, schedule.available_to)) {
+      if (windowsOverlap({ day_of_week, available_from, available_to }, schedule)) {
         return error(res, errorCodes.BIZ_CONFLICT, 409, 'Time slot conflicts with existing availability', {
-          conflicting_schedule: {
-            id: schedule._id,
-            day_of_week: schedule.day_of_week,
-            available_from: schedule.available_from,
-            available_to: schedule.available_to
-          }
+          conflicting_schedule: describeConflict(schedule)
         });
       }
     }
@@ -124,6 +132,9 @@ exports.createAvailability = async (req, res, next) => {
       is_available: is_available !== undefined ? is_available : true
     });
 
+    await detachTemplate(parkingSpace);
+    await markSpaceForWaitlist(parkingSpace._id);
+
     return success(res, { availability }, null, 201);
   } catch (err) {
     console.error('Create availability error:', err);
@@ -171,29 +182,20 @@ exports.updateAvailability = async (req, res, next) => {
     const newTo = available_to || availability.available_to;
     const newDay = day_of_week !== undefined ? day_of_week : availability.day_of_week;
 
-    const fromMinutes = parseInt(newFrom.split(':')[0]) * 60 + parseInt(newFrom.split(':')[1]);
-    const toMinutes = parseInt(newTo.split(':')[0]) * 60 + parseInt(newTo.split(':')[1]);
-
-    if (fromMinutes >= toMinutes) {
-      return error(res, errorCodes.REQ_VALIDATION, 400, 'available_from must be before available_to');
+    if (!isValidTimeRange(newFrom, newTo)) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'available_from and available_to cannot be the same time');
     }
 
-    // Check for conflicts (excluding current schedule)
+    // Check for conflicts (excluding current schedule), including overnight windows on adjacent days
     const existingSchedules = await SpaceAvailability.find({
       _id: { $ne: id },
-      space_id: availability.space_id,
-      day_of_week: newDay
+      space_id: availability.space_id
     });
 
     for (const schedule of existingSchedules) {
-      if (hasTimeConflict(newFrom, newTo, schedule.available_from, schedule.available_to)) {
+      if (windowsOverlap({ day_of_week: newDay, available_from: newFrom, available_to: newTo }, schedule)) {
         return error(res, errorCodes.BIZ_CONFLICT, 409, 'Time slot conflicts with existing availability', {
-          conflicting_schedule: {
-            id: schedule._id,
-            day_of_week: schedule.day_of_week,
-            available_from: schedule.available_from,
-            available_to: schedule.available_to
-          }
+          conflicting_schedule: describeConflict(schedule)
         });
       }
     }
@@ -205,6 +207,8 @@ exports.updateAvailability = async (req, res, next) => {
     if (is_available !== undefined) availability.is_available = is_available;
 
     await availability.save();
+    await detachTemplate(parkingSpace);
+    await markSpaceForWaitlist(parkingSpace._id);
 
     return success(res, { availability });
   } catch (err) {
@@ -249,6 +253,8 @@ exports.deleteAvailability = async (req, res, next) => {
 
     // Delete availability
     await SpaceAvailability.findByIdAndDelete(id);
+    await detachTemplate(parkingSpace);
+    await markSpaceForWaitlist(parkingSpace._id);
 
     return success(res, { message: 'Availability schedule deleted successfully' });
   } catch (err) {
@@ -308,34 +314,25 @@ exports.bulkCreateAvailability = async (req, res, next) => {
           continue;
         }
 
-        // Validate time range
-        const fromMinutes = parseInt(available_from.split(':')[0]) * 60 + parseInt(available_from.split(':')[1]);
-        const toMinutes = parseInt(available_to.split(':')[0]) * 60 + parseInt(available_to.split(':')[1]);
-
-        if (fromMinutes >= toMinutes) {
+        // Validate time range (available_to before available_from runs overnight)
+        if (!isValidTimeRange(available_from, available_to)) {
           errors.push({
             index: i,
             schedule,
-            error: 'available_from must be before available_to'
+            error: 'available_from and available_to cannot be the same time'
           });
           continue;
         }
 
-        // Check for conflicts with existing schedules
+        // Check for conflicts with existing schedules, including overnight windows on adjacent days
         let hasConflict = false;
         for (const existing of existingSchedules) {
-          if (existing.day_of_week === day_of_week &&
-              hasTimeConflict(available_from, available_to, existing.available_from, existing.available_to)) {
+          if (windowsOverlap(schedule, existing)) {
             errors.push({
               index: i,
               schedule,
               error: 'Conflicts with existing schedule',
-              conflicting_schedule: {
-                id: existing._id,
-                day_of_week: existing.day_of_week,
-                available_from: existing.available_from,
-                available_to: existing.available_to
-              }
+              conflicting_schedule: describeConflict(existing)
             });
             hasConflict = true;
             break;
@@ -346,8 +343,7 @@ exports.bulkCreateAvailability = async (req, res, next) => {
 
         // Check for conflicts with newly created schedules
         for (const created of createdSchedules) {
-          if (created.day_of_week === day_of_week &&
-              hasTimeConflict(available_from, available_to, created.available_from, created.available_to)) {
+          if (windowsOverlap(schedule, created)) {
             errors.push({
               index: i,
               schedule,
@@ -379,6 +375,11 @@ exports.bulkCreateAvailability = async (req, res, next) => {
       }
     }
 
+    if (createdSchedules.length > 0) {
+      await detachTemplate(parkingSpace);
+      await markSpaceForWaitlist(parkingSpace._id);
+    }
+
     return success(res, {
       created: createdSchedules,
       created_count: createdSchedules.length,
@@ -420,24 +421,21 @@ exports.checkConflicts = async (req, res, next) => {
       }
     }
 
-    // Build filter
-    const filter = {
-      space_id: spaceId,
-      day_of_week: day_of_week
-    };
+    // Build filter - every day, since overnight windows reach into adjacent days
+    const filter = { space_id: spaceId };
 
     // Exclude specific ID if provided (useful for update operations)
     if (exclude_id) {
       filter._id = { $ne: exclude_id };
     }
 
-    // Get existing schedules for that day
+    // Get existing schedules
     const existingSchedules = await SpaceAvailability.find(filter);
 
     // Check for conflicts
     const conflicts = [];
     for (const schedule of existingSchedules) {
-      if (hasTimeConflict(available_from, available_to, schedule.available_from, schedule.available_to)) {
+      if (windowsOverlap({ day_of_week, available_from, available_to }, schedule)) {
         conflicts.push({
           id: schedule._id,
           day_of_week: schedule.day_of_week,
@@ -454,7 +452,8 @@ exports.checkConflicts = async (req, res, next) => {
       checked_time: {
         day_of_week,
         available_from,
-        available_to
+        available_to,
+        overnight: isOvernight({ available_from, available_to })
       }
     });
   } catch (err) {
@@ -462,3 +461,339 @@ exports.checkConflicts = async (req, res, next) => {
     return error(res, errorCodes.SERVER_ERROR, 500, 'Error checking conflicts');
   }
 };
+
+/**
+ * Helper function to load a parking space the current user manages
+ * @returns {Object} { space } or { failure: { code, status, message } }
+ */
+const loadManagedSpace = async (req, spaceId) => {
+  const space = await ParkingSpace.findById(spaceId);
+  if (!space) {
+    return { failure: { code: errorCodes.NOT_FOUND, status: 404, message: 'Parking space not found' } };
+  }
+
+  if (req.user.user_type !== 'admin') {
+    const owner = await Owner.findOne({ user_id: req.user._id });
+    if (!owner || space.owner_id.toString() !== owner._id.toString()) {
+      return { failure: { code: errorCodes.AUTH_FORBIDDEN, status: 403, message: 'Not authorized to manage this parking space' } };
+    }
+  }
+
+  return { space };
+};
+
+/**
+ * Helper function to check a YYYY-MM-DD calendar date
+ */
+const isValidDate = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Helper function to validate an override's type, dates and windows
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateOverride = ({ override_type, start_date, end_date, windows }) => {
+  if (!['blackout', 'extra', 'replace'].includes(override_type)) {
+    return 'override_type must be one of: blackout, extra, replace';
+  }
+
+  if (!isValidDate(start_date) || !isValidDate(end_date)) {
+    return 'start_date and end_date must be valid dates in YYYY-MM-DD format';
+  }
+
+  if (end_date < start_date) {
+    return 'end_date cannot be before start_date';
+  }
+
+  const days = (new Date(`${end_date}T00:00:00Z`) - new Date(`${start_date}T00:00:00Z`)) / DAY_MS + 1;
+  if (days > MAX_OVERRIDE_DAYS) {
+    return `An override can cover at most ${MAX_OVERRIDE_DAYS} days`;
+  }
+
+  if (!Array.isArray(windows)) {
+    return 'windows must be an array';
+  }
+
+  if (override_type === 'blackout') {
+    return windows.length > 0 ? 'Blackouts close the whole day and take no windows' : null;
+  }
+
+  if (windows.length === 0) {
+    return `A${override_type === 'extra' ? 'n extra' : ' replace'} override needs at least one window`;
+  }
+
+  const timePattern = /^([01]\d|2[0-3]):([0-5]\d)$/;
+  for (const window of windows) {
+    if (!window || !timePattern.test(window.available_from) || !timePattern.test(window.available_to)) {
+      return 'Each window needs available_from and available_to in HH:MM format (24-hour)';
+    }
+
+    if (!isValidTimeRange(window.available_from, window.available_to)) {
+      return 'available_from and available_to cannot be the same time';
+    }
+  }
+
+  for (let i = 0; i < windows.length; i++) {
+    for (let j = i + 1; j < windows.length; j++) {
+      if (windowsOverlap(windows[i], windows[j])) {
+        return 'Override windows cannot overlap each other';
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Helper function to find a blackout or replacement on overlapping dates
+ * Extra windows may stack, but each date has at most one blackout or replacement.
+ */
+const findOverlappingOverride = (spaceId, override, excludeId = null) => {
+  if (override.override_type === 'extra') return null;
+
+  const filter = {
+    space_id: spaceId,
+    override_type: { $in: ['blackout', 'replace'] },
+    start_date: { $lte: override.end_date },
+    end_date: { $gte: override.start_date }
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  return AvailabilityOverride.findOne(filter);
+};
+
+/**
+ * Helper function to list upcoming bookings the space's schedule no longer covers
+ * They are reported to the owner, not cancelled.
+ */
+const findDisplacedBookings = async (spaceId, startDate, endDate) => {
+  const rangeStart = new Date(Math.max(Date.now(), new Date(`${startDate}T00:00:00Z`).getTime()));
+  const rangeEnd = new Date(new Date(`${endDate}T00:00:00Z`).getTime() + DAY_MS);
+  if (rangeStart >= rangeEnd) return [];
+
+  const bookings = await Booking.find({
+    space_id: spaceId,
+    status: { $nin: INACTIVE_BOOKING_STATUSES },
+    start_time: { $lt: rangeEnd },
+    end_time: { $gt: rangeStart }
+  })
+    .select('booking_number start_time end_time status')
+    .sort({ start_time: 1 });
+
+  if (bookings.length === 0) return [];
+
+  const schedules = await SpaceAvailability.find({ space_id: spaceId });
+  const overrides = await findOverrides(spaceId, bookings[0].start_time, bookings.reduce((max, b) => b.end_time > max ? b.end_time : max, rangeEnd));
+
+  return bookings
+    .filter(booking => !checkSchedule(schedules, booking.start_time, booking.end_time, overrides).available)
+    .map(booking => ({
+      booking_number: booking.booking_number,
+      status: booking.status,
+      start_time: booking.start_time,
+      end_time: booking.end_time
+    }));
+};
+
+/**
+ * @desc    Get dated availability overrides for a parking space
+ * @route   GET /api/availability/space/:spaceId/overrides
+ * @access  Public
+ */
+exports.getSpaceOverrides = async (req, res, next) => {
+  try {
+    const { spaceId } = req.params;
+    const { from, to, override_type } = req.query;
+
+    const parkingSpace = await ParkingSpace.findById(spaceId);
+    if (!parkingSpace) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Parking space not found');
+    }
+
+    // Past overrides are left out unless asked for
+    const fromDate = from || new Date().toISOString().slice(0, 10);
+    if (!isValidDate(fromDate) || (to && !isValidDate(to))) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'from and to must be dates in YYYY-MM-DD format');
+    }
+
+    const filter = { space_id: spaceId, end_date: { $gte: fromDate } };
+    if (to) filter.start_date = { $lte: to };
+    if (override_type) filter.override_type = override_type;
+
+    const overrides = await AvailabilityOverride.find(filter).sort({ start_date: 1 });
+
+    return success(res, {
+      space_id: spaceId,
+      overrides,
+      total: overrides.length
+    });
+  } catch (err) {
+    console.error('Get availability overrides error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error fetching availability overrides');
+  }
+};
+
+/**
+ * @desc    Create a dated availability override (blackout, extra or replacement windows)
+ * @route   POST /api/availability/space/:spaceId/overrides
+ * @access  Private/Owner
+ */
+exports.createOverride = async (req, res, next) => {
+  try {
+    const { spaceId } = req.params;
+    const { override_type, start_date, end_date, windows, reason } = req.body;
+
+    const { failure } = await loadManagedSpace(req, spaceId);
+    if (failure) {
+      return error(res, failure.code, failure.status, failure.message);
+    }
+
+    const override = {
+      override_type,
+      start_date,
+      end_date: end_date || start_date,
+      windows: windows || [],
+      reason
+    };
+
+    const validationError = validateOverride(override);
+    if (validationError) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, validationError);
+    }
+
+    const overlapping = await findOverlappingOverride(spaceId, override);
+    if (overlapping) {
+      return error(res, errorCodes.REQ_CONFLICT, 409, `Dates overlap an existing ${overlapping.override_type} override`, {
+        conflicting_override: overlapping
+      });
+    }
+
+    const created = await AvailabilityOverride.create({ space_id: spaceId, ...override });
+
+    // Extra and replacement windows can open time waitlisted drivers are after
+    if (created.override_type !== 'blackout') {
+      await markSpaceForWaitlist(spaceId);
+    }
+
+    return success(res, {
+      override: created,
+      conflicts: await findDisplacedBookings(spaceId, created.start_date, created.end_date)
+    }, null, 201);
+  } catch (err) {
+    console.error('Create availability override error:', err);
+
+    if (err.name === 'ValidationError') {
+      return error(res, errorCodes.REQ_VALIDATION, 400, err.message);
+    }
+
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error creating availability override');
+  }
+};
+
+/**
+ * @desc    Update a dated availability override
+ * @route   PUT /api/availability/overrides/:id
+ * @access  Private/Owner
+ */
+exports.updateOverride = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { override_type, start_date, end_date, windows, reason } = req.body;
+
+    const override = await AvailabilityOverride.findById(id);
+    if (!override) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Availability override not found');
+    }
+
+    const { failure } = await loadManagedSpace(req, override.space_id);
+    if (failure) {
+      return error(res, failure.code, failure.status, failure.message);
+    }
+
+    const oldStartDate = override.start_date;
+    const oldEndDate = override.end_date;
+
+    if (override_type) override.override_type = override_type;
+    if (start_date) override.start_date = start_date;
+    if (end_date) override.end_date = end_date;
+    if (windows !== undefined) override.windows = windows;
+    if (reason !== undefined) override.reason = reason;
+
+    // Switching to a blackout drops the windows it no longer uses
+    if (override.override_type === 'blackout' && windows === undefined) {
+      override.windows = [];
+    }
+
+    const validationError = validateOverride({
+      override_type: override.override_type,
+      start_date: override.start_date,
+      end_date: override.end_date,
+      windows: windows !== undefined ? windows : override.windows
+    });
+    if (validationError) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, validationError);
+    }
+
+    const overlapping = await findOverlappingOverride(override.space_id, override, override._id);
+    if (overlapping) {
+      return error(res, errorCodes.REQ_CONFLICT, 409, `Dates overlap an existing ${overlapping.override_type} override`, {
+        conflicting_override: overlapping
+      });
+    }
+
+    await override.save();
+    await markSpaceForWaitlist(override.space_id);
+
+    // Bookings on both the old and the new dates may be affected
+    const conflicts = await findDisplacedBookings(
+      override.space_id,
+      oldStartDate < override.start_date ? oldStartDate : override.start_date,
+      oldEndDate > override.end_date ? oldEndDate : override.end_date
+    );
+
+    return success(res, { override, conflicts });
+  } catch (err) {
+    console.error('Update availability override error:', err);
+
+    if (err.name === 'ValidationError') {
+      return error(res, errorCodes.REQ_VALIDATION, 400, err.message);
+    }
+
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error updating availability override');
+  }
+};
+
+/**
+ * @desc    Delete a dated availability override
+ * @route   DELETE /api/availability/overrides/:id
+ * @access  Private/Owner
+ */
+exports.deleteOverride = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const override = await AvailabilityOverride.findById(id);
+    if (!override) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Availability override not found');
+    }
+
+    const { failure } = await loadManagedSpace(req, override.space_id);
+    if (failure) {
+      return error(res, failure.code, failure.status, failure.message);
+    }
+
+    await AvailabilityOverride.findByIdAndDelete(id);
+    await markSpaceForWaitlist(override.space_id);
+
+    // Removing extra or replacement windows can leave bookings uncovered
+    const conflicts = await findDisplacedBookings(override.space_id, override.start_date, override.end_date);
+
+    return success(res, { message: 'Availability override deleted successfully', conflicts });
+  } catch (err) {
+    console.error('Delete availability override error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error deleting availability override');
+  }
+};
@@ -0,0 +1,456 @@
+/**
+ * Availability Templates Controller
+ * Handles named weekly schedules owners apply to many spaces or whole properties
+ */
+
+const AvailabilityTemplate = require('../models/AvailabilityTemplate');
+const SpaceAvailability = require('../models/SpaceAvailability');
+const ParkingSpace = require('../models/ParkingSpace');
+const Property = require('../models/Property');
+const Owner = require('../models/Owner');
+const Booking = require('../models/Booking');
+const { success, error } = require('../utils/responseHelper');
+const errorCodes = require('../utils/errorCodes');
+const { isValidObjectId } = require('../utils/validators');
+const { windowsOverlap, checkSchedule, findOverrides } = require('../utils/availabilityHelpers');
+const { INACTIVE_BOOKING_STATUSES } = require('../utils/bookingHelpers');
+const { markSpaceForWaitlist } = require('../utils/waitlist');
+
+// Most spaces a single apply request can target
+const MAX_APPLY_SPACES = 200;
+
+/**
+ * Helper function to resolve the owner a template request acts for
+ * Owners act for themselves; admins name the owner with owner_id.
+ * @returns {Object} { ownerId } or { failure: { code, status, message } }
+ */
+const resolveOwner = async (req, ownerIdParam) => {
+  if (req.user.user_type === 'admin') {
+    if (ownerIdParam && !isValidObjectId(ownerIdParam)) {
+      return { failure: { code: errorCodes.REQ_INVALID_FORMAT, status: 400, message: 'Invalid owner_id' } };
+    }
+    return { ownerId: ownerIdParam || null };
+  }
+
+  const owner = await Owner.findOne({ user_id: req.user._id });
+  if (!owner) {
+    return { failure: { code: errorCodes.AUTH_FORBIDDEN, status: 403, message: 'Only owners can manage availability templates' } };
+  }
+
+  return { ownerId: owner._id };
+};
+
+/**
+ * Helper function to load a template the current user manages
+ * @returns {Object} { template } or { failure: { code, status, message } }
+ */
+const loadManagedTemplate = async (req, id) => {
+  const template = await AvailabilityTemplate.findById(id);
+  if (!template) {
+    return { failure: { code: errorCodes.NOT_FOUND, status: 404, message: 'Availability template not found' } };
+  }
+
+  if (req.user.user_type !== 'admin') {
+    const owner = await Owner.findOne({ user_id: req.user._id });
+    if (!owner || template.owner_id.toString() !== owner._id.toString()) {
+      return { failure: { code: errorCodes.AUTH_FORBIDDEN, status: 403, message: 'Not authorized to manage this availability template' } };
+    }
+  }
+
+  return { template };
+};
+
+/**
+ * Helper function to validate a template's weekly windows
+ * Same rules as bulk-creating a space's schedule: overnight windows are
+ * allowed, equal times and overlapping windows are not.
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateWindows = (windows) => {
+  if (!Array.isArray(windows) || windows.length === 0) {
+    return 'windows must be a non-empty array';
+  }
+
+  const timePattern = /^([01]\d|2[0-3]):([0-5]\d)$/;
+  for (const window of windows) {
+    if (!window || !Number.isInteger(window.day_of_week) || window.day_of_week < 0 || window.day_of_week > 6) {
+      return 'Each window needs day_of_week between 0 (Sunday) and 6 (Saturday)';
+    }
+
+    if (!timePattern.test(window.available_from) || !timePattern.test(window.available_to)) {
+      return 'Each window needs available_from and available_to in HH:MM format (24-hour)';
+    }
+
+    if (window.available_from === window.available_to) {
+      return 'available_from and available_to cannot be the same time';
+    }
+
+    if (window.is_available !== undefined && typeof window.is_available !== 'boolean') {
+      return 'is_available must be a boolean';
+    }
+  }
+
+  for (let i = 0; i < windows.length; i++) {
+    for (let j = i + 1; j < windows.length; j++) {
+      if (windowsOverlap(windows[i], windows[j])) {
+        return 'Template windows cannot overlap each other';
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Helper function to normalize windows before storing or applying them
+ */
+const normalizeWindows = (windows) => windows.map(window => ({
+  day_of_week: window.day_of_week,
+  available_from: window.available_from,
+  available_to: window.available_to,
+  is_available: window.is_available !== undefined ? window.is_available : true
+}));
+
+/**
+ * Helper function to list upcoming bookings a weekly schedule would not cover
+ * The space's dated overrides still apply on top of the new schedule.
+ * They are reported to the owner, not cancelled.
+ */
+const findBookingsOutsideSchedule = async (spaceId, windows) => {
+  const bookings = await Booking.find({
+    space_id: spaceId,
+    status: { $nin: INACTIVE_BOOKING_STATUSES },
+    end_time: { $gt: new Date() }
+  })
+    .select('booking_number start_time end_time status')
+    .sort({ start_time: 1 });
+
+  if (bookings.length === 0) return [];
+
+  const latestEnd = bookings.reduce((max, b) => b.end_time > max ? b.end_time : max, bookings[0].end_time);
+  const overrides = await findOverrides(spaceId, bookings[0].start_time, latestEnd);
+
+  return bookings
+    .filter(booking => !checkSchedule(windows, booking.start_time, booking.end_time, overrides).available)
+    .map(booking => ({
+      booking_number: booking.booking_number,
+      status: booking.status,
+      start_time: booking.start_time,
+      end_time: booking.end_time
+    }));
+};
+
+/**
+ * Helper function to check every target space against a schedule
+ * @returns {Array<Object>} { space_id, space_number, property_id, conflicts }
+ */
+const previewSpaces = async (spaces, windows) => {
+  const results = [];
+
+  for (const space of spaces) {
+    results.push({
+      space_id: space._id,
+      space_number: space.space_number,
+      property_id: space.property_id,
+      conflicts: await findBookingsOutsideSchedule(space._id, windows)
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Helper function to replace each space's weekly schedule with the template's windows
+ */
+const replaceSchedules = async (spaces, template) => {
+  for (const space of spaces) {
+    await SpaceAvailability.deleteMany({ space_id: space._id });
+    await SpaceAvailability.insertMany(template.windows.map(window => ({
+      space_id: space._id,
+      day_of_week: window.day_of_week,
+      available_from: window.available_from,
+      available_to: window.available_to,
+      is_available: window.is_available
+    })));
+    await ParkingSpace.updateOne({ _id: space._id }, { $set: { availability_template_id: template._id } });
+    await markSpaceForWaitlist(space._id);
+  }
+};
+
+/**
+ * Helper function to summarize a preview or propagation
+ */
+const summarizeSpaces = (results) => ({
+  spaces: results,
+  space_count: results.length,
+  conflict_count: results.reduce((sum, result) => sum + result.conflicts.length, 0)
+});
+
+/**
+ * @desc    Get availability templates
+ * @route   GET /api/availability/templates
+ * @access  Private/Owner
+ */
+exports.getTemplates = async (req, res, next) => {
+  try {
+    const { ownerId, failure } = await resolveOwner(req, req.query.owner_id);
+    if (failure) {
+      return error(res, failure.code, failure.status, failure.message);
+    }
+
+    const filter = ownerId ? { owner_id: ownerId } : {};
+    const templates = await AvailabilityTemplate.find(filter).sort({ name: 1 });
+
+    const templatesWithSpaces = await Promise.all(
+      templates.map(async (template) => {
+        const templateData = template.toObject();
+        templateData.linked_space_count = await ParkingSpace.countDocuments({ availability_template_id: template._id });
+        return templateData;
+      })
+    );
+
+    return success(res, { templates: templatesWithSpaces });
+  } catch (err) {
+    console.error('Get availability templates error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error fetching availability templates');
+  }
+};
+
+/**
+ * @desc    Get availability template by ID with its linked spaces
+ * @route   GET /api/availability/templates/:id
+ * @access  Private/Owner
+ */
+exports.getTemplateById = async (req, res, next) => {
+  try {
+    const { template, failure } = await loadManagedTemplate(req, req.params.id);
+    if (failure) {
+      return error(res, failure.code, failure.status, failure.message);
+    }
+
+    const linkedSpaces = await ParkingSpace.find({ availability_template_id: template._id })
+      .select('space_number property_id status is_available')
+      .sort({ space_number: 1 });
+
+    return success(res, { template, linked_spaces: linkedSpaces });
+  } catch (err) {
+    console.error('Get availability template error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error fetching availability template');
+  }
+};
+
+/**
+ * @desc    Create availability template
+ * @route   POST /api/availability/templates
+ * @access  Private/Owner
+ */
+exports.createTemplate = async (req, res, next) => {
+  try {
+    const { name, description, windows } = req.body;
+
+    const { ownerId, failure } = await resolveOwner(req, req.body.owner_id);
+    if (failure) {
+      return error(res, failure.code, failure.status, failure.message);
+    }
+
+    if (!ownerId) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'Owner ID is required');
+    }
+
+    const windowsError = validateWindows(windows);
+    if (windowsError) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, windowsError);
+    }
+
+    const existing = await AvailabilityTemplate.findOne({ owner_id: ownerId, name: String(name).trim() });
+    if (existing) {
+      return error(res, errorCodes.REQ_CONFLICT, 409, 'An availability template with this name already exists');
+    }
+
+    const template = await AvailabilityTemplate.create({
+      owner_id: ownerId,
+      name,
+      description,
+      windows: normalizeWindows(windows)
+    });
+
+    return success(res, { template }, null, 201);
+  } catch (err) {
+    console.error('Create availability template error:', err);
+
+    if (err.name === 'ValidationError') {
+      return error(res, errorCodes.REQ_VALIDATION, 400, err.message);
+    }
+
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error creating availability template');
+  }
+};
+
+/**
+ * @desc    Update availability template, optionally propagating new windows to linked spaces
+ * @route   PUT /api/availability/templates/:id
+ * @access  Private/Owner
+ */
+exports.updateTemplate = async (req, res, next) => {
+  try {
+    const { name, description, windows, propagate = false, dry_run = false } = req.body;
+
+    const { template, failure } = await loadManagedTemplate(req, req.params.id);
+    if (failure) {
+      return error(res, failure.code, failure.status, failure.message);
+    }
+
+    if (windows !== undefined) {
+      const windowsError = validateWindows(windows);
+      if (windowsError) {
+        return error(res, errorCodes.REQ_VALIDATION, 400, windowsError);
+      }
+    }
+
+    if (name !== undefined && String(name).trim() !== template.name) {
+      const existing = await AvailabilityTemplate.findOne({
+        _id: { $ne: template._id },
+        owner_id: template.owner_id,
+        name: String(name).trim()
+      });
+      if (existing) {
+        return error(res, errorCodes.REQ_CONFLICT, 409, 'An availability template with this name already exists');
+      }
+    }
+
+    const newWindows = windows !== undefined ? normalizeWindows(windows) : template.windows;
+    const linkedSpaces = await ParkingSpace.find({ availability_template_id: template._id })
+      .select('space_number property_id');
+
+    // Dry run: report what propagating would displace without saving anything
+    if (dry_run) {
+      const results = await previewSpaces(linkedSpaces, newWindows);
+      return success(res, {
+        dry_run: true,
+        template: { ...template.toObject(), name: name !== undefined ? name : template.name, windows: newWindows },
+        ...summarizeSpaces(results)
+      });
+    }
+
+    if (name !== undefined) template.name = name;
+    if (description !== undefined) template.description = description;
+    if (windows !== undefined) template.windows = newWindows;
+
+    await template.save();
+
+    if (!propagate) {
+      return success(res, { template, propagated: false });
+    }
+
+    const results = await previewSpaces(linkedSpaces, template.windows);
+    await replaceSchedules(linkedSpaces, template);
+
+    return success(res, { template, propagated: true, ...summarizeSpaces(results) });
+  } catch (err) {
+    console.error('Update availability template error:', err);
+
+    if (err.name === 'ValidationError') {
+      return error(res, errorCodes.REQ_VALIDATION, 400, err.message);
+    }
+
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error updating availability template');
+  }
+};
+
+/**
+ * @desc    Delete availability template
+ * @route   DELETE /api/availability/templates/:id
+ * @access  Private/Owner
+ */
+exports.deleteTemplate = async (req, res, next) => {
+  try {
+    const { template, failure } = await loadManagedTemplate(req, req.params.id);
+    if (failure) {
+      return error(res, failure.code, failure.status, failure.message);
+    }
+
+    // Linked spaces keep the schedule they were given
+    const { modifiedCount } = await ParkingSpace.updateMany(
+      { availability_template_id: template._id },
+      { $set: { availability_template_id: null } }
+    );
+
+    await AvailabilityTemplate.findByIdAndDelete(template._id);
+
+    return success(res, {
+      message: 'Availability template deleted successfully',
+      unlinked_space_count: modifiedCount
+    });
+  } catch (err) {
+    console.error('Delete availability template error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error deleting availability template');
+  }
+};
+
+/**
+ * @desc    Apply availability template to spaces and/or every space of a property
+ * @route   POST /api/availability/templates/:id/apply
+ * @access  Private/Owner
+ */
+exports.applyTemplate = async (req, res, next) => {
+  try {
+    const { space_ids = [], property_id, dry_run = false } = req.body;
+
+    const { template, failure } = await loadManagedTemplate(req, req.params.id);
+    if (failure) {
+      return error(res, failure.code, failure.status, failure.message);
+    }
+
+    if (!Array.isArray(space_ids) || (space_ids.length === 0 && !property_id)) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'Provide space_ids, property_id or both');
+    }
+
+    if (space_ids.some(id => !isValidObjectId(id)) || (property_id && !isValidObjectId(property_id))) {
+      return error(res, errorCodes.REQ_INVALID_FORMAT, 400, 'Invalid space or property ID');
+    }
+
+    const targetIds = new Set(space_ids.map(String));
+
+    if (property_id) {
+      const property = await Property.findById(property_id);
+      if (!property) {
+        return error(res, errorCodes.NOT_FOUND, 404, 'Property not found');
+      }
+
+      if (property.owner_id.toString() !== template.owner_id.toString()) {
+        return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Template and property belong to different owners');
+      }
+
+      const propertySpaces = await ParkingSpace.find({ property_id }).select('_id');
+      propertySpaces.forEach(space => targetIds.add(space._id.toString()));
+    }
+
+    if (targetIds.size > MAX_APPLY_SPACES) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, `A template can be applied to at most ${MAX_APPLY_SPACES} spaces at once`);
+    }
+
+    const spaces = await ParkingSpace.find({ _id: { $in: [...targetIds] } })
+      .select('space_number property_id owner_id');
+
+    if (spaces.length !== targetIds.size) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'One or more parking spaces not found');
+    }
+
+    if (spaces.some(space => space.owner_id.toString() !== template.owner_id.toString())) {
+      return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Template and spaces belong to different owners');
+    }
+
+    const results = await previewSpaces(spaces, template.windows);
+
+    if (dry_run) {
+      return success(res, { dry_run: true, template_id: template._id, ...summarizeSpaces(results) });
+    }
+
+    await replaceSchedules(spaces, template);
+
+    return success(res, { applied: true, template_id: template._id, ...summarizeSpaces(results) });
+  } catch (err) {
+    console.error('Apply availability template error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error applying availability template');
+  }
+};
@@ -0,0 +1,413 @@
+/**
+ * Booking Groups Controller
+ * Handles multi-space fleet bookings reserved and paid for in one checkout
+ */
+
+const BookingGroup = require('../models/BookingGroup');
+const Booking = require('../models/Booking');
+const ParkingSpace = require('../models/ParkingSpace');
+const UserVehicle = require('../models/UserVehicle');
+const { success, error, paginationMeta } = require('../utils/responseHelper');
+const errorCodes = require('../utils/errorCodes');
+const { isValidObjectId } = require('../utils/validators');
+const { acquireSpaceLock, releaseSpaceLock } = require('../utils/spaceLock');
+const {
+  generateBookingNumber,
+  hasBookingConflict,
+  getPaymentExpiry,
+  calculateCancellationRefund,
+  getRefundableAmount,
+  createBookingRefund
+} = require('../utils/bookingHelpers');
+const { checkSpaceSchedule } = require('../utils/availabilityHelpers');
+const { getPolicySnapshot } = require('../utils/cancellationPolicies');
+const { roundAmount, getPricingRates, buildPriceQuote, bookingPriceFields } = require('../utils/pricing');
+const { recordStatusChange, recordBookingsCreated } = require('../utils/bookingHistory');
+const { releaseToWaitlist } = require('../utils/waitlist');
+
+const MIN_GROUP_MEMBERS = 2;
+const MAX_GROUP_MEMBERS = 20;
+
+/**
+ * Helper function to generate unique group number
+ */
+const generateGroupNumber = () => {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substring(2, 7).toUpperCase();
+  return `BG-${timestamp}-${random}`;
+};
+
+/**
+ * Helper function to acquire the locks of several spaces
+ * Either every lock is taken or none is held when this returns null
+ */
+const acquireSpaceLocks = async (spaceIds) => {
+  const held = [];
+
+  // A stable order keeps concurrent group checkouts from starving each other
+  for (const spaceId of [...spaceIds].sort()) {
+    const token = await acquireSpaceLock(spaceId);
+    if (!token) {
+      await releaseSpaceLocks(held);
+      return null;
+    }
+    held.push({ spaceId, token });
+  }
+
+  return held;
+};
+
+/**
+ * Helper function to release locks taken by acquireSpaceLocks
+ */
+const releaseSpaceLocks = async (locks) => {
+  for (const { spaceId, token } of locks) {
+    await releaseSpaceLock(spaceId, token);
+  }
+};
+
+/**
+ * Helper function to cancel one member booking and refund it if paid
+ */
+const cancelMember = async (booking, reason, now, actor) => {
+  const { refundAmount, refundPercentage } = calculateCancellationRefund(booking, now, await getRefundableAmount(booking));
+  const previousStatus = booking.status;
+
+  booking.status = 'cancelled';
+  booking.cancellation_reason = reason;
+  booking.cancelled_at = now;
+  booking.refund_amount = refundAmount;
+
+  await createBookingRefund(booking, refundAmount, reason);
+  await booking.save();
+  await recordStatusChange(booking._id, previousStatus, 'cancelled', { actor, reason });
+  await releaseToWaitlist(booking);
+
+  return {
+    booking_id: booking._id,
+    booking_number: booking.booking_number,
+    space_id: booking.space_id,
+    refund: {
+      amount: refundAmount,
+      percentage: refundPercentage,
+      status: refundAmount > 0 && booking.payment_status === 'paid' ? 'pending' : 'not_applicable'
+    }
+  };
+};
+
+/**
+ * @desc    Reserve several spaces for one time window in a single checkout
+ * @route   POST /api/booking-groups
+ * @access  Private
+ */
+exports.createGroup = async (req, res, next) => {
+  try {
+    const { start_time, end_time, members } = req.body;
+
+    const startDate = new Date(start_time);
+    const endDate = new Date(end_time);
+    const now = new Date();
+
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'Invalid date format');
+    }
+
+    if (startDate < now) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'Start time cannot be in the past');
+    }
+
+    if (endDate <= startDate) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'End time must be after start time');
+    }
+
+    if (!Array.isArray(members) || members.length < MIN_GROUP_MEMBERS || members.length > MAX_GROUP_MEMBERS) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, `members must list between ${MIN_GROUP_MEMBERS} and ${MAX_GROUP_MEMBERS} space and vehicle pairs`);
+    }
+
+    if (!members.every(m => m && isValidObjectId(m.space_id) && isValidObjectId(m.vehicle_id))) {
+      return error(res, errorCodes.REQ_INVALID_FORMAT, 400, 'Each member needs a valid space_id and vehicle_id');
+    }
+
+    const spaceIds = members.map(m => m.space_id.toString());
+    const vehicleIds = members.map(m => m.vehicle_id.toString());
+
+    if (new Set(spaceIds).size !== spaceIds.length) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'Each space can only appear once in a group');
+    }
+
+    if (new Set(vehicleIds).size !== vehicleIds.length) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'Each vehicle can only appear once in a group');
+    }
+
+    // Check every space exists and accepts instant bookings
+    const spaces = await ParkingSpace.find({ _id: { $in: spaceIds } })
+      .populate('owner_id', 'user_id business_name');
+    const spacesById = new Map(spaces.map(space => [space._id.toString(), space]));
+
+    for (const spaceId of spaceIds) {
+      const space = spacesById.get(spaceId);
+
+      if (!space) {
+        return error(res, errorCodes.NOT_FOUND, 404, `Parking space ${spaceId} not found`);
+      }
+
+      if (space.status !== 'active') {
+        return error(res, errorCodes.BIZ_SPACE_UNAVAILABLE, 400, `Parking space ${space.space_number} is not available`);
+      }
+
+      if (space.booking_mode === 'request') {
+        return error(res, errorCodes.BIZ_OPERATION_NOT_ALLOWED, 400, `Parking space ${space.space_number} only accepts booking requests and cannot be part of a group`);
+      }
+    }
+
+    // Check every vehicle belongs to the user and is verified
+    const vehicles = await UserVehicle.find({ _id: { $in: vehicleIds } });
+    const vehiclesById = new Map(vehicles.map(vehicle => [vehicle._id.toString(), vehicle]));
+
+    for (const vehicleId of vehicleIds) {
+      const vehicle = vehiclesById.get(vehicleId);
+
+      if (!vehicle) {
+        return error(res, errorCodes.NOT_FOUND, 404, `Vehicle ${vehicleId} not found`);
+      }
+
+      if (vehicle.user_id.toString() !== req.user._id.toString()) {
+        return error(res, errorCodes.AUTH_FORBIDDEN, 403, `Vehicle ${vehicleId} does not belong to you`);
+      }
+
+      if (!vehicle.is_verified) {
+        return error(res, errorCodes.REQ_VALIDATION, 400, `Vehicle ${vehicleId} must be verified before booking`);
+      }
+    }
+
+    // Check the window against each owner's published schedule
+    for (const spaceId of spaceIds) {
+      const schedule = await checkSpaceSchedule(spaceId, startDate, endDate);
+      if (!schedule.available) {
+        return error(res, errorCodes.BIZ_SPACE_UNAVAILABLE, 400, `Space ${spacesById.get(spaceId).space_number}: ${schedule.reason}`, {
+          space_id: spaceId,
+          window: schedule.window,
+          windows: schedule.windows,
+          override: schedule.override
+        });
+      }
+    }
+
+    // Price every member with the shared pricing module
+    const durationHours = (endDate - startDate) / (1000 * 60 * 60);
+    const pricingRates = await getPricingRates();
+    const quotes = new Map();
+    for (const spaceId of spaceIds) {
+      quotes.set(spaceId, await buildPriceQuote(spacesById.get(spaceId), durationHours, { rates: pricingRates }));
+    }
+
+    const totalAmount = roundAmount([...quotes.values()].reduce((sum, quote) => sum + quote.total, 0));
+    const paymentExpiresAt = await getPaymentExpiry(now);
+
+    // All or nothing - hold every space's lock while checking and inserting
+    const locks = await acquireSpaceLocks(spaceIds);
+    if (!locks) {
+      return error(res, errorCodes.BIZ_BOOKING_CONFLICT, 409, 'One of the parking spaces is being booked by another request, please try again');
+    }
+
+    let group;
+    let bookings;
+    try {
+      const conflicts = [];
+      for (const spaceId of spaceIds) {
+        const conflict = await hasBookingConflict(spaceId, startDate, endDate);
+        if (conflict) {
+          conflicts.push({
+            space_id: spaceId,
+            space_number: spacesById.get(spaceId).space_number,
+            start_time: conflict.start_time,
+            end_time: conflict.end_time
+          });
+        }
+      }
+
+      if (conflicts.length > 0) {
+        return error(res, errorCodes.BIZ_BOOKING_CONFLICT, 409, 'Some parking spaces are already booked for this time period - nothing was reserved', {
+          conflicts
+        });
+      }
+
+      group = await BookingGroup.create({
+        group_number: generateGroupNumber(),
+        user_id: req.user._id,
+        start_time: startDate,
+        end_time: endDate,
+        member_count: members.length,
+        total_amount: totalAmount,
+        payment_expires_at: paymentExpiresAt
+      });
+
+      try {
+        bookings = await Booking.insertMany(members.map(member => {
+          const space = spacesById.get(member.space_id.toString());
+
+          return {
+            booking_number: generateBookingNumber(),
+            user_id: req.user._id,
+            owner_id: space.owner_id._id,
+            space_id: space._id,
+            vehicle_id: member.vehicle_id,
+            group_id: group._id,
+            start_time: startDate,
+            end_time: endDate,
+            duration_hours: durationHours,
+            ...bookingPriceFields(quotes.get(space._id.toString())),
+            status: 'pending',
+            payment_status: 'pending',
+            booking_type: 'instant',
+            payment_expires_at: paymentExpiresAt,
+            cancellation_policy: getPolicySnapshot(space)
+          };
+        }));
+      } catch (insertErr) {
+        // Roll back partial inserts so the group stays all-or-nothing
+        await Booking.deleteMany({ group_id: group._id });
+        await BookingGroup.deleteOne({ _id: group._id });
+        throw insertErr;
+      }
+    } finally {
+      await releaseSpaceLocks(locks);
+    }
+
+    await recordBookingsCreated(bookings, {
+      actor: req.user,
+      reason: `Member of booking group ${group.group_number}`
+    });
+
+    return success(res, { group, bookings }, null, 201);
+  } catch (err) {
+    console.error('Create booking group error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error creating booking group');
+  }
+};
+
+/**
+ * @desc    Get current user's booking groups
+ * @route   GET /api/booking-groups
+ * @access  Private
+ */
+exports.getMyGroups = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const validPage = Math.max(1, parseInt(page) || 1);
+    const validLimit = Math.min(100, Math.max(1, parseInt(limit) || 10));
+
+    // Build filter
+    const filter = { user_id: req.user._id };
+    if (status) filter.status = status;
+
+    const total = await BookingGroup.countDocuments(filter);
+
+    const groups = await BookingGroup.find(filter)
+      .sort({ created_at: -1 })
+      .skip((validPage - 1) * validLimit)
+      .limit(validLimit);
+
+    return success(res, { groups }, paginationMeta(validPage, validLimit, total));
+  } catch (err) {
+    console.error('Get booking groups error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error fetching booking groups');
+  }
+};
+
+/**
+ * @desc    Get booking group by ID with its member bookings
+ * @route   GET /api/booking-groups/:id
+ * @access  Private (group user or admin)
+ */
+exports.getGroupById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const group = await BookingGroup.findById(id);
+
+    if (!group) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Booking group not found');
+    }
+
+    if (group.user_id.toString() !== req.user._id.toString() && req.user.user_type !== 'admin') {
+      return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Not authorized to view this booking group');
+    }
+
+    const bookings = await Booking.find({ group_id: id })
+      .select('booking_number space_id vehicle_id total_amount status payment_status payment_expires_at refund_amount')
+      .populate('space_id', 'space_number space_type property_id')
+      .populate('vehicle_id', 'vehicle_make vehicle_model license_plate')
+      .sort({ created_at: 1 });
+
+    const pending = bookings.filter(b => b.status === 'pending' && b.payment_status === 'pending');
+
+    return success(res, {
+      group,
+      bookings,
+      summary: {
+        member_count: bookings.length,
+        active_members: bookings.filter(b => ['pending', 'confirmed', 'active'].includes(b.status)).length,
+        cancelled_members: bookings.filter(b => b.status === 'cancelled').length,
+        amount_due: roundAmount(pending.reduce((sum, b) => sum + b.total_amount, 0))
+      }
+    });
+  } catch (err) {
+    console.error('Get booking group by ID error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error fetching booking group');
+  }
+};
+
+/**
+ * @desc    Cancel every remaining member of a booking group
+ * @route   PUT /api/booking-groups/:id/cancel
+ * @access  Private (group user or admin)
+ */
+exports.cancelGroup = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { cancellation_reason } = req.body || {};
+
+    const group = await BookingGroup.findById(id);
+
+    if (!group) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Booking group not found');
+    }
+
+    if (group.user_id.toString() !== req.user._id.toString() && req.user.user_type !== 'admin') {
+      return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Not authorized to cancel this booking group');
+    }
+
+    if (group.status !== 'active') {
+      return error(res, errorCodes.BIZ_INVALID_STATE, 400, `Booking group is already ${group.status}`);
+    }
+
+    const now = new Date();
+    const reason = cancellation_reason || 'Booking group cancelled';
+
+    // Each member is refunded under its own space's cancellation policy
+    const remaining = await Booking.find({
+      group_id: id,
+      status: { $in: ['pending', 'confirmed'] }
+    });
+
+    const cancelled = [];
+    for (const booking of remaining) {
+      cancelled.push(await cancelMember(booking, reason, now, req.user));
+    }
+
+    group.status = 'cancelled';
+    group.cancelled_at = now;
+    group.cancellation_reason = reason;
+    await group.save();
+
+    return success(res, {
+      group,
+      cancelled,
+      total_refund: roundAmount(cancelled.reduce((sum, c) => sum + (c.refund.status === 'pending' ? c.refund.amount : 0), 0))
+    });
+  } catch (err) {
+    console.error('Cancel booking group error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error cancelling booking group');
+  }
+};
@@ -0,0 +1,596 @@
+/**
+ * Booking Series Controller
+ * Handles recurring bookings: preview, creation and cancellation of occurrences
+ */
+
+const BookingSeries = require('../models/BookingSeries');
+const Booking = require('../models/Booking');
+const SpaceAvailability = require('../models/SpaceAvailability');
+const AvailabilityOverride = require('../models/AvailabilityOverride');
+const ParkingSpace = require('../models/ParkingSpace');
+const UserVehicle = require('../models/UserVehicle');
+const { success, error, paginationMeta } = require('../utils/responseHelper');
+const errorCodes = require('../utils/errorCodes');
+const { getNumberSetting } = require('../utils/settings');
+const { acquireSpaceLock, releaseSpaceLock } = require('../utils/spaceLock');
+const {
+  generateBookingNumber,
+  findOccupants,
+  findCapacityConflict,
+  getPaymentExpiry,
+  calculateCancellationRefund,
+  getRefundableAmount,
+  createBookingRefund
+} = require('../utils/bookingHelpers');
+const { checkSchedule, findOverrides } = require('../utils/availabilityHelpers');
+const { getPolicySnapshot } = require('../utils/cancellationPolicies');
+const { getPricingRates, buildPriceQuote, bookingPriceFields } = require('../utils/pricing');
+const { recordStatusChange, recordBookingsCreated } = require('../utils/bookingHistory');
+const { releaseToWaitlist } = require('../utils/waitlist');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SERIES_DAYS = 366;
+const MAX_SERIES_OCCURRENCES = 400;
+
+// Default hours before each occurrence starts by which it must be paid
+const DEFAULT_SERIES_PAYMENT_LEAD_HOURS = 24;
+
+/**
+ * Helper function to convert HH:MM to minutes
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Helper function to generate unique series number
+ */
+const generateSeriesNumber = () => {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substring(2, 7).toUpperCase();
+  return `BS-${timestamp}-${random}`;
+};
+
+/**
+ * Helper function to expand a recurrence pattern into concrete time ranges
+ * HH:MM times are local to the driver; an end time at or before the start
+ * time rolls over to the next day
+ */
+const buildOccurrences = ({ days_of_week, daily_start_time, daily_end_time, utc_offset_minutes, start_date, end_date }) => {
+  const first = new Date(start_date);
+  const last = new Date(end_date);
+  const firstDay = Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), first.getUTCDate());
+  const lastDay = Date.UTC(last.getUTCFullYear(), last.getUTCMonth(), last.getUTCDate());
+
+  const startMinutes = toMinutes(daily_start_time);
+  let endMinutes = toMinutes(daily_end_time);
+  if (endMinutes <= startMinutes) {
+    endMinutes += 24 * 60;
+  }
+
+  const offsetMs = (utc_offset_minutes || 0) * 60 * 1000;
+  const occurrences = [];
+
+  for (let day = firstDay; day <= lastDay; day += DAY_MS) {
+    if (!days_of_week.includes(new Date(day).getUTCDay())) continue;
+
+    occurrences.push({
+      start_time: new Date(day + startMinutes * 60 * 1000 - offsetMs),
+      end_time: new Date(day + endMinutes * 60 * 1000 - offsetMs)
+    });
+  }
+
+  return occurrences;
+};
+
+/**
+ * Helper function to validate a series request and expand its occurrences
+ * Returns { failure } with an error description, or the loaded space, vehicle and occurrences
+ */
+const prepareSeries = async (body, user) => {
+  const {
+    space_id,
+    vehicle_id,
+    days_of_week,
+    daily_start_time,
+    daily_end_time,
+    utc_offset_minutes = 0,
+    start_date,
+    end_date
+  } = body;
+
+  if (!space_id || !vehicle_id || !Array.isArray(days_of_week) || !daily_start_time || !daily_end_time || !start_date || !end_date) {
+    return { failure: { code: errorCodes.REQ_VALIDATION, status: 400, message: 'space_id, vehicle_id, days_of_week, daily_start_time, daily_end_time, start_date and end_date are required' } };
+  }
+
+  const days = days_of_week.map(Number);
+  if (days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    return { failure: { code: errorCodes.REQ_VALIDATION, status: 400, message: 'days_of_week must contain integers between 0 (Sunday) and 6 (Saturday)' } };
+  }
+
+  const timeRegex = /^([01]\d|2[0-3]):([0-5]\d)$/;
+  if (!timeRegex.test(daily_start_time) || !timeRegex.test(daily_end_time)) {
+    return { failure: { code: errorCodes.REQ_VALIDATION, status: 400, message: 'daily_start_time and daily_end_time must be in HH:MM format (24-hour)' } };
+  }
+
+  if (daily_start_time === daily_end_time) {
+    return { failure: { code: errorCodes.REQ_VALIDATION, status: 400, message: 'daily_start_time and daily_end_time cannot be equal' } };
+  }
+
+  const offset = parseInt(utc_offset_minutes);
+  if (isNaN(offset) || Math.abs(offset) > 14 * 60) {
+    return { failure: { code: errorCodes.REQ_VALIDATION, status: 400, message: 'utc_offset_minutes must be between -840 and 840' } };
+  }
+
+  const firstDate = new Date(start_date);
+  const lastDate = new Date(end_date);
+  if (isNaN(firstDate.getTime()) || isNaN(lastDate.getTime())) {
+    return { failure: { code: errorCodes.REQ_VALIDATION, status: 400, message: 'Invalid date format' } };
+  }
+
+  if (lastDate < firstDate) {
+    return { failure: { code: errorCodes.REQ_VALIDATION, status: 400, message: 'end_date must not be before start_date' } };
+  }
+
+  if ((lastDate - firstDate) / DAY_MS > MAX_SERIES_DAYS) {
+    return { failure: { code: errorCodes.REQ_VALIDATION, status: 400, message: `A series cannot span more than ${MAX_SERIES_DAYS} days` } };
+  }
+
+  // Check if parking space exists and accepts instant bookings
+  const parkingSpace = await ParkingSpace.findById(space_id).populate('owner_id', 'user_id business_name');
+
+  if (!parkingSpace) {
+    return { failure: { code: errorCodes.NOT_FOUND, status: 404, message: 'Parking space not found' } };
+  }
+
+  if (parkingSpace.status !== 'active') {
+    return { failure: { code: errorCodes.BIZ_SPACE_UNAVAILABLE, status: 400, message: 'Parking space is not available' } };
+  }
+
+  if (parkingSpace.booking_mode === 'request') {
+    return { failure: { code: errorCodes.BIZ_OPERATION_NOT_ALLOWED, status: 400, message: 'Recurring bookings are only available on instant-booking spaces' } };
+  }
+
+  // Schedules are matched on UTC days, so a local pattern could land on the
+  // wrong weekday or window near midnight; such spaces take UTC patterns only
+  if (offset !== 0) {
+    const hasSchedule = await SpaceAvailability.exists({ space_id: parkingSpace._id }) ||
+      await AvailabilityOverride.exists({ space_id: parkingSpace._id });
+
+    if (hasSchedule) {
+      return { failure: { code: errorCodes.REQ_VALIDATION, status: 400, message: 'This parking space\'s availability schedule is in UTC; send days_of_week and daily times in UTC with utc_offset_minutes 0' } };
+    }
+  }
+
+  // Check if vehicle exists and belongs to the user
+  const vehicle = await UserVehicle.findById(vehicle_id);
+
+  if (!vehicle) {
+    return { failure: { code: errorCodes.NOT_FOUND, status: 404, message: 'Vehicle not found' } };
+  }
+
+  if (vehicle.user_id.toString() !== user._id.toString()) {
+    return { failure: { code: errorCodes.AUTH_FORBIDDEN, status: 403, message: 'Vehicle does not belong to you' } };
+  }
+
+  if (!vehicle.is_verified) {
+    return { failure: { code: errorCodes.REQ_VALIDATION, status: 400, message: 'Vehicle must be verified before booking' } };
+  }
+
+  // Occurrences that already started are left out
+  const now = new Date();
+  const occurrences = buildOccurrences({
+    days_of_week: days,
+    daily_start_time,
+    daily_end_time,
+    utc_offset_minutes: offset,
+    start_date: firstDate,
+    end_date: lastDate
+  }).filter(occurrence => occurrence.start_time > now);
+
+  if (occurrences.length === 0) {
+    return { failure: { code: errorCodes.REQ_VALIDATION, status: 400, message: 'The pattern does not produce any upcoming occurrences' } };
+  }
+
+  if (occurrences.length > MAX_SERIES_OCCURRENCES) {
+    return { failure: { code: errorCodes.REQ_VALIDATION, status: 400, message: `A series cannot have more than ${MAX_SERIES_OCCURRENCES} occurrences` } };
+  }
+
+  return {
+    parkingSpace,
+    vehicle,
+    pattern: {
+      days_of_week: days,
+      daily_start_time,
+      daily_end_time,
+      utc_offset_minutes: offset,
+      start_date: firstDate,
+      end_date: lastDate
+    },
+    occurrences
+  };
+};
+
+/**
+ * Helper function to price each occurrence
+ * Done before taking the space lock, since prices do not depend on other bookings
+ */
+const priceOccurrences = async (parkingSpace, occurrences) => {
+  const pricingRates = await getPricingRates();
+  const priced = [];
+
+  for (const occurrence of occurrences) {
+    const durationHours = (occurrence.end_time - occurrence.start_time) / (1000 * 60 * 60);
+    const quote = await buildPriceQuote(parkingSpace, durationHours, { rates: pricingRates });
+
+    priced.push({
+      start_time: occurrence.start_time,
+      end_time: occurrence.end_time,
+      duration_hours: durationHours,
+      price: quote.total,
+      pricing: bookingPriceFields(quote)
+    });
+  }
+
+  return priced;
+};
+
+/**
+ * Helper function to flag schedule or booking conflicts of priced occurrences
+ * The schedule, overrides and occupants of the whole series range are loaded
+ * once and each occurrence is checked in memory, keeping the time spent under
+ * the space lock independent of the number of occurrences.
+ */
+const checkOccurrences = async (parkingSpace, occurrences) => {
+  if (occurrences.length === 0) return [];
+
+  const rangeStart = occurrences[0].start_time;
+  const rangeEnd = occurrences.reduce((max, o) => o.end_time > max ? o.end_time : max, occurrences[0].end_time);
+
+  const schedules = await SpaceAvailability.find({ space_id: parkingSpace._id });
+  const overrides = await findOverrides(parkingSpace._id, rangeStart, rangeEnd);
+  const occupants = await findOccupants(parkingSpace._id, rangeStart, rangeEnd);
+
+  return occurrences.map(occurrence => {
+    const schedule = checkSchedule(schedules, occurrence.start_time, occurrence.end_time, overrides);
+    const conflict = schedule.available
+      ? findCapacityConflict(occupants, occurrence.start_time, occurrence.end_time, parkingSpace.capacity || 1)
+      : null;
+
+    return {
+      ...occurrence,
+      available: schedule.available && !conflict,
+      unavailable_reason: !schedule.available ? schedule.reason : undefined,
+      conflicting_booking: conflict ? {
+        start_time: conflict.start_time,
+        end_time: conflict.end_time
+      } : undefined
+    };
+  });
+};
+
+/**
+ * Helper function to summarize evaluated occurrences
+ */
+const summarize = (evaluated) => {
+  const available = evaluated.filter(o => o.available);
+  return {
+    total_occurrences: evaluated.length,
+    available_occurrences: available.length,
+    conflicting_occurrences: evaluated.length - available.length,
+    total_amount: Math.round(available.reduce((sum, o) => sum + o.price, 0) * 100) / 100
+  };
+};
+
+/**
+ * Helper function to check whether the user may view a series
+ */
+const canViewSeries = (series, user) => {
+  if (user.user_type === 'admin') return true;
+  if (series.user_id.toString() === user._id.toString()) return true;
+
+  const ownerUserId = series.owner_id && series.owner_id.user_id ? series.owner_id.user_id.toString() : null;
+  return ownerUserId === user._id.toString();
+};
+
+/**
+ * Helper function to cancel a single occurrence and refund it if paid
+ */
+const cancelOccurrence = async (booking, reason, now, actor) => {
+  const { refundAmount, refundPercentage } = calculateCancellationRefund(booking, now, await getRefundableAmount(booking));
+  const previousStatus = booking.status;
+
+  booking.status = 'cancelled';
+  booking.cancellation_reason = reason;
+  booking.cancelled_at = now;
+
+  booking.refund_amount = refundAmount;
+
+  await createBookingRefund(booking, refundAmount, reason);
+  await booking.save();
+  await recordStatusChange(booking._id, previousStatus, 'cancelled', { actor, reason });
+  await releaseToWaitlist(booking);
+
+  return {
+    booking_id: booking._id,
+    booking_number: booking.booking_number,
+    start_time: booking.start_time,
+    refund: {
+      amount: refundAmount,
+      percentage: refundPercentage,
+      status: refundAmount > 0 && booking.payment_status === 'paid' ? 'pending' : 'not_applicable'
+    }
+  };
+};
+
+/**
+ * @desc    Preview a booking series
+ * @route   POST /api/booking-series/preview
+ * @access  Private
+ */
+exports.previewSeries = async (req, res, next) => {
+  try {
+    const prepared = await prepareSeries(req.body, req.user);
+    if (prepared.failure) {
+      const { code, status, message } = prepared.failure;
+      return error(res, code, status, message);
+    }
+
+    const priced = await priceOccurrences(prepared.parkingSpace, prepared.occurrences);
+    const occurrences = await checkOccurrences(prepared.parkingSpace, priced);
+
+    return success(res, {
+      pattern: prepared.pattern,
+      occurrences,
+      summary: summarize(occurrences)
+    });
+  } catch (err) {
+    console.error('Preview booking series error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error previewing booking series');
+  }
+};
+
+/**
+ * @desc    Create a booking series
+ * @route   POST /api/booking-series
+ * @access  Private
+ */
+exports.createSeries = async (req, res, next) => {
+  try {
+    const { skip_conflicts = false } = req.body;
+
+    const prepared = await prepareSeries(req.body, req.user);
+    if (prepared.failure) {
+      const { code, status, message } = prepared.failure;
+      return error(res, code, status, message);
+    }
+
+    const { parkingSpace, vehicle, pattern } = prepared;
+    const leadHours = await getNumberSetting('booking.series_payment_lead_hours', DEFAULT_SERIES_PAYMENT_LEAD_HOURS);
+    const now = new Date();
+    const holdExpiry = await getPaymentExpiry(now);
+    const priced = await priceOccurrences(parkingSpace, prepared.occurrences);
+
+    // Conflict checks and inserts for every occurrence run under one space lock
+    const lockToken = await acquireSpaceLock(parkingSpace._id);
+    if (!lockToken) {
+      return error(res, errorCodes.BIZ_BOOKING_CONFLICT, 409, 'Parking space is being booked by another request, please try again');
+    }
+
+    let series;
+    let bookings = [];
+    let skipped = [];
+    try {
+      const occurrences = await checkOccurrences(parkingSpace, priced);
+      const conflicting = occurrences.filter(o => !o.available);
+
+      if (conflicting.length > 0 && !skip_conflicts) {
+        return error(res, errorCodes.BIZ_BOOKING_CONFLICT, 409, 'Some occurrences conflict with existing bookings or the space schedule', {
+          conflicting_occurrences: conflicting
+        });
+      }
+
+      const bookable = occurrences.filter(o => o.available);
+      if (bookable.length === 0) {
+        return error(res, errorCodes.BIZ_BOOKING_CONFLICT, 409, 'No occurrence of this series is available');
+      }
+
+      series = await BookingSeries.create({
+        series_number: generateSeriesNumber(),
+        user_id: req.user._id,
+        owner_id: parkingSpace.owner_id._id,
+        space_id: parkingSpace._id,
+        vehicle_id: vehicle._id,
+        ...pattern,
+        occurrence_count: bookable.length,
+        total_amount: summarize(occurrences).total_amount,
+        status: 'active'
+      });
+
+      const policySnapshot = getPolicySnapshot(parkingSpace);
+
+      // Each occurrence is paid separately, at the latest lead hours before it starts
+      bookings = await Booking.insertMany(bookable.map(occurrence => {
+        const leadDeadline = new Date(occurrence.start_time.getTime() - leadHours * 60 * 60 * 1000);
+        const paymentExpiresAt = new Date(Math.min(
+          Math.max(holdExpiry.getTime(), leadDeadline.getTime()),
+          occurrence.start_time.getTime()
+        ));
+
+        return {
+          booking_number: generateBookingNumber(),
+          user_id: req.user._id,
+          owner_id: parkingSpace.owner_id._id,
+          space_id: parkingSpace._id,
+          vehicle_id: vehicle._id,
+          series_id: series._id,
+          start_time: occurrence.start_time,
+          end_time: occurrence.end_time,
+          duration_hours: occurrence.duration_hours,
+          ...occurrence.pricing,
+          status: 'pending',
+          payment_status: 'pending',
+          booking_type: 'instant',
+          payment_expires_at: paymentExpiresAt,
+          cancellation_policy: policySnapshot
+        };
+      }));
+
+      skipped = conflicting;
+    } finally {
+      await releaseSpaceLock(parkingSpace._id, lockToken);
+    }
+
+    await recordBookingsCreated(bookings, {
+      actor: req.user,
+      reason: `Occurrence of booking series ${series.series_number}`
+    });
+
+    return success(res, {
+      series,
+      bookings,
+      skipped_occurrences: skipped
+    }, null, 201);
+  } catch (err) {
+    console.error('Create booking series error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error creating booking series');
+  }
+};
+
+/**
+ * @desc    Get current user's booking series
+ * @route   GET /api/booking-series
+ * @access  Private
+ */
+exports.getMySeries = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const validPage = Math.max(1, parseInt(page) || 1);
+    const validLimit = Math.min(100, Math.max(1, parseInt(limit) || 10));
+
+    // Build filter
+    const filter = { user_id: req.user._id };
+    if (status) filter.status = status;
+
+    const total = await BookingSeries.countDocuments(filter);
+
+    const series = await BookingSeries.find(filter)
+      .populate('space_id', 'space_number space_type property_id')
+      .populate('vehicle_id', 'make model registration_number')
+      .sort({ created_at: -1 })
+      .skip((validPage - 1) * validLimit)
+      .limit(validLimit);
+
+    return success(res, { series }, paginationMeta(validPage, validLimit, total));
+  } catch (err) {
+    console.error('Get booking series error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error fetching booking series');
+  }
+};
+
+/**
+ * @desc    Get booking series by ID with its occurrences
+ * @route   GET /api/booking-series/:id
+ * @access  Private/Owner or Admin
+ */
+exports.getSeriesById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const series = await BookingSeries.findById(id)
+      .populate('owner_id', 'user_id business_name')
+      .populate('space_id', 'space_number space_type property_id')
+      .populate('vehicle_id', 'make model registration_number');
+
+    if (!series) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Booking series not found');
+    }
+
+    if (!canViewSeries(series, req.user)) {
+      return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Not authorized to view this booking series');
+    }
+
+    const bookings = await Booking.find({ series_id: id })
+      .select('booking_number start_time end_time total_amount status payment_status payment_expires_at')
+      .sort({ start_time: 1 });
+
+    return success(res, { series, bookings });
+  } catch (err) {
+    console.error('Get booking series by ID error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error fetching booking series');
+  }
+};
+
+/**
+ * @desc    Cancel one occurrence or the remaining occurrences of a series
+ * @route   PUT /api/booking-series/:id/cancel
+ * @access  Private/Owner or Admin
+ */
+exports.cancelSeries = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { booking_id, cancellation_reason } = req.body || {};
+
+    const series = await BookingSeries.findById(id);
+
+    if (!series) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Booking series not found');
+    }
+
+    // Check authorization
+    if (series.user_id.toString() !== req.user._id.toString() && req.user.user_type !== 'admin') {
+      return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Not authorized to cancel this booking series');
+    }
+
+    if (series.status !== 'active') {
+      return error(res, errorCodes.BIZ_INVALID_STATE, 400, `Booking series is already ${series.status}`);
+    }
+
+    const now = new Date();
+    const reason = cancellation_reason || 'Series occurrence cancelled';
+
+    // Cancel a single occurrence
+    if (booking_id) {
+      const booking = await Booking.findOne({ _id: booking_id, series_id: id });
+
+      if (!booking) {
+        return error(res, errorCodes.NOT_FOUND, 404, 'Occurrence not found in this series');
+      }
+
+      if (!['pending', 'confirmed'].includes(booking.status) || booking.start_time <= now) {
+        return error(res, errorCodes.BIZ_OPERATION_NOT_ALLOWED, 400, 'Only upcoming pending or confirmed occurrences can be cancelled');
+      }
+
+      const cancelled = await cancelOccurrence(booking, reason, now, req.user);
+
+      return success(res, { series, cancelled: [cancelled] });
+    }
+
+    // Cancel every remaining occurrence
+    const remaining = await Booking.find({
+      series_id: id,
+      status: { $in: ['pending', 'confirmed'] },
+      start_time: { $gt: now }
+    }).sort({ start_time: 1 });
+
+    const cancelled = [];
+    for (const booking of remaining) {
+      cancelled.push(await cancelOccurrence(booking, cancellation_reason || 'Series cancelled', now, req.user));
+    }
+
+    series.status = 'cancelled';
+    series.cancelled_at = now;
+    series.cancellation_reason = cancellation_reason || 'Series cancelled';
+    await series.save();
+
+    return success(res, {
+      series,
+      cancelled,
+      cancelled_count: cancelled.length
+    });
+  } catch (err) {
+    console.error('Cancel booking series error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error cancelling booking series');
+  }
+};
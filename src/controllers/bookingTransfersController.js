@@ -0,0 +1,368 @@
+/**
+ * Booking Transfers Controller
+ * Handles handing a booking over to another account
+ */
+
+const BookingTransfer = require('../models/BookingTransfer');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const UserVehicle = require('../models/UserVehicle');
+const Payment = require('../models/Payment');
+const Conversation = require('../models/Conversation');
+const { success, error, paginationMeta } = require('../utils/responseHelper');
+const errorCodes = require('../utils/errorCodes');
+const { isValidEmail, isValidObjectId } = require('../utils/validators');
+const { getNumberSetting } = require('../utils/settings');
+const { notify } = require('../utils/notificationHelper');
+const { generateVerificationCode } = require('../utils/verificationCode');
+const { buildChanges, recordBookingEvent } = require('../utils/bookingHistory');
+
+// Default hours a transfer invitation stays open
+const DEFAULT_TRANSFER_EXPIRY_HOURS = 48;
+
+// Statuses in which a booking can still change hands
+const TRANSFERABLE_STATUSES = ['requested', 'pending', 'confirmed'];
+
+/**
+ * Helper function to check a booking can be transferred right now
+ * @returns {string|null} Error message, or null when transferable
+ */
+const getTransferBlocker = (booking, now) => {
+  if (!TRANSFERABLE_STATUSES.includes(booking.status)) {
+    return `Bookings in status ${booking.status} cannot be transferred`;
+  }
+
+  if (booking.start_time <= now) {
+    return 'Bookings can only be transferred before they start';
+  }
+
+  // Series, group and subscription bookings share a schedule or a payment with other bookings
+  if (booking.series_id || booking.group_id || booking.subscription_id) {
+    return 'Bookings that belong to a series, group or subscription cannot be transferred individually';
+  }
+
+  return null;
+};
+
+/**
+ * Helper function to load a transfer addressed to the current user
+ * @returns {Object} { transfer } or { failure: { code, status, message } }
+ */
+const loadIncomingTransfer = async (req, id) => {
+  const transfer = await BookingTransfer.findById(id);
+
+  if (!transfer) {
+    return { failure: { code: errorCodes.NOT_FOUND, status: 404, message: 'Booking transfer not found' } };
+  }
+
+  if (transfer.to_email !== req.user.email.toLowerCase()) {
+    return { failure: { code: errorCodes.AUTH_FORBIDDEN, status: 403, message: 'This booking transfer is not addressed to you' } };
+  }
+
+  if (transfer.status !== 'pending') {
+    return { failure: { code: errorCodes.BIZ_INVALID_STATE, status: 400, message: `Booking transfer is already ${transfer.status}` } };
+  }
+
+  // Invitations the user never answered in time
+  if (transfer.expires_at <= new Date()) {
+    await BookingTransfer.updateOne({ _id: transfer._id, status: 'pending' }, { $set: { status: 'expired' } });
+    return { failure: { code: errorCodes.BIZ_INVALID_STATE, status: 400, message: 'Booking transfer has expired' } };
+  }
+
+  return { transfer };
+};
+
+/**
+ * @desc    Invite another account to take over a booking
+ * @route   POST /api/bookings/:id/transfer
+ * @access  Private (booking user)
+ */
+exports.createTransfer = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { recipient_email, message } = req.body;
+
+    const booking = await Booking.findById(id);
+
+    if (!booking) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Booking not found');
+    }
+
+    if (booking.user_id.toString() !== req.user._id.toString()) {
+      return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Only the booking holder can transfer this booking');
+    }
+
+    const now = new Date();
+    const blocker = getTransferBlocker(booking, now);
+    if (blocker) {
+      return error(res, errorCodes.BIZ_OPERATION_NOT_ALLOWED, 400, blocker);
+    }
+
+    if (!recipient_email || !isValidEmail(recipient_email)) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'A valid recipient_email is required');
+    }
+
+    const toEmail = recipient_email.trim().toLowerCase();
+    if (toEmail === req.user.email.toLowerCase()) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'You cannot transfer a booking to yourself');
+    }
+
+    const openTransfer = await BookingTransfer.exists({ booking_id: booking._id, status: 'pending', expires_at: { $gt: now } });
+    if (openTransfer) {
+      return error(res, errorCodes.BIZ_OPERATION_NOT_ALLOWED, 400, 'This booking already has an open transfer - cancel it first');
+    }
+
+    const expiryHours = await getNumberSetting('booking.transfer_expiry_hours', DEFAULT_TRANSFER_EXPIRY_HOURS);
+    const expiresAt = new Date(Math.min(now.getTime() + expiryHours * 60 * 60 * 1000, booking.start_time.getTime()));
+
+    const recipient = await User.findOne({ email: toEmail, is_active: true });
+
+    const transfer = await BookingTransfer.create({
+      booking_id: booking._id,
+      from_user_id: req.user._id,
+      to_email: toEmail,
+      to_user_id: recipient ? recipient._id : null,
+      message: message || null,
+      expires_at: expiresAt
+    });
+
+    // Recipients without an account see the invitation once they sign up with that email
+    if (recipient) {
+      await notify({
+        user_id: recipient._id,
+        notification_type: 'booking_transfer_request',
+        title: 'Booking transfer invitation',
+        message: `${req.user.first_name} ${req.user.last_name} wants to transfer booking ${booking.booking_number} to you. Accept it by ${expiresAt.toISOString()}.`,
+        reference_id: transfer._id
+      });
+    }
+
+    return success(res, { transfer }, null, 201);
+  } catch (err) {
+    console.error('Create booking transfer error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error creating booking transfer');
+  }
+};
+
+/**
+ * @desc    Get transfers sent or received by the current user
+ * @route   GET /api/booking-transfers
+ * @access  Private
+ */
+exports.getMyTransfers = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status, direction = 'incoming' } = req.query;
+    const validPage = Math.max(1, parseInt(page) || 1);
+    const validLimit = Math.min(100, Math.max(1, parseInt(limit) || 10));
+
+    if (!['incoming', 'outgoing'].includes(direction)) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'direction must be incoming or outgoing');
+    }
+
+    // Build filter
+    const filter = direction === 'incoming'
+      ? { to_email: req.user.email.toLowerCase() }
+      : { from_user_id: req.user._id };
+    if (status) filter.status = status;
+
+    const total = await BookingTransfer.countDocuments(filter);
+
+    const transfers = await BookingTransfer.find(filter)
+      .populate({
+        path: 'booking_id',
+        select: 'booking_number space_id start_time end_time status',
+        populate: { path: 'space_id', select: 'space_number space_type' }
+      })
+      .populate('from_user_id', 'first_name last_name')
+      .sort({ created_at: -1 })
+      .skip((validPage - 1) * validLimit)
+      .limit(validLimit);
+
+    return success(res, { transfers }, paginationMeta(validPage, validLimit, total));
+  } catch (err) {
+    console.error('Get booking transfers error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error fetching booking transfers');
+  }
+};
+
+/**
+ * @desc    Accept a booking transfer with one of your verified vehicles
+ * @route   PUT /api/booking-transfers/:id/accept
+ * @access  Private (recipient)
+ */
+exports.acceptTransfer = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { vehicle_id } = req.body;
+
+    const { transfer, failure } = await loadIncomingTransfer(req, id);
+    if (failure) {
+      return error(res, failure.code, failure.status, failure.message);
+    }
+
+    if (!isValidObjectId(vehicle_id)) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'A valid vehicle_id is required');
+    }
+
+    const vehicle = await UserVehicle.findById(vehicle_id);
+
+    if (!vehicle) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Vehicle not found');
+    }
+
+    if (vehicle.user_id.toString() !== req.user._id.toString()) {
+      return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Vehicle does not belong to you');
+    }
+
+    if (!vehicle.is_verified) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'Vehicle must be verified');
+    }
+
+    const booking = await Booking.findById(transfer.booking_id);
+    const now = new Date();
+
+    const blocker = !booking
+      ? 'Booking no longer exists'
+      : booking.user_id.toString() !== transfer.from_user_id.toString()
+        ? 'Booking is no longer held by the sender'
+        : getTransferBlocker(booking, now);
+
+    if (blocker) {
+      await BookingTransfer.updateOne({ _id: transfer._id, status: 'pending' }, { $set: { status: 'cancelled', responded_at: now } });
+      return error(res, errorCodes.BIZ_INVALID_STATE, 400, `Booking can no longer be transferred: ${blocker}`);
+    }
+
+    // Claim the invitation first so a cancel or second accept cannot race it
+    const claimed = await BookingTransfer.updateOne(
+      { _id: transfer._id, status: 'pending' },
+      { $set: { status: 'accepted', to_user_id: req.user._id, to_vehicle_id: vehicle._id, responded_at: now } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return error(res, errorCodes.BIZ_INVALID_STATE, 400, 'Booking transfer is no longer pending');
+    }
+
+    // The old holder's verification code and QR must stop working
+    const update = { user_id: req.user._id, vehicle_id: vehicle._id };
+    if (booking.status === 'confirmed') {
+      update.verification_code = generateVerificationCode();
+    }
+
+    const moved = await Booking.updateOne(
+      { _id: booking._id, user_id: transfer.from_user_id, status: { $in: TRANSFERABLE_STATUSES } },
+      { $set: update }
+    );
+    if (moved.modifiedCount === 0) {
+      await BookingTransfer.updateOne({ _id: transfer._id }, { $set: { status: 'cancelled' } });
+      return error(res, errorCodes.BIZ_INVALID_STATE, 400, 'Booking changed while the transfer was being accepted');
+    }
+
+    // Payment references and the owner conversation follow the booking
+    await Payment.updateMany({ booking_id: booking._id }, { $set: { user_id: req.user._id } });
+    await Conversation.updateMany(
+      { booking_id: booking._id, user_id: transfer.from_user_id },
+      { $set: { user_id: req.user._id } }
+    );
+
+    await recordBookingEvent(booking._id, 'transfer', {
+      actor: req.user,
+      changes: buildChanges([
+        ['user_id', transfer.from_user_id, req.user._id],
+        ['vehicle_id', booking.vehicle_id, vehicle._id]
+      ]),
+      reason: `Transferred to ${transfer.to_email}`
+    });
+
+    await notify({
+      user_id: transfer.from_user_id,
+      notification_type: 'booking_transfer_accepted',
+      title: 'Booking transfer accepted',
+      message: `${transfer.to_email} accepted booking ${booking.booking_number}. It no longer appears in your bookings.`,
+      reference_id: booking._id
+    });
+
+    const transferredBooking = await Booking.findById(booking._id)
+      .populate('user_id', 'email first_name last_name phone')
+      .populate('owner_id', 'business_name')
+      .populate('space_id', 'space_number space_type')
+      .populate('vehicle_id', 'vehicle_make vehicle_model license_plate');
+
+    return success(res, {
+      transfer: await BookingTransfer.findById(transfer._id),
+      booking: transferredBooking
+    });
+  } catch (err) {
+    console.error('Accept booking transfer error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error accepting booking transfer');
+  }
+};
+
+/**
+ * @desc    Decline a booking transfer
+ * @route   PUT /api/booking-transfers/:id/decline
+ * @access  Private (recipient)
+ */
+exports.declineTransfer = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { transfer, failure } = await loadIncomingTransfer(req, id);
+    if (failure) {
+      return error(res, failure.code, failure.status, failure.message);
+    }
+
+    const result = await BookingTransfer.updateOne(
+      { _id: transfer._id, status: 'pending' },
+      { $set: { status: 'declined', to_user_id: req.user._id, responded_at: new Date() } }
+    );
+    if (result.modifiedCount === 0) {
+      return error(res, errorCodes.BIZ_INVALID_STATE, 400, 'Booking transfer is no longer pending');
+    }
+
+    await notify({
+      user_id: transfer.from_user_id,
+      notification_type: 'booking_transfer_declined',
+      title: 'Booking transfer declined',
+      message: `${transfer.to_email} declined your booking transfer. The booking stays with you.`,
+      reference_id: transfer.booking_id
+    });
+
+    return success(res, { transfer: await BookingTransfer.findById(transfer._id) });
+  } catch (err) {
+    console.error('Decline booking transfer error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error declining booking transfer');
+  }
+};
+
+/**
+ * @desc    Withdraw a pending booking transfer
+ * @route   PUT /api/booking-transfers/:id/cancel
+ * @access  Private (sender)
+ */
+exports.cancelTransfer = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const transfer = await BookingTransfer.findById(id);
+
+    if (!transfer) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Booking transfer not found');
+    }
+
+    if (transfer.from_user_id.toString() !== req.user._id.toString()) {
+      return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Only the sender can cancel this booking transfer');
+    }
+
+    const result = await BookingTransfer.updateOne(
+      { _id: transfer._id, status: 'pending' },
+      { $set: { status: 'cancelled', responded_at: new Date() } }
+    );
+    if (result.modifiedCount === 0) {
+      return error(res, errorCodes.BIZ_INVALID_STATE, 400, `Booking transfer is already ${transfer.status}`);
+    }
+
+    return success(res, { transfer: await BookingTransfer.findById(transfer._id) });
+  } catch (err) {
+    console.error('Cancel booking transfer error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error cancelling booking transfer');
+  }
+};
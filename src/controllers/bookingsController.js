@@ -4,68 +4,157 @@
  */
 
 const Booking = require('../models/Booking');
+const Subscription = require('../models/Subscription');
 const ParkingSpace = require('../models/ParkingSpace');
 const UserVehicle = require('../models/UserVehicle');
+const User = require('../models/User');
+const UserPaymentMethod = require('../models/UserPaymentMethod');
 const { success, error } = require('../utils/responseHelper');
 const errorCodes = require('../utils/errorCodes');
+const { isValidObjectId } = require('../utils/validators');
+const { getNumberSetting } = require('../utils/settings');
+const { notify } = require('../utils/notificationHelper');
+const { acquireSpaceLock, releaseSpaceLock } = require('../utils/spaceLock');
+const { recordPromoUsage, reversePromoUsage } = require('../utils/promoUsage');
+const {
+  generateBookingNumber,
+  hasBookingConflict,
+  getPaymentExpiry,
+  getCheckInWindowMs,
+  calculateCancellationRefund,
+  getPaidAmount,
+  getRefundableAmount,
+  createBookingRefund
+} = require('../utils/bookingHelpers');
+const { checkSpaceSchedule } = require('../utils/availabilityHelpers');
+const { getOvertimeTerms, calculateOvertime, chargeOvertime } = require('../utils/overtime');
+const { getEarlyCheckoutTerms, calculateUnusedTimeRefund, refundUnusedTime } = require('../utils/earlyCheckout');
+const { RECEIPT_PAYMENT_STATUSES, issueInvoice, buildReceipt, renderReceiptHtml, renderReceiptPdf } = require('../utils/receipts');
+const { getPolicySnapshot } = require('../utils/cancellationPolicies');
+const { chargeDefaultPaymentMethod } = require('../utils/paymentGateway');
+const {
+  roundAmount,
+  resolvePromoCode,
+  buildPriceQuote,
+  bookingPriceFields
+} = require('../utils/pricing');
+const BookingHistory = require('../models/BookingHistory');
+const {
+  buildChanges,
+  recordBookingEvent,
+  recordStatusChange,
+  recordBookingsCreated
+} = require('../utils/bookingHistory');
+const {
+  verificationCodesMatch,
+  signCheckInPayload,
+  verifyCheckInPayload,
+  verifyExtendToken
+} = require('../utils/verificationCode');
+const { releaseToWaitlist, claimWaitlistHolds } = require('../utils/waitlist');
+
+// Default hours an owner has to answer a booking request
+const DEFAULT_REQUEST_EXPIRY_HOURS = 24;
+
+// Most hours a one-tap extend link can add at once
+const MAX_QUICK_EXTEND_HOURS = 12;
 
 /**
- * Helper function to generate unique booking number
+ * Helper function to validate pagination
  */
-const generateBookingNumber = () => {
-  const timestamp = Date.now().toString(36).toUpperCase();
-  const random = Math.random().toString(36).substring(2, 7).toUpperCase();
-  return `BK-${timestamp}-${random}`;
+const validatePagination = (page, limit) => {
+  const validPage = Math.max(1, parseInt(page) || 1);
+  const validLimit = Math.min(100, Math.max(1, parseInt(limit) || 10));
+  return { page: validPage, limit: validLimit };
 };
 
 /**
- * Helper function to check booking conflicts
+ * Helper function to collect the extra amount a change adds to a paid booking
+ * Extensions and price increases are charged to the driver's default payment
+ * method before they are saved. Unpaid bookings need nothing here: their
+ * payment will cover the new total.
+ * @returns {Object} { payment } (null when nothing was due) or { failure: { code, status, message } }
  */
-const hasBookingConflict = async (spaceId, startTime, endTime, excludeBookingId = null) => {
-  const filter = {
-    space_id: spaceId,
-    status: { $nin: ['cancelled', 'completed', 'no_show'] },
-    $or: [
-      { start_time: { $lte: startTime }, end_time: { $gt: startTime } },
-      { start_time: { $lt: endTime }, end_time: { $gte: endTime } },
-      { start_time: { $gte: startTime }, end_time: { $lte: endTime } }
-    ]
-  };
-
-  if (excludeBookingId) {
-    filter._id = { $ne: excludeBookingId };
+const collectTopUp = async (booking, amount) => {
+  if (booking.payment_status !== 'paid' || amount <= 0) {
+    return { payment: null };
   }
 
-  const conflictingBooking = await Booking.findOne(filter);
-  return conflictingBooking;
+  const paidBefore = booking.amount_paid !== null && booking.amount_paid !== undefined
+    ? booking.amount_paid
+    : await getPaidAmount(booking);
+
+  const { payment, failure_reason: failureReason } = await chargeDefaultPaymentMethod({
+    user_id: booking.user_id,
+    booking_id: booking._id,
+    amount,
+    payment_purpose: 'top_up'
+  });
+
+  if (failureReason) {
+    return { failure: { code: errorCodes.PAY_DECLINED, status: 402, message: `Could not collect ${amount} USD for this change: ${failureReason}` } };
+  }
+
+  booking.amount_paid = roundAmount(paidBefore + amount);
+  return { payment };
 };
 
 /**
- * Helper function to calculate booking price
+ * Helper function to check a one-tap extend link and the hours it asks for
+ * The link is only good for the end time it was sent for, so it cannot be replayed.
+ * @returns {Object} { booking, user, hours } or { failure: { code, status, message } }
  */
-const calculateBookingPrice = (parkingSpace, durationHours) => {
-  let basePrice = 0;
-
-  if (durationHours <= 24) {
-    basePrice = parkingSpace.hourly_rate * durationHours;
-  } else if (durationHours <= 24 * 30) {
-    const days = Math.ceil(durationHours / 24);
-    basePrice = parkingSpace.daily_rate * days;
-  } else {
-    const months = Math.ceil(durationHours / (24 * 30));
-    basePrice = parkingSpace.monthly_rate * months;
+const resolveExtendLink = async (id, token, hoursParam) => {
+  const hours = parseInt(hoursParam || 1);
+
+  if (!token) {
+    return { failure: { code: errorCodes.REQ_VALIDATION, status: 400, message: 'Extend token is required' } };
+  }
+
+  if (isNaN(hours) || hours < 1 || hours > MAX_QUICK_EXTEND_HOURS) {
+    return { failure: { code: errorCodes.REQ_VALIDATION, status: 400, message: `Hours must be between 1 and ${MAX_QUICK_EXTEND_HOURS}` } };
+  }
+
+  const claims = verifyExtendToken(token);
+  if (!claims || claims.booking_id !== id) {
+    return { failure: { code: errorCodes.AUTH_INVALID_TOKEN, status: 401, message: 'Invalid or expired extend link' } };
+  }
+
+  const booking = await Booking.findById(id).populate('space_id');
+  if (!booking) {
+    return { failure: { code: errorCodes.NOT_FOUND, status: 404, message: 'Booking not found' } };
+  }
+
+  if (booking.user_id.toString() !== claims.user_id || booking.end_time.getTime() !== claims.end_time.getTime()) {
+    return { failure: { code: errorCodes.AUTH_INVALID_TOKEN, status: 401, message: 'This extend link has already been used or is out of date' } };
+  }
+
+  const user = await User.findById(claims.user_id).select('-password_hash');
+  if (!user || !user.is_active) {
+    return { failure: { code: errorCodes.AUTH_ACCOUNT_LOCKED, status: 403, message: 'Account is inactive' } };
   }
 
-  return basePrice;
+  return { booking, user, hours };
 };
 
 /**
- * Helper function to validate pagination
+ * Helper function to find how a one-tap extension will be paid for
+ * The link skips checkout, so it only works when the extension can be
+ * charged to the driver's default payment method right away. Anything else
+ * (an unpaid booking, no card on file) has to go through the app.
+ * @returns {Object} { paymentMethod } or { failure: { code, status, message } }
  */
-const validatePagination = (page, limit) => {
-  const validPage = Math.max(1, parseInt(page) || 1);
-  const validLimit = Math.min(100, Math.max(1, parseInt(limit) || 10));
-  return { page: validPage, limit: validLimit };
+const findQuickExtendPaymentMethod = async (booking) => {
+  if (booking.payment_status !== 'paid') {
+    return { failure: { code: errorCodes.BIZ_OPERATION_NOT_ALLOWED, status: 400, message: 'This booking has not been paid yet; extend it from the app' } };
+  }
+
+  const paymentMethod = await UserPaymentMethod.findOne({ user_id: booking.user_id, is_default: true });
+  if (!paymentMethod) {
+    return { failure: { code: errorCodes.PAY_DECLINED, status: 402, message: 'No default payment method on file; add one or extend this booking from the app' } };
+  }
+
+  return { paymentMethod };
 };
 
 /**
@@ -188,18 +277,41 @@ exports.getUserBookings = async (req, res, next) => {
 };
 
 /**
- * @desc    Get owner's bookings
+ * @desc    Get owner's bookings (view=subscribers lists monthly subscribers instead)
  * @route   GET /api/owners/:ownerId/bookings
  * @access  Private/Owner
  */
 exports.getOwnerBookings = async (req, res, next) => {
   try {
     const { ownerId } = req.params;
-    const { page = 1, limit = 10, status } = req.query;
+    const { page = 1, limit = 10, status, view = 'bookings' } = req.query;
     const { page: validPage, limit: validLimit } = validatePagination(page, limit);
 
+    // Subscribers are listed on their own; their monthly bookings stay out of the booking list
+    if (view === 'subscribers') {
+      const subscriptionFilter = { owner_id: ownerId };
+      if (status) subscriptionFilter.status = status;
+
+      const total = await Subscription.countDocuments(subscriptionFilter);
+
+      const subscriptions = await Subscription.find(subscriptionFilter)
+        .populate('user_id', 'email first_name last_name phone')
+        .populate('space_id', 'space_number space_type')
+        .populate('vehicle_id', 'vehicle_make vehicle_model license_plate')
+        .sort({ created_at: -1 })
+        .skip((validPage - 1) * validLimit)
+        .limit(validLimit);
+
+      return success(res, subscriptions, {
+        page: validPage,
+        limit: validLimit,
+        total,
+        totalPages: Math.ceil(total / validLimit)
+      });
+    }
+
     // Build filter
-    const filter = { owner_id: ownerId };
+    const filter = { owner_id: ownerId, subscription_id: null };
     if (status) filter.status = status;
 
     // Get total count
@@ -226,6 +338,66 @@ exports.getOwnerBookings = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get itemized price quote for a booking
+ * @route   POST /api/bookings/quote
+ * @access  Public
+ */
+exports.getQuote = async (req, res, next) => {
+  try {
+    const { space_id, start_time, end_time, promo_code } = req.body;
+
+    if (!isValidObjectId(space_id)) {
+      return error(res, errorCodes.REQ_INVALID_FORMAT, 400, 'Invalid space_id format');
+    }
+
+    const startDate = new Date(start_time);
+    const endDate = new Date(end_time);
+
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'Invalid date format');
+    }
+
+    if (endDate <= startDate) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'End time must be after start time');
+    }
+
+    const parkingSpace = await ParkingSpace.findById(space_id);
+
+    if (!parkingSpace) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Parking space not found');
+    }
+
+    if (parkingSpace.status !== 'active') {
+      return error(res, errorCodes.BIZ_SPACE_UNAVAILABLE, 400, 'Parking space is not available');
+    }
+
+    let promo = null;
+    if (promo_code) {
+      const promoResult = await resolvePromoCode(promo_code);
+      if (promoResult.failure) {
+        return error(res, errorCodes.REQ_VALIDATION, 400, promoResult.failure);
+      }
+      promo = promoResult.promo;
+    }
+
+    const durationHours = (endDate - startDate) / (1000 * 60 * 60);
+    const quote = await buildPriceQuote(parkingSpace, durationHours, { promo });
+
+    return success(res, {
+      quote: {
+        space_id: parkingSpace._id,
+        start_time: startDate,
+        end_time: endDate,
+        ...quote
+      }
+    });
+  } catch (err) {
+    console.error('Get quote error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error calculating quote');
+  }
+};
+
 /**
  * @desc    Create new booking
  * @route   POST /api/bookings
@@ -233,7 +405,7 @@ exports.getOwnerBookings = async (req, res, next) => {
  */
 exports.createBooking = async (req, res, next) => {
   try {
-    const { space_id, vehicle_id, start_time, end_time, promo_code } = req.body;
+    const { space_id, vehicle_id, start_time, end_time, promo_code, booking_type } = req.body;
 
     // Validate required fields
     if (!space_id || !vehicle_id || !start_time || !end_time) {
@@ -269,6 +441,30 @@ exports.createBooking = async (req, res, next) => {
       return error(res, errorCodes.BIZ_UNAVAILABLE, 400, 'Parking space is not available');
     }
 
+    // Check the requested time against the owner's published schedule
+    const schedule = await checkSpaceSchedule(space_id, startDate, endDate);
+    if (!schedule.available) {
+      return error(res, errorCodes.BIZ_SPACE_UNAVAILABLE, 400, schedule.reason, {
+        window: schedule.window,
+        windows: schedule.windows,
+        override: schedule.override
+      });
+    }
+
+    // Resolve booking type from the space's booking mode
+    if (booking_type && !['instant', 'request'].includes(booking_type)) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'booking_type must be instant or request');
+    }
+
+    let bookingType = 'instant';
+    if (parkingSpace.booking_mode === 'request') {
+      bookingType = 'request';
+    } else if (parkingSpace.booking_mode === 'both' && booking_type === 'request') {
+      bookingType = 'request';
+    } else if (parkingSpace.booking_mode === 'instant' && booking_type === 'request') {
+      return error(res, errorCodes.BIZ_OPERATION_NOT_ALLOWED, 400, 'This parking space only accepts instant bookings');
+    }
+
     // Check if vehicle exists and belongs to the user
     const vehicle = await UserVehicle.findById(vehicle_id);
 
@@ -284,80 +480,91 @@ exports.createBooking = async (req, res, next) => {
       return error(res, errorCodes.BIZ_VALIDATION, 400, 'Vehicle must be verified before booking');
     }
 
-    // Check for booking conflicts
-    const conflict = await hasBookingConflict(space_id, startDate, endDate);
-    if (conflict) {
-      return error(res, errorCodes.BIZ_CONFLICT, 409, 'Parking space is already booked for this time period');
+    // Resolve promo code if provided
+    let appliedPromo = null;
+    if (promo_code) {
+      const promoResult = await resolvePromoCode(promo_code, now);
+      if (promoResult.failure) {
+        return error(res, errorCodes.REQ_VALIDATION, 400, promoResult.failure);
+      }
+      appliedPromo = promoResult.promo;
     }
 
-    // Calculate duration and price
+    // Calculate duration and price with the same pricing module as quotes
     const durationMs = endDate - startDate;
     const durationHours = durationMs / (1000 * 60 * 60);
-    let totalPrice = calculateBookingPrice(parkingSpace, durationHours);
-    let discountAmount = 0;
-    let finalPrice = totalPrice;
-
-    // Apply promo code if provided
-    if (promo_code) {
-      const PromoCode = require('../models/PromoCode');
-      const promo = await PromoCode.findOne({
-        code: promo_code,
-        is_active: true,
-        valid_from: { $lte: now },
-        valid_to: { $gte: now }
-      });
+    const quote = await buildPriceQuote(parkingSpace, durationHours, { promo: appliedPromo });
+    const discountAmount = quote.discount_amount;
+
+    // Request bookings wait for owner approval until the request expires or the booking starts
+    let approvalExpiresAt = null;
+    let paymentExpiresAt = null;
+    if (bookingType === 'request') {
+      const expiryHours = await getNumberSetting('booking.request_expiry_hours', DEFAULT_REQUEST_EXPIRY_HOURS);
+      approvalExpiresAt = new Date(Math.min(now.getTime() + expiryHours * 60 * 60 * 1000, startDate.getTime()));
+    } else {
+      paymentExpiresAt = await getPaymentExpiry(now);
+    }
 
-      if (promo) {
-        // Check usage limits
-        if (promo.max_uses && promo.used_count >= promo.max_uses) {
-          return error(res, errorCodes.BIZ_VALIDATION, 400, 'Promo code has reached maximum usage limit');
-        }
+    // Generate booking number
+    const bookingNumber = generateBookingNumber();
 
-        // Check minimum booking amount
-        if (promo.min_booking_amount && totalPrice < promo.min_booking_amount) {
-          return error(res, errorCodes.BIZ_VALIDATION, 400, `Minimum booking amount of ${promo.min_booking_amount} required for this promo code`);
-        }
+    // Reserve the slot - the conflict check and insert run under the space lock
+    const lockToken = await acquireSpaceLock(space_id);
+    if (!lockToken) {
+      return error(res, errorCodes.BIZ_BOOKING_CONFLICT, 409, 'Parking space is being booked by another request, please try again');
+    }
 
-        // Calculate discount
-        if (promo.discount_type === 'percentage') {
-          discountAmount = (totalPrice * promo.discount_value) / 100;
-          if (promo.max_discount_amount) {
-            discountAmount = Math.min(discountAmount, promo.max_discount_amount);
-          }
-        } else if (promo.discount_type === 'fixed') {
-          discountAmount = promo.discount_value;
-        }
+    let booking;
+    try {
+      // A waitlist hold granted to this driver does not block their own booking
+      const conflict = await hasBookingConflict(space_id, startDate, endDate, null, { holdUserId: req.user._id });
+      if (conflict) {
+        return error(res, errorCodes.BIZ_BOOKING_CONFLICT, 409, 'Parking space is already booked for this time period');
+      }
 
-        finalPrice = Math.max(0, totalPrice - discountAmount);
+      // Create booking
+      booking = await Booking.create({
+        booking_number: bookingNumber,
+        user_id: req.user._id,
+        owner_id: parkingSpace.owner_id._id,
+        space_id: space_id,
+        vehicle_id: vehicle_id,
+        start_time: startDate,
+        end_time: endDate,
+        duration_hours: durationHours,
+        ...bookingPriceFields(quote),
+        status: bookingType === 'request' ? 'requested' : 'pending',
+        payment_status: 'pending',
+        booking_type: bookingType,
+        approval_expires_at: approvalExpiresAt,
+        payment_expires_at: paymentExpiresAt,
+        promo_code: promo_code || null,
+        cancellation_policy: getPolicySnapshot(parkingSpace)
+      });
 
-        // Increment promo code usage
-        promo.used_count += 1;
-        await promo.save();
-      } else {
-        return error(res, errorCodes.BIZ_VALIDATION, 400, 'Invalid or expired promo code');
-      }
+      await claimWaitlistHolds(req.user._id, space_id, booking);
+    } finally {
+      await releaseSpaceLock(space_id, lockToken);
     }
 
-    // Generate booking number
-    const bookingNumber = generateBookingNumber();
+    await recordBookingsCreated([booking], { actor: req.user });
 
-    // Create booking
-    const booking = await Booking.create({
-      booking_number: bookingNumber,
-      user_id: req.user._id,
-      owner_id: parkingSpace.owner_id._id,
-      space_id: space_id,
-      vehicle_id: vehicle_id,
-      start_time: startDate,
-      end_time: endDate,
-      duration_hours: durationHours,
-      base_price: totalPrice,
-      discount_amount: discountAmount,
-      total_amount: finalPrice,
-      status: 'pending',
-      payment_status: 'pending',
-      promo_code: promo_code || null
-    });
+    // Record promo code usage only once the slot is secured
+    if (appliedPromo) {
+      await recordPromoUsage(appliedPromo, req.user._id, booking._id, discountAmount);
+    }
+
+    // Let the owner know a request is waiting for them
+    if (bookingType === 'request') {
+      await notify({
+        user_id: parkingSpace.owner_id.user_id,
+        notification_type: 'booking_request',
+        title: 'New booking request',
+        message: `Booking request ${bookingNumber} for space ${parkingSpace.space_number} needs your approval by ${approvalExpiresAt.toISOString()}`,
+        reference_id: booking._id
+      });
+    }
 
     // Populate booking details
     const populatedBooking = await Booking.findById(booking._id)
@@ -400,6 +607,17 @@ exports.updateBooking = async (req, res, next) => {
       return error(res, errorCodes.BIZ_OPERATION_NOT_ALLOWED, 400, 'Cannot update booking in current status');
     }
 
+    const previous = {
+      vehicle_id: booking.vehicle_id,
+      start_time: booking.start_time,
+      end_time: booking.end_time,
+      duration_hours: booking.duration_hours,
+      base_price: booking.base_price,
+      total_amount: booking.total_amount
+    };
+    let topUpPayment = null;
+    let priceRefunds = [];
+
     // Update vehicle if provided
     if (vehicle_id && vehicle_id !== booking.vehicle_id.toString()) {
       const vehicle = await UserVehicle.findById(vehicle_id);
@@ -438,24 +656,90 @@ exports.updateBooking = async (req, res, next) => {
         return error(res, errorCodes.BIZ_VALIDATION, 400, 'End time must be after start time');
       }
 
-      // Check for conflicts with the new dates
-      const conflict = await hasBookingConflict(booking.space_id._id, newStartTime, newEndTime, booking._id);
-      if (conflict) {
-        return error(res, errorCodes.BIZ_CONFLICT, 409, 'Parking space is already booked for this time period');
+      // Check the new time against the owner's published schedule
+      const schedule = await checkSpaceSchedule(booking.space_id._id, newStartTime, newEndTime);
+      if (!schedule.available) {
+        return error(res, errorCodes.BIZ_SPACE_UNAVAILABLE, 400, schedule.reason, {
+          window: schedule.window,
+          windows: schedule.windows,
+          override: schedule.override
+        });
       }
 
-      // Recalculate price if dates changed
+      // Recalculate price if dates changed, keeping the discount already granted
       const durationMs = newEndTime - newStartTime;
       const durationHours = durationMs / (1000 * 60 * 60);
-      const newTotalPrice = calculateBookingPrice(booking.space_id, durationHours);
+      const quote = await buildPriceQuote(booking.space_id, durationHours, {
+        fixedDiscount: booking.discount_amount
+      });
 
       booking.start_time = newStartTime;
       booking.end_time = newEndTime;
-      booking.total_price = newTotalPrice;
-      booking.final_price = newTotalPrice - booking.discount_amount;
+      booking.duration_hours = durationHours;
+      booking.set(bookingPriceFields(quote));
+
+      // Check for conflicts with the new dates and save under the space lock
+      const lockToken = await acquireSpaceLock(booking.space_id._id);
+      if (!lockToken) {
+        return error(res, errorCodes.BIZ_BOOKING_CONFLICT, 409, 'Parking space is being booked by another request, please try again');
+      }
+
+      try {
+        const conflict = await hasBookingConflict(booking.space_id._id, newStartTime, newEndTime, booking._id);
+        if (conflict) {
+          return error(res, errorCodes.BIZ_BOOKING_CONFLICT, 409, 'Parking space is already booked for this time period');
+        }
+
+        // A paid booking that got dearer is only moved once the difference is collected
+        const topUp = await collectTopUp(booking, roundAmount(booking.total_amount - previous.total_amount));
+        if (topUp.failure) {
+          return error(res, topUp.failure.code, topUp.failure.status, topUp.failure.message);
+        }
+        topUpPayment = topUp.payment;
+
+        await booking.save();
+      } finally {
+        await releaseSpaceLock(booking.space_id._id, lockToken);
+      }
+
+      // A paid booking that got cheaper gets the difference back
+      if (booking.total_amount < previous.total_amount) {
+        priceRefunds = await createBookingRefund(
+          booking,
+          roundAmount(previous.total_amount - booking.total_amount),
+          `Price reduced after new booking times on booking ${booking.booking_number}`
+        );
+      }
+    } else {
+      await booking.save();
     }
 
-    await booking.save();
+    // Log each kind of change as its own history event
+    const vehicleChanges = buildChanges([['vehicle_id', previous.vehicle_id, booking.vehicle_id]]);
+    if (vehicleChanges.length > 0) {
+      await recordBookingEvent(booking._id, 'vehicle_change', { actor: req.user, changes: vehicleChanges });
+    }
+
+    const timeChanges = buildChanges([
+      ['start_time', previous.start_time.toISOString(), booking.start_time.toISOString()],
+      ['end_time', previous.end_time.toISOString(), booking.end_time.toISOString()]
+    ]);
+    if (timeChanges.length > 0) {
+      await recordBookingEvent(booking._id, 'time_change', { actor: req.user, changes: timeChanges });
+    }
+
+    const priceChanges = buildChanges([
+      ['duration_hours', previous.duration_hours, booking.duration_hours],
+      ['base_price', previous.base_price, booking.base_price],
+      ['total_amount', previous.total_amount, booking.total_amount]
+    ]);
+    if (priceChanges.length > 0) {
+      await recordBookingEvent(booking._id, 'price_change', {
+        actor: req.user,
+        changes: priceChanges,
+        reason: 'Price recalculated for new booking times'
+      });
+    }
 
     // Populate and return updated booking
     const updatedBooking = await Booking.findById(id)
@@ -464,13 +748,69 @@ exports.updateBooking = async (req, res, next) => {
       .populate('space_id', 'space_number space_type hourly_rate daily_rate monthly_rate')
       .populate('vehicle_id', 'vehicle_make vehicle_model license_plate');
 
-    return success(res, { booking: updatedBooking });
+    return success(res, {
+      booking: updatedBooking,
+      payment: topUpPayment,
+      refunds: priceRefunds
+    });
   } catch (err) {
     console.error('Update booking error:', err);
     return error(res, errorCodes.SERVER_ERROR, 500, 'Error updating booking');
   }
 };
 
+/**
+ * @desc    Preview the refund for cancelling a booking now
+ * @route   GET /api/bookings/:id/refund-preview
+ * @access  Private (booking user, space owner or admin)
+ */
+exports.getRefundPreview = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await Booking.findById(id).populate('owner_id', 'user_id');
+
+    if (!booking) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Booking not found');
+    }
+
+    // Check authorization
+    const ownerUserId = booking.owner_id && booking.owner_id.user_id ? booking.owner_id.user_id.toString() : null;
+    if (req.user.user_type !== 'admin' &&
+        booking.user_id.toString() !== req.user._id.toString() &&
+        ownerUserId !== req.user._id.toString()) {
+      return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Not authorized to view this booking');
+    }
+
+    const cancellable = !['cancelled', 'completed', 'no_show', 'declined', 'expired'].includes(booking.status);
+    const now = new Date();
+
+    // Only paid bookings get money back; unpaid ones simply release the slot
+    const isPaid = booking.payment_status === 'paid';
+    const refundable = await getRefundableAmount(booking);
+    const { refundAmount, refundPercentage, hoursUntilStart, policy, tier } = calculateCancellationRefund(booking, now, refundable);
+
+    return success(res, {
+      booking_id: booking._id,
+      booking_number: booking.booking_number,
+      cancellable,
+      cancellation_policy: booking.cancellation_policy && booking.cancellation_policy.name
+        ? booking.cancellation_policy
+        : { name: policy },
+      hours_until_start: Math.round(hoursUntilStart * 100) / 100,
+      applied_tier: tier,
+      amount_paid: isPaid ? await getPaidAmount(booking) : 0,
+      refundable_amount: refundable,
+      refund_percentage: cancellable ? refundPercentage : 0,
+      refund_amount: cancellable && isPaid ? refundAmount : 0,
+      calculated_at: now
+    });
+  } catch (err) {
+    console.error('Get refund preview error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error calculating refund preview');
+  }
+};
+
 /**
  * @desc    Cancel booking
  * @route   PUT /api/bookings/:id/cancel
@@ -496,57 +836,36 @@ exports.cancelBooking = async (req, res, next) => {
       return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Not authorized to cancel this booking');
     }
 
-    // Cannot cancel already cancelled, completed, or no-show bookings
-    if (['cancelled', 'completed', 'no_show'].includes(booking.status)) {
+    // Cannot cancel already cancelled, completed, no-show, declined or expired bookings
+    if (['cancelled', 'completed', 'no_show', 'declined', 'expired'].includes(booking.status)) {
       return error(res, errorCodes.BIZ_OPERATION_NOT_ALLOWED, 400, 'Cannot cancel booking in current status');
     }
 
-    // Check if booking has already started
-    const now = new Date();
-    const hasStarted = now >= booking.start_time;
+    // A subscription month ends through notice on the subscription
+    if (booking.subscription_id) {
+      return error(res, errorCodes.BIZ_OPERATION_NOT_ALLOWED, 400, 'Subscription bookings cannot be cancelled individually, give notice on the subscription instead');
+    }
 
     // Calculate refund amount based on cancellation policy
-    let refundAmount = 0;
-    let refundPercentage = 0;
-
-    if (!hasStarted) {
-      const hoursUntilStart = (booking.start_time - now) / (1000 * 60 * 60);
-
-      // Refund policy:
-      // > 48 hours: 100% refund
-      // 24-48 hours: 50% refund
-      // < 24 hours: 0% refund
-      if (hoursUntilStart > 48) {
-        refundPercentage = 100;
-      } else if (hoursUntilStart > 24) {
-        refundPercentage = 50;
-      } else {
-        refundPercentage = 0;
-      }
-
-      refundAmount = (booking.final_price * refundPercentage) / 100;
-    }
+    const now = new Date();
+    const { refundAmount, refundPercentage, policy } = calculateCancellationRefund(booking, now, await getRefundableAmount(booking));
 
     // Update booking status
+    const previousStatus = booking.status;
     booking.status = 'cancelled';
     booking.cancellation_reason = cancellation_reason || 'User cancelled';
     booking.cancelled_at = now;
     booking.refund_amount = refundAmount;
 
     // If payment was completed, create refund record
-    if (booking.payment_status === 'completed' && refundAmount > 0) {
-      const Refund = require('../models/Refund');
-      await Refund.create({
-        booking_id: booking._id,
-        user_id: booking.user_id,
-        amount: refundAmount,
-        reason: cancellation_reason || 'Booking cancelled',
-        status: 'pending',
-        initiated_by: req.user._id
-      });
-    }
+    await createBookingRefund(booking, refundAmount, cancellation_reason || 'Booking cancelled');
 
     await booking.save();
+    await recordStatusChange(booking._id, previousStatus, 'cancelled', {
+      actor: req.user,
+      reason: booking.cancellation_reason
+    });
+    await releaseToWaitlist(booking);
 
     // Populate and return cancelled booking
     const cancelledBooking = await Booking.findById(id)
@@ -560,6 +879,7 @@ exports.cancelBooking = async (req, res, next) => {
       refund: {
         amount: refundAmount,
         percentage: refundPercentage,
+        policy,
         status: refundAmount > 0 ? 'pending' : 'not_applicable'
       }
     });
@@ -569,6 +889,180 @@ exports.cancelBooking = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Approve booking request
+ * @route   PUT /api/bookings/:id/approve
+ * @access  Private/Owner or Admin
+ */
+exports.approveBooking = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Find booking and populate owner to get user_id
+    const booking = await Booking.findById(id).populate('owner_id', 'user_id');
+
+    if (!booking) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Booking not found');
+    }
+
+    // Check authorization - only owner or admin can approve
+    const ownerUserId = booking.owner_id && booking.owner_id.user_id ? booking.owner_id.user_id.toString() : null;
+    if (req.user.user_type !== 'admin' && ownerUserId !== req.user._id.toString()) {
+      return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Not authorized to approve this booking');
+    }
+
+    if (booking.status !== 'requested') {
+      return error(res, errorCodes.BIZ_INVALID_STATE, 400, 'Only requested bookings can be approved');
+    }
+
+    const now = new Date();
+
+    // Requests the sweeper has not reached yet still count as expired
+    if (booking.approval_expires_at && booking.approval_expires_at <= now) {
+      booking.status = 'expired';
+      booking.approval_responded_at = now;
+      await booking.save();
+      await recordStatusChange(booking._id, 'requested', 'expired', {
+        reason: 'Approval window closed before the owner responded'
+      });
+      await reversePromoUsage(booking._id);
+      await releaseToWaitlist(booking);
+      return error(res, errorCodes.BIZ_INVALID_STATE, 400, 'Booking request has expired');
+    }
+
+    // Approved requests move on to payment like instant bookings
+    booking.status = 'pending';
+    booking.approval_responded_at = now;
+    booking.payment_expires_at = await getPaymentExpiry(now);
+    await booking.save();
+    await recordStatusChange(booking._id, 'requested', 'pending', {
+      actor: req.user,
+      reason: 'Booking request approved'
+    });
+
+    await notify({
+      user_id: booking.user_id,
+      notification_type: 'booking_approved',
+      title: 'Booking request approved',
+      message: `Your booking request ${booking.booking_number} was approved. Complete payment to confirm it.`,
+      reference_id: booking._id
+    });
+
+    // Populate and return approved booking
+    const approvedBooking = await Booking.findById(id)
+      .populate('user_id', 'email first_name last_name phone')
+      .populate('owner_id', 'business_name')
+      .populate('space_id', 'space_number space_type')
+      .populate('vehicle_id', 'vehicle_make vehicle_model license_plate');
+
+    return success(res, { booking: approvedBooking });
+  } catch (err) {
+    console.error('Approve booking error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error approving booking');
+  }
+};
+
+/**
+ * @desc    Decline booking request
+ * @route   PUT /api/bookings/:id/decline
+ * @access  Private/Owner or Admin
+ */
+exports.declineBooking = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { decline_reason } = req.body || {};
+
+    // Find booking and populate owner to get user_id
+    const booking = await Booking.findById(id).populate('owner_id', 'user_id');
+
+    if (!booking) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Booking not found');
+    }
+
+    // Check authorization - only owner or admin can decline
+    const ownerUserId = booking.owner_id && booking.owner_id.user_id ? booking.owner_id.user_id.toString() : null;
+    if (req.user.user_type !== 'admin' && ownerUserId !== req.user._id.toString()) {
+      return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Not authorized to decline this booking');
+    }
+
+    if (booking.status !== 'requested') {
+      return error(res, errorCodes.BIZ_INVALID_STATE, 400, 'Only requested bookings can be declined');
+    }
+
+    booking.status = 'declined';
+    booking.approval_responded_at = new Date();
+    booking.decline_reason = decline_reason || 'Declined by owner';
+    await booking.save();
+    await recordStatusChange(booking._id, 'requested', 'declined', {
+      actor: req.user,
+      reason: booking.decline_reason
+    });
+    await reversePromoUsage(booking._id);
+    await releaseToWaitlist(booking);
+
+    await notify({
+      user_id: booking.user_id,
+      notification_type: 'booking_declined',
+      title: 'Booking request declined',
+      message: `Your booking request ${booking.booking_number} was declined: ${booking.decline_reason}`,
+      reference_id: booking._id
+    });
+
+    // Populate and return declined booking
+    const declinedBooking = await Booking.findById(id)
+      .populate('user_id', 'email first_name last_name phone')
+      .populate('owner_id', 'business_name')
+      .populate('space_id', 'space_number space_type')
+      .populate('vehicle_id', 'vehicle_make vehicle_model license_plate');
+
+    return success(res, { booking: declinedBooking });
+  } catch (err) {
+    console.error('Decline booking error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error declining booking');
+  }
+};
+
+/**
+ * @desc    Get signed check-in QR payload for a booking
+ * @route   GET /api/bookings/:id/qr
+ * @access  Private (booking user or admin)
+ */
+exports.getCheckInQr = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await Booking.findById(id).select('+verification_code');
+
+    if (!booking) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Booking not found');
+    }
+
+    // Only the driver holding the booking (or an admin) may see the code
+    if (booking.user_id.toString() !== req.user._id.toString() && req.user.user_type !== 'admin') {
+      return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Not authorized to view this booking\'s check-in code');
+    }
+
+    if (booking.status !== 'confirmed' || !booking.verification_code) {
+      return error(res, errorCodes.BIZ_INVALID_STATE, 400, 'Check-in code is only available for confirmed bookings');
+    }
+
+    if (booking.end_time <= new Date()) {
+      return error(res, errorCodes.BIZ_INVALID_STATE, 400, 'Booking has already ended');
+    }
+
+    return success(res, {
+      booking_id: booking._id,
+      booking_number: booking.booking_number,
+      verification_code: booking.verification_code,
+      qr_payload: signCheckInPayload(booking, booking.verification_code),
+      expires_at: booking.end_time
+    });
+  } catch (err) {
+    console.error('Get check-in QR error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error generating check-in code');
+  }
+};
+
 /**
  * @desc    Check-in to booking
  * @route   PUT /api/bookings/:id/checkin
@@ -577,10 +1071,13 @@ exports.cancelBooking = async (req, res, next) => {
 exports.checkIn = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { verification_code } = req.body || {};
+    const { verification_code, qr_payload } = req.body || {};
 
     // Find booking and populate owner to get user_id
-    const booking = await Booking.findById(id).populate('owner_id', 'user_id');
+    const booking = await Booking.findById(id)
+      .select('+verification_code')
+      .populate('owner_id', 'user_id')
+      .populate('space_id', 'require_verification_code');
 
     if (!booking) {
       return error(res, errorCodes.NOT_FOUND, 404, 'Booking not found');
@@ -597,10 +1094,11 @@ exports.checkIn = async (req, res, next) => {
       return error(res, errorCodes.BIZ_OPERATION_NOT_ALLOWED, 400, 'Only confirmed bookings can be checked in');
     }
 
-    // Verify check-in is within allowed window (1 hour before to 1 hour after start time)
+    // Verify check-in is within allowed window (before and after start time)
     const now = new Date();
-    const earlyCheckIn = new Date(booking.start_time.getTime() - (60 * 60 * 1000)); // 1 hour before
-    const lateCheckIn = new Date(booking.start_time.getTime() + (60 * 60 * 1000)); // 1 hour after
+    const checkInWindowMs = await getCheckInWindowMs();
+    const earlyCheckIn = new Date(booking.start_time.getTime() - checkInWindowMs);
+    const lateCheckIn = new Date(booking.start_time.getTime() + checkInWindowMs);
 
     if (now < earlyCheckIn) {
       return error(res, errorCodes.BIZ_OPERATION_NOT_ALLOWED, 400, 'Check-in window has not opened yet');
@@ -610,18 +1108,38 @@ exports.checkIn = async (req, res, next) => {
       // Mark as no-show if check-in window has passed
       booking.status = 'no_show';
       await booking.save();
+      await recordStatusChange(booking._id, 'confirmed', 'no_show', {
+        actor: req.user,
+        reason: 'Check-in attempted after the check-in window closed'
+      });
       return error(res, errorCodes.BIZ_OPERATION_NOT_ALLOWED, 400, 'Check-in window has passed. Booking marked as no-show');
     }
 
-    // Verify check-in code if provided (optional verification)
-    if (verification_code && booking.verification_code && verification_code !== booking.verification_code) {
-      return error(res, errorCodes.BIZ_VALIDATION, 400, 'Invalid verification code');
+    // Resolve the presented code from a scanned QR payload or a typed code
+    let presentedCode = verification_code;
+    if (qr_payload) {
+      const scanned = verifyCheckInPayload(qr_payload);
+      if (!scanned || scanned.booking_id !== booking._id.toString()) {
+        return error(res, errorCodes.REQ_VALIDATION, 400, 'Invalid or expired QR code for this booking');
+      }
+      presentedCode = scanned.verification_code;
+    }
+
+    const codeRequired = booking.space_id && booking.space_id.require_verification_code;
+    if (codeRequired && !presentedCode) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'Verification code or QR code is required to check in at this space');
+    }
+
+    // Verify check-in code if provided (required when the space demands it)
+    if (presentedCode && !verificationCodesMatch(presentedCode, booking.verification_code)) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'Invalid verification code');
     }
 
     // Update booking status to active
     booking.status = 'active';
-    booking.actual_start_time = now;
+    booking.check_in_time = now;
     await booking.save();
+    await recordStatusChange(booking._id, 'confirmed', 'active', { actor: req.user });
 
     // Populate and return booking
     const checkedInBooking = await Booking.findById(id)
@@ -665,30 +1183,72 @@ exports.checkOut = async (req, res, next) => {
     }
 
     const now = new Date();
+    const parkingSpace = await ParkingSpace.findById(booking.space_id);
 
-    // Calculate any overtime charges
-    let overtimeCharge = 0;
-    if (now > booking.end_time) {
-      const overtimeMs = now - booking.end_time;
-      const overtimeHours = Math.ceil(overtimeMs / (1000 * 60 * 60));
+    // Price any overtime with the space's grace period and multiplier
+    let overtime = null;
+    if (parkingSpace && now > booking.end_time) {
+      overtime = calculateOvertime(parkingSpace, booking.end_time, now, await getOvertimeTerms(parkingSpace));
+    }
 
-      // Get parking space for hourly rate
-      const parkingSpace = await ParkingSpace.findById(booking.space_id);
-      if (parkingSpace) {
-        overtimeCharge = overtimeHours * parkingSpace.hourly_rate * 1.5; // 1.5x rate for overtime
+    const overtimeCharge = overtime ? overtime.amount : 0;
+
+    // Price the unused time when the space refunds early check-outs
+    // Subscription months are billed as a whole and never refunded pro rata
+    let unusedTime = null;
+    let paidAmount = 0;
+    if (parkingSpace && now < booking.end_time && !booking.subscription_id && booking.payment_status === 'paid') {
+      const earlyCheckoutTerms = await getEarlyCheckoutTerms(parkingSpace);
+      if (earlyCheckoutTerms.enabled) {
+        paidAmount = await getPaidAmount(booking);
+        unusedTime = await calculateUnusedTimeRefund(booking, parkingSpace, now, earlyCheckoutTerms, paidAmount);
       }
     }
 
     // Update booking status to completed
     booking.status = 'completed';
-    booking.actual_end_time = now;
+    booking.check_out_time = now;
+
+    if (overtime) {
+      booking.overtime_minutes = overtime.minutes;
+    }
 
     if (overtimeCharge > 0) {
       booking.overtime_charge = overtimeCharge;
-      booking.final_price += overtimeCharge;
     }
 
     await booking.save();
+    await recordStatusChange(booking._id, 'active', 'completed', {
+      actor: req.user,
+      reason: overtimeCharge > 0 ? `Checked out with overtime charge ${overtimeCharge}` : undefined
+    });
+
+    // Collect the overtime from the driver; a failed charge becomes an outstanding balance
+    let overtimePayment = null;
+    if (overtimeCharge > 0) {
+      overtimePayment = await chargeOvertime(booking, ownerUserId);
+    }
+
+    // Refund the unused time through the regular refund pipeline
+    const unusedTimeRefunds = unusedTime && unusedTime.refund_amount > 0
+      ? await refundUnusedTime(booking, unusedTime.refund_amount)
+      : [];
+    const unusedTimeRefundAmount = roundAmount(unusedTimeRefunds.reduce((sum, refund) => sum + refund.refund_amount, 0));
+
+    if (unusedTimeRefunds.length > 0) {
+      await Booking.updateOne(
+        { _id: booking._id },
+        { $set: { early_checkout_refund_amount: unusedTimeRefundAmount, early_checkout_refund_id: unusedTimeRefunds[0]._id } }
+      );
+
+      await notify({
+        user_id: booking.user_id,
+        notification_type: 'early_checkout_refund',
+        title: 'Refund for unused time',
+        message: `You checked out of booking ${booking.booking_number} early. A refund of ${unusedTimeRefundAmount} USD for the unused time has been requested.`,
+        reference_id: booking._id
+      });
+    }
 
     // Populate and return booking
     const checkedOutBooking = await Booking.findById(id)
@@ -701,7 +1261,21 @@ exports.checkOut = async (req, res, next) => {
       booking: checkedOutBooking,
       overtime: overtimeCharge > 0 ? {
         charge: overtimeCharge,
-        message: 'Overtime charges applied'
+        minutes: overtime.minutes,
+        billable_hours: overtime.billable_hours,
+        hourly_rate: overtime.hourly_rate,
+        multiplier: overtime.multiplier,
+        grace_minutes: overtime.grace_minutes,
+        payment_status: overtimePayment.status,
+        payment: overtimePayment.payment,
+        message: overtimePayment.status === 'paid'
+          ? 'Overtime charged to the default payment method'
+          : `Overtime could not be charged (${overtimePayment.failure_reason}) and is now an outstanding balance`
+      } : null,
+      unused_time_refund: unusedTimeRefunds.length > 0 ? {
+        ...unusedTime,
+        refund_amount: unusedTimeRefundAmount,
+        refunds: unusedTimeRefunds
       } : null
     });
   } catch (err) {
@@ -710,6 +1284,74 @@ exports.checkOut = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get current user's outstanding overtime balance
+ * @route   GET /api/bookings/outstanding-balance
+ * @access  Private
+ */
+exports.getOutstandingBalance = async (req, res, next) => {
+  try {
+    const bookings = await Booking.find({
+      user_id: req.user._id,
+      overtime_payment_status: 'outstanding'
+    })
+      .select('booking_number space_id end_time check_out_time overtime_minutes overtime_charge overtime_payment_id')
+      .populate('space_id', 'space_number')
+      .sort({ check_out_time: 1 });
+
+    return success(res, {
+      outstanding_balance: roundAmount(bookings.reduce((sum, booking) => sum + booking.overtime_charge, 0)),
+      currency: 'USD',
+      bookings
+    });
+  } catch (err) {
+    console.error('Get outstanding balance error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error fetching outstanding balance');
+  }
+};
+
+/**
+ * @desc    Retry an outstanding overtime charge against the default payment method
+ * @route   POST /api/bookings/:id/overtime/pay
+ * @access  Private (booking user or admin)
+ */
+exports.payOvertime = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await Booking.findById(id).populate('owner_id', 'user_id');
+
+    if (!booking) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Booking not found');
+    }
+
+    if (booking.user_id.toString() !== req.user._id.toString() && req.user.user_type !== 'admin') {
+      return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Not authorized to pay for this booking');
+    }
+
+    if (booking.overtime_payment_status !== 'outstanding') {
+      return error(res, errorCodes.BIZ_INVALID_STATE, 400, 'Booking has no outstanding overtime balance');
+    }
+
+    const ownerUserId = booking.owner_id && booking.owner_id.user_id ? booking.owner_id.user_id : null;
+    const result = await chargeOvertime(booking, ownerUserId);
+
+    return success(res, {
+      booking_id: booking._id,
+      booking_number: booking.booking_number,
+      overtime_charge: booking.overtime_charge,
+      payment_status: result.status,
+      payment: result.payment,
+      message: result.status === 'paid'
+        ? 'Overtime charged to the default payment method'
+        : `Overtime could not be charged (${result.failure_reason})`
+    }, null, result.status === 'paid' ? 201 : 200);
+  } catch (err) {
+    console.error('Pay overtime error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error charging overtime');
+  }
+};
+
 /**
  * @desc    Extend booking
  * @route   PUT /api/bookings/:id/extend
@@ -757,35 +1399,89 @@ exports.extendBooking = async (req, res, next) => {
       return error(res, errorCodes.BIZ_VALIDATION, 400, 'New end time must be in the future');
     }
 
-    // Check for conflicts with extended time
-    const conflict = await hasBookingConflict(booking.space_id._id, booking.end_time, newEndDate, booking._id);
-    if (conflict) {
-      return error(res, errorCodes.BIZ_CONFLICT, 409, 'Cannot extend: parking space is already booked for the requested time period');
+    // Check the extra time against the owner's published schedule
+    const schedule = await checkSpaceSchedule(booking.space_id._id, booking.end_time, newEndDate);
+    if (!schedule.available) {
+      return error(res, errorCodes.BIZ_SPACE_UNAVAILABLE, 400, schedule.reason, {
+        window: schedule.window,
+        windows: schedule.windows,
+        override: schedule.override
+      });
     }
 
     // Calculate additional price for extension
     const extensionMs = newEndDate - booking.end_time;
     const extensionHours = extensionMs / (1000 * 60 * 60);
-    const extensionPrice = calculateBookingPrice(booking.space_id, extensionHours);
+    const extensionQuote = await buildPriceQuote(booking.space_id, extensionHours);
+    const extensionPrice = extensionQuote.total;
 
     // Update booking
     const oldEndTime = booking.end_time;
-    booking.end_time = newEndDate;
-    booking.total_price += extensionPrice;
-    booking.final_price += extensionPrice;
+    const oldDurationHours = booking.duration_hours;
+    const oldBasePrice = booking.base_price;
+    const oldTotalAmount = booking.total_amount;
 
-    // Track extension in metadata
-    if (!booking.extensions) {
-      booking.extensions = [];
-    }
+    booking.end_time = newEndDate;
+    booking.duration_hours = (newEndDate - booking.start_time) / (1000 * 60 * 60);
+    booking.base_price = roundAmount(booking.base_price + extensionQuote.subtotal);
+    booking.service_fee = roundAmount(booking.service_fee + extensionQuote.service_fee);
+    booking.tax_amount = roundAmount(booking.tax_amount + extensionQuote.tax_amount);
+    booking.platform_commission = roundAmount(booking.platform_commission + extensionQuote.platform_commission);
+    booking.owner_payout = roundAmount((booking.owner_payout || 0) + extensionQuote.owner_payout);
+    booking.total_amount = roundAmount(booking.total_amount + extensionPrice);
+
+    // Track extension in the booking's ledger
     booking.extensions.push({
       old_end_time: oldEndTime,
       new_end_time: newEndDate,
       extension_price: extensionPrice,
+      extended_by: req.user._id,
       extended_at: now
     });
 
-    await booking.save();
+    // Check for conflicts with extended time and save under the space lock
+    const lockToken = await acquireSpaceLock(booking.space_id._id);
+    if (!lockToken) {
+      return error(res, errorCodes.BIZ_BOOKING_CONFLICT, 409, 'Parking space is being booked by another request, please try again');
+    }
+
+    let topUpPayment = null;
+    try {
+      const conflict = await hasBookingConflict(booking.space_id._id, oldEndTime, newEndDate, booking._id);
+      if (conflict) {
+        return error(res, errorCodes.BIZ_BOOKING_CONFLICT, 409, 'Cannot extend: parking space is already booked for the requested time period');
+      }
+
+      // The extra time on a paid booking is only held once it is paid for
+      const topUp = await collectTopUp(booking, extensionPrice);
+      if (topUp.failure) {
+        return error(res, topUp.failure.code, topUp.failure.status, topUp.failure.message);
+      }
+      topUpPayment = topUp.payment;
+      if (topUpPayment) {
+        booking.extensions[booking.extensions.length - 1].payment_id = topUpPayment._id;
+      }
+
+      await booking.save();
+    } finally {
+      await releaseSpaceLock(booking.space_id._id, lockToken);
+    }
+
+    await recordBookingEvent(booking._id, 'extension', {
+      actor: req.user,
+      changes: buildChanges([
+        ['end_time', oldEndTime.toISOString(), newEndDate.toISOString()],
+        ['duration_hours', oldDurationHours, booking.duration_hours]
+      ])
+    });
+    await recordBookingEvent(booking._id, 'price_change', {
+      actor: req.user,
+      changes: buildChanges([
+        ['base_price', oldBasePrice, booking.base_price],
+        ['total_amount', oldTotalAmount, booking.total_amount]
+      ]),
+      reason: `Extension charge ${extensionPrice}`
+    });
 
     // Populate and return extended booking
     const extendedBooking = await Booking.findById(id)
@@ -799,7 +1495,9 @@ exports.extendBooking = async (req, res, next) => {
       extension: {
         old_end_time: oldEndTime,
         new_end_time: newEndDate,
-        additional_charge: extensionPrice
+        additional_charge: extensionPrice,
+        price_breakdown: extensionQuote,
+        payment: topUpPayment
       }
     });
   } catch (err) {
@@ -807,3 +1505,190 @@ exports.extendBooking = async (req, res, next) => {
     return error(res, errorCodes.SERVER_ERROR, 500, 'Error extending booking');
   }
 };
+
+/**
+ * @desc    Preview a one-tap extension before confirming it
+ * @route   GET /api/bookings/:id/quick-extend?token=...&hours=...
+ * @access  Public (the signed link token identifies the booking holder)
+ */
+exports.previewQuickExtend = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { booking, hours, failure } = await resolveExtendLink(id, req.query.token, req.query.hours);
+    if (failure) {
+      return error(res, failure.code, failure.status, failure.message);
+    }
+
+    // Read-only: nothing here changes the booking, so link prefetchers are harmless
+    const newEndTime = new Date(booking.end_time.getTime() + hours * 60 * 60 * 1000);
+    const schedule = await checkSpaceSchedule(booking.space_id._id, booking.end_time, newEndTime);
+    const conflict = schedule.available
+      ? await hasBookingConflict(booking.space_id._id, booking.end_time, newEndTime, booking._id)
+      : null;
+    const quote = await buildPriceQuote(booking.space_id, hours);
+    const { paymentMethod, failure: paymentFailure } = await findQuickExtendPaymentMethod(booking);
+
+    return success(res, {
+      booking_id: booking._id,
+      booking_number: booking.booking_number,
+      status: booking.status,
+      current_end_time: booking.end_time,
+      new_end_time: newEndTime,
+      hours,
+      max_hours: MAX_QUICK_EXTEND_HOURS,
+      available: schedule.available && !conflict,
+      reason: !schedule.available ? schedule.reason : (conflict ? 'Parking space is already booked for the requested time period' : null),
+      extension_price: quote.total,
+      currency: quote.currency,
+      payment_method: paymentMethod
+        ? { payment_type: paymentMethod.payment_type, card_brand: paymentMethod.card_brand, card_last4: paymentMethod.card_last4 }
+        : null,
+      payment_reason: paymentFailure ? paymentFailure.message : null
+    });
+  } catch (err) {
+    console.error('Preview quick extend error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error previewing extension');
+  }
+};
+
+/**
+ * @desc    Extend a booking from the one-tap link in its checkout reminder
+ * @route   PUT /api/bookings/:id/quick-extend
+ * @access  Public (the signed link token identifies the booking holder)
+ */
+exports.quickExtendBooking = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const body = req.body || {};
+    const { booking, user, hours, failure } = await resolveExtendLink(id, body.token || req.query.token, body.hours || req.query.hours);
+    if (failure) {
+      return error(res, failure.code, failure.status, failure.message);
+    }
+
+    // The extension is charged before it is saved (see extendBooking), so
+    // the link must never extend a booking it cannot charge for
+    const { failure: paymentFailure } = await findQuickExtendPaymentMethod(booking);
+    if (paymentFailure) {
+      return error(res, paymentFailure.code, paymentFailure.status, paymentFailure.message);
+    }
+
+    req.user = user;
+    req.body = {
+      new_end_time: new Date(booking.end_time.getTime() + hours * 60 * 60 * 1000).toISOString()
+    };
+
+    return exports.extendBooking(req, res, next);
+  } catch (err) {
+    console.error('Quick extend booking error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error extending booking');
+  }
+};
+
+/**
+ * @desc    Get a booking's receipt / tax invoice as HTML, PDF or JSON
+ * @route   GET /api/bookings/:id/receipt?format=html|pdf|json
+ * @access  Private (booking user, space owner or admin)
+ */
+exports.getReceipt = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { format = 'html' } = req.query;
+
+    if (!['html', 'pdf', 'json'].includes(format)) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'format must be one of: html, pdf, json');
+    }
+
+    const booking = await Booking.findById(id)
+      .populate('user_id', 'email first_name last_name')
+      .populate('owner_id', 'user_id business_name')
+      .populate('vehicle_id', 'vehicle_make vehicle_model license_plate')
+      .populate({
+        path: 'space_id',
+        select: 'space_number property_id',
+        populate: {
+          path: 'property_id',
+          select: 'property_name address city state postal_code'
+        }
+      });
+
+    if (!booking) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Booking not found');
+    }
+
+    // Check authorization
+    const ownerUserId = booking.owner_id && booking.owner_id.user_id ? booking.owner_id.user_id.toString() : null;
+    if (req.user.user_type !== 'admin' &&
+        booking.user_id._id.toString() !== req.user._id.toString() &&
+        ownerUserId !== req.user._id.toString()) {
+      return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Not authorized to view this booking\'s receipt');
+    }
+
+    if (!RECEIPT_PAYMENT_STATUSES.includes(booking.payment_status)) {
+      return error(res, errorCodes.BIZ_INVALID_STATE, 400, 'A receipt is only available once the booking is paid');
+    }
+
+    const invoice = await issueInvoice(booking);
+    const receipt = await buildReceipt(booking, invoice);
+
+    if (format === 'json') {
+      return success(res, { receipt });
+    }
+
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+    res.set('Cache-Control', 'private, no-store');
+
+    if (format === 'pdf') {
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `${disposition}; filename="${receipt.invoice_number}.pdf"`);
+      return res.send(renderReceiptPdf(receipt));
+    }
+
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.set('Content-Disposition', `${disposition}; filename="${receipt.invoice_number}.html"`);
+    return res.send(renderReceiptHtml(receipt));
+  } catch (err) {
+    console.error('Get receipt error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error generating receipt');
+  }
+};
+
+/**
+ * @desc    Get booking change history
+ * @route   GET /api/bookings/:id/history
+ * @access  Private (booking user, space owner or admin)
+ */
+exports.getBookingHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await Booking.findById(id)
+      .select('booking_number user_id owner_id extensions')
+      .populate('owner_id', 'user_id');
+
+    if (!booking) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Booking not found');
+    }
+
+    // Check authorization
+    const ownerUserId = booking.owner_id && booking.owner_id.user_id ? booking.owner_id.user_id.toString() : null;
+    if (req.user.user_type !== 'admin' &&
+        booking.user_id.toString() !== req.user._id.toString() &&
+        ownerUserId !== req.user._id.toString()) {
+      return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Not authorized to view this booking\'s history');
+    }
+
+    const history = await BookingHistory.find({ booking_id: id })
+      .populate('actor_id', 'first_name last_name')
+      .sort({ created_at: 1 });
+
+    return success(res, {
+      booking_id: booking._id,
+      booking_number: booking.booking_number,
+      history,
+      extensions: booking.extensions
+    });
+  } catch (err) {
+    console.error('Get booking history error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error fetching booking history');
+  }
+};
@@ -0,0 +1,286 @@
+/**
+ * Calendar Feeds Controller
+ * Publishes read-only iCalendar (.ics) feeds of bookings behind a secret token
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const Owner = require('../models/Owner');
+const Booking = require('../models/Booking');
+const ParkingSpace = require('../models/ParkingSpace');
+const { success, error } = require('../utils/responseHelper');
+const errorCodes = require('../utils/errorCodes');
+const {
+  buildCalendar,
+  bookingEventUid,
+  eventStatusFor,
+  bookingSequence
+} = require('../utils/icalendar');
+
+// Feeds include bookings that ended up to this many days ago
+const FEED_PAST_DAYS = 30;
+const FEED_MAX_EVENTS = 1000;
+
+/**
+ * Helper function to generate a calendar feed token
+ */
+const generateFeedToken = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Helper function to return the user's feed token, creating it on first use
+ */
+const ensureFeedToken = async (userId) => {
+  const user = await User.findById(userId).select('+calendar_token');
+
+  if (!user.calendar_token) {
+    user.calendar_token = generateFeedToken();
+    await user.save();
+  }
+
+  return user.calendar_token;
+};
+
+/**
+ * Helper function to resolve a feed token to an active user
+ */
+const findUserByFeedToken = async (token) => {
+  if (!token || !/^[a-f0-9]{64}$/.test(token)) return null;
+  return User.findOne({ calendar_token: token, is_active: true });
+};
+
+/**
+ * Helper function to load feed bookings
+ * Mirrors the user/owner booking listings, without pagination and limited to
+ * recent and upcoming bookings.
+ */
+const findFeedBookings = (filter) => {
+  const cutoff = new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+
+  return Booking.find({ ...filter, end_time: { $gte: cutoff } })
+    .populate({
+      path: 'space_id',
+      select: 'space_number space_type property_id',
+      populate: {
+        path: 'property_id',
+        select: 'property_name address city state postal_code access_instructions'
+      }
+    })
+    .populate('vehicle_id', 'vehicle_make vehicle_model license_plate')
+    .populate('user_id', 'first_name last_name')
+    .sort({ start_time: 1 })
+    .limit(FEED_MAX_EVENTS);
+};
+
+/**
+ * Helper function to format a property's address on one line
+ */
+const formatAddress = (property) => {
+  if (!property) return null;
+  const region = [property.state, property.postal_code].filter(Boolean).join(' ');
+  return [property.address, property.city, region].filter(Boolean).join(', ');
+};
+
+/**
+ * Helper function to turn a booking into a calendar event
+ * @param {Object} booking - Booking with space, property, vehicle and user populated
+ * @param {string} audience - 'driver' or 'owner'
+ */
+const toCalendarEvent = (booking, audience) => {
+  const space = booking.space_id || {};
+  const property = space.property_id || null;
+  const vehicle = booking.vehicle_id;
+  const driver = booking.user_id;
+  const spaceLabel = `Space ${space.space_number || ''}`.trim();
+
+  const summary = audience === 'owner'
+    ? `${spaceLabel} booked${driver ? ` by ${driver.first_name} ${driver.last_name.charAt(0)}.` : ''}`
+    : `Parking: ${property ? `${property.property_name} - ` : ''}${spaceLabel}`;
+
+  const details = [
+    `Booking number: ${booking.booking_number}`,
+    `Status: ${booking.status}`
+  ];
+  if (vehicle) {
+    details.push(`Vehicle: ${vehicle.vehicle_make} ${vehicle.vehicle_model} (${vehicle.license_plate})`);
+  }
+  if (property && property.access_instructions) {
+    details.push(`Access instructions: ${property.access_instructions}`);
+  }
+  if (booking.cancellation_reason && eventStatusFor(booking.status) === 'CANCELLED') {
+    details.push(`Cancellation reason: ${booking.cancellation_reason}`);
+  }
+
+  return {
+    uid: bookingEventUid(booking),
+    start: booking.start_time,
+    end: booking.end_time,
+    summary,
+    description: details.join('\n'),
+    location: formatAddress(property),
+    status: eventStatusFor(booking.status),
+    sequence: bookingSequence(booking),
+    updatedAt: booking.updated_at
+  };
+};
+
+/**
+ * Helper function to send an .ics document
+ */
+const sendCalendar = (res, filename, name, events) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.set('Cache-Control', 'private, max-age=300');
+  return res.status(200).send(buildCalendar(name, events));
+};
+
+/**
+ * Helper function to build the feed URLs for a token
+ */
+const buildFeedUrls = async (req, userId, token) => {
+  const base = `${req.protocol}://${req.get('host')}/api/calendar/${token}`;
+  const owner = await Owner.findOne({ user_id: userId });
+
+  const feeds = {
+    bookings: `${base}/bookings.ics`,
+    owner: null,
+    spaces: []
+  };
+
+  if (owner) {
+    const spaces = await ParkingSpace.find({ owner_id: owner._id })
+      .select('space_number')
+      .sort({ space_number: 1 });
+
+    feeds.owner = `${base}/owner.ics`;
+    feeds.spaces = spaces.map(space => ({
+      space_id: space._id,
+      space_number: space.space_number,
+      url: `${base}/spaces/${space._id}.ics`
+    }));
+  }
+
+  return feeds;
+};
+
+/**
+ * @desc    Get the current user's calendar feed URLs
+ * @route   GET /api/calendar/feeds
+ * @access  Private
+ */
+exports.getFeedUrls = async (req, res, next) => {
+  try {
+    const token = await ensureFeedToken(req.user._id);
+    const feeds = await buildFeedUrls(req, req.user._id, token);
+
+    return success(res, { feeds });
+  } catch (err) {
+    console.error('Get calendar feeds error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error fetching calendar feeds');
+  }
+};
+
+/**
+ * @desc    Replace the feed token, revoking every previously shared feed URL
+ * @route   POST /api/calendar/feeds/regenerate
+ * @access  Private
+ */
+exports.regenerateFeedToken = async (req, res, next) => {
+  try {
+    const token = generateFeedToken();
+    await User.updateOne({ _id: req.user._id }, { $set: { calendar_token: token } });
+
+    const feeds = await buildFeedUrls(req, req.user._id, token);
+
+    return success(res, { feeds });
+  } catch (err) {
+    console.error('Regenerate calendar feed token error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error regenerating calendar feed token');
+  }
+};
+
+/**
+ * @desc    Driver feed of the user's own bookings
+ * @route   GET /api/calendar/:token/bookings.ics
+ * @access  Public (feed token)
+ */
+exports.getUserFeed = async (req, res, next) => {
+  try {
+    const user = await findUserByFeedToken(req.params.token);
+
+    if (!user) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Calendar feed not found');
+    }
+
+    const bookings = await findFeedBookings({ user_id: user._id });
+
+    return sendCalendar(
+      res,
+      'parkbnb-bookings.ics',
+      'ParkBNB bookings',
+      bookings.map(booking => toCalendarEvent(booking, 'driver'))
+    );
+  } catch (err) {
+    console.error('Get user calendar feed error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error building calendar feed');
+  }
+};
+
+/**
+ * @desc    Owner feed of bookings across all their spaces
+ * @route   GET /api/calendar/:token/owner.ics
+ * @access  Public (feed token)
+ */
+exports.getOwnerFeed = async (req, res, next) => {
+  try {
+    const user = await findUserByFeedToken(req.params.token);
+    const owner = user ? await Owner.findOne({ user_id: user._id }) : null;
+
+    if (!owner) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Calendar feed not found');
+    }
+
+    const bookings = await findFeedBookings({ owner_id: owner._id });
+
+    return sendCalendar(
+      res,
+      'parkbnb-occupancy.ics',
+      `ParkBNB occupancy${owner.business_name ? ` - ${owner.business_name}` : ''}`,
+      bookings.map(booking => toCalendarEvent(booking, 'owner'))
+    );
+  } catch (err) {
+    console.error('Get owner calendar feed error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error building calendar feed');
+  }
+};
+
+/**
+ * @desc    Owner feed of a single space's bookings
+ * @route   GET /api/calendar/:token/spaces/:spaceId.ics
+ * @access  Public (feed token)
+ */
+exports.getSpaceFeed = async (req, res, next) => {
+  try {
+    const { token, spaceId } = req.params;
+
+    const user = await findUserByFeedToken(token);
+    const owner = user ? await Owner.findOne({ user_id: user._id }) : null;
+    const space = owner ? await ParkingSpace.findOne({ _id: spaceId, owner_id: owner._id }) : null;
+
+    // Same response whether the token or the space is wrong
+    if (!space) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Calendar feed not found');
+    }
+
+    const bookings = await findFeedBookings({ owner_id: owner._id, space_id: space._id });
+
+    return sendCalendar(
+      res,
+      `parkbnb-space-${space.space_number}.ics`,
+      `ParkBNB space ${space.space_number}`,
+      bookings.map(booking => toCalendarEvent(booking, 'owner'))
+    );
+  } catch (err) {
+    console.error('Get space calendar feed error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error building calendar feed');
+  }
+};
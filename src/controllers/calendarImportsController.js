@@ -0,0 +1,240 @@
+/**
+ * Calendar Imports Controller
+ * Handles external iCal calendars that block parking spaces
+ */
+
+const CalendarImport = require('../models/CalendarImport');
+const SpaceBlackout = require('../models/SpaceBlackout');
+const ParkingSpace = require('../models/ParkingSpace');
+const Owner = require('../models/Owner');
+const { success, error } = require('../utils/responseHelper');
+const errorCodes = require('../utils/errorCodes');
+const { normalizeCalendarUrl, syncCalendarImport } = require('../utils/calendarImport');
+const { markSpaceForWaitlist } = require('../utils/waitlist');
+
+const MAX_IMPORTS_PER_SPACE = 5;
+
+/**
+ * Helper function to load a parking space the current user manages
+ * @returns {Object} { space } or { failure: { code, status, message } }
+ */
+const loadManagedSpace = async (req, spaceId) => {
+  const space = await ParkingSpace.findById(spaceId);
+  if (!space) {
+    return { failure: { code: errorCodes.NOT_FOUND, status: 404, message: 'Parking space not found' } };
+  }
+
+  if (req.user.user_type !== 'admin') {
+    const owner = await Owner.findOne({ user_id: req.user._id });
+    if (!owner || space.owner_id.toString() !== owner._id.toString()) {
+      return { failure: { code: errorCodes.AUTH_FORBIDDEN, status: 403, message: 'Not authorized to manage this parking space' } };
+    }
+  }
+
+  return { space };
+};
+
+/**
+ * Helper function to load a calendar import and check the user manages its space
+ * @returns {Object} { calendarImport } or { failure }
+ */
+const loadManagedImport = async (req, importId) => {
+  const calendarImport = await CalendarImport.findById(importId);
+  if (!calendarImport) {
+    return { failure: { code: errorCodes.NOT_FOUND, status: 404, message: 'Calendar import not found' } };
+  }
+
+  const { failure } = await loadManagedSpace(req, calendarImport.space_id);
+  if (failure) return { failure };
+
+  return { calendarImport };
+};
+
+/**
+ * @desc    List the calendar imports of a parking space
+ * @route   GET /api/availability/space/:spaceId/calendar-imports
+ * @access  Private/Owner
+ */
+exports.getCalendarImports = async (req, res, next) => {
+  try {
+    const { spaceId } = req.params;
+
+    const { failure } = await loadManagedSpace(req, spaceId);
+    if (failure) {
+      return error(res, failure.code, failure.status, failure.message);
+    }
+
+    const imports = await CalendarImport.find({ space_id: spaceId }).sort({ created_at: 1 });
+
+    return success(res, { space_id: spaceId, imports, total: imports.length });
+  } catch (err) {
+    console.error('Get calendar imports error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error fetching calendar imports');
+  }
+};
+
+/**
+ * @desc    Register an iCal URL or upload an .ics file for a parking space
+ * @route   POST /api/availability/space/:spaceId/calendar-imports
+ * @access  Private/Owner
+ */
+exports.createCalendarImport = async (req, res, next) => {
+  try {
+    const { spaceId } = req.params;
+    const { name, url, ics_content } = req.body;
+
+    const { space, failure } = await loadManagedSpace(req, spaceId);
+    if (failure) {
+      return error(res, failure.code, failure.status, failure.message);
+    }
+
+    if ((url === undefined) === (ics_content === undefined)) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'Provide either url or ics_content');
+    }
+
+    let calendarUrl = null;
+    if (url !== undefined) {
+      calendarUrl = normalizeCalendarUrl(url);
+      if (!calendarUrl) {
+        return error(res, errorCodes.REQ_INVALID_FORMAT, 400, 'url must be a public http(s) or webcal calendar URL');
+      }
+    } else if (typeof ics_content !== 'string' || ics_content.trim() === '') {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'ics_content must be the text of an .ics file');
+    }
+
+    const existingCount = await CalendarImport.countDocuments({ space_id: spaceId });
+    if (existingCount >= MAX_IMPORTS_PER_SPACE) {
+      return error(res, errorCodes.BIZ_OPERATION_NOT_ALLOWED, 400, `A parking space can have at most ${MAX_IMPORTS_PER_SPACE} calendar imports`);
+    }
+
+    if (calendarUrl && await CalendarImport.exists({ space_id: spaceId, url: calendarUrl })) {
+      return error(res, errorCodes.BIZ_OPERATION_NOT_ALLOWED, 400, 'This calendar URL is already imported for the parking space');
+    }
+
+    const calendarImport = await CalendarImport.create({
+      space_id: space._id,
+      owner_id: space.owner_id,
+      name: name || (calendarUrl ? new URL(calendarUrl).hostname : 'Uploaded calendar'),
+      source_type: calendarUrl ? 'url' : 'file',
+      url: calendarUrl
+    });
+
+    const result = await syncCalendarImport(calendarImport, {
+      content: calendarUrl ? null : ics_content
+    });
+
+    // Nothing to keep if the very first import cannot be read
+    if (result.failure) {
+      await CalendarImport.deleteOne({ _id: calendarImport._id });
+      return error(res, errorCodes.REQ_VALIDATION, 400, `Could not import calendar: ${result.failure}`);
+    }
+
+    return success(res, { import: calendarImport, result }, null, 201);
+  } catch (err) {
+    console.error('Create calendar import error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error importing calendar');
+  }
+};
+
+/**
+ * @desc    Re-import a calendar (URL imports are re-fetched, file imports take a new upload)
+ * @route   POST /api/availability/calendar-imports/:id/sync
+ * @access  Private/Owner
+ */
+exports.syncCalendarImport = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { ics_content } = req.body || {};
+
+    const { calendarImport, failure } = await loadManagedImport(req, id);
+    if (failure) {
+      return error(res, failure.code, failure.status, failure.message);
+    }
+
+    if (calendarImport.source_type === 'file' && (typeof ics_content !== 'string' || ics_content.trim() === '')) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'ics_content is required to re-import an uploaded calendar');
+    }
+
+    const result = await syncCalendarImport(calendarImport, {
+      content: calendarImport.source_type === 'file' ? ics_content : null
+    });
+
+    if (result.failure) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, `Could not import calendar: ${result.failure}`, {
+        import: calendarImport
+      });
+    }
+
+    return success(res, { import: calendarImport, result });
+  } catch (err) {
+    console.error('Sync calendar import error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error syncing calendar import');
+  }
+};
+
+/**
+ * @desc    Remove a calendar import and the blackouts it created
+ * @route   DELETE /api/availability/calendar-imports/:id
+ * @access  Private/Owner
+ */
+exports.deleteCalendarImport = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { calendarImport, failure } = await loadManagedImport(req, id);
+    if (failure) {
+      return error(res, failure.code, failure.status, failure.message);
+    }
+
+    const removed = await SpaceBlackout.deleteMany({ import_id: calendarImport._id });
+    await CalendarImport.deleteOne({ _id: calendarImport._id });
+
+    if (removed.deletedCount > 0) {
+      await markSpaceForWaitlist(calendarImport.space_id);
+    }
+
+    return success(res, {
+      message: 'Calendar import deleted successfully',
+      removed_blackouts: removed.deletedCount
+    });
+  } catch (err) {
+    console.error('Delete calendar import error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error deleting calendar import');
+  }
+};
+
+/**
+ * @desc    List the blackouts of a parking space
+ * @route   GET /api/availability/space/:spaceId/blackouts
+ * @access  Private/Owner
+ */
+exports.getSpaceBlackouts = async (req, res, next) => {
+  try {
+    const { spaceId } = req.params;
+    const { from, to } = req.query;
+
+    const { failure } = await loadManagedSpace(req, spaceId);
+    if (failure) {
+      return error(res, failure.code, failure.status, failure.message);
+    }
+
+    const fromDate = from ? new Date(from) : new Date();
+    const toDate = to ? new Date(to) : null;
+
+    if (isNaN(fromDate.getTime()) || (toDate && isNaN(toDate.getTime()))) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'Invalid date format');
+    }
+
+    const filter = { space_id: spaceId, end_time: { $gt: fromDate } };
+    if (toDate) filter.start_time = { $lt: toDate };
+
+    const blackouts = await SpaceBlackout.find(filter)
+      .populate('import_id', 'name source_type')
+      .sort({ start_time: 1 });
+
+    return success(res, { space_id: spaceId, blackouts, total: blackouts.length });
+  } catch (err) {
+    console.error('Get space blackouts error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error fetching blackouts');
+  }
+};
@@ -10,6 +10,69 @@ const ParkingSpace = require('../models/ParkingSpace');
 const { success, error, paginationMeta } = require('../utils/responseHelper');
 const errorCodes = require('../utils/errorCodes');
 
+// Default and maximum look-back, in days, for owner utilization stats
+const DEFAULT_UTILIZATION_DAYS = 30;
+const MAX_UTILIZATION_DAYS = 365;
+
+// Bookings that actually took (or are taking) up a unit
+const UTILIZED_BOOKING_STATUSES = ['confirmed', 'active', 'completed'];
+
+/**
+ * Helper function to calculate per-unit utilization of an owner's spaces
+ * Booked hours are the parts of bookings that fall inside the period; each
+ * space can be booked for capacity x period hours in total.
+ * @returns {Object} { period_days, period_start, period_end, total_units, booked_hours, utilization_rate, spaces }
+ */
+const calculateUtilization = async (ownerId, spaces, days) => {
+  const periodEnd = new Date();
+  const periodStart = new Date(periodEnd.getTime() - days * 24 * 60 * 60 * 1000);
+  const periodHours = days * 24;
+
+  const bookings = await Booking.find({
+    owner_id: ownerId,
+    status: { $in: UTILIZED_BOOKING_STATUSES },
+    start_time: { $lt: periodEnd },
+    end_time: { $gt: periodStart }
+  }).select('space_id start_time end_time');
+
+  const bookedHoursBySpace = {};
+  bookings.forEach(booking => {
+    const from = Math.max(booking.start_time.getTime(), periodStart.getTime());
+    const to = Math.min(booking.end_time.getTime(), periodEnd.getTime());
+    const key = booking.space_id.toString();
+    bookedHoursBySpace[key] = (bookedHoursBySpace[key] || 0) + (to - from) / (1000 * 60 * 60);
+  });
+
+  const round = value => Math.round(value * 100) / 100;
+
+  const perSpace = spaces.map(space => {
+    const capacity = space.capacity || 1;
+    const bookedHours = bookedHoursBySpace[space._id.toString()] || 0;
+
+    return {
+      space_id: space._id,
+      space_number: space.space_number,
+      capacity,
+      booked_hours: round(bookedHours),
+      booked_hours_per_unit: round(bookedHours / capacity),
+      utilization_rate: round(bookedHours / (capacity * periodHours) * 100)
+    };
+  });
+
+  const totalUnits = perSpace.reduce((sum, space) => sum + space.capacity, 0);
+  const totalBookedHours = perSpace.reduce((sum, space) => sum + space.booked_hours, 0);
+
+  return {
+    period_days: days,
+    period_start: periodStart,
+    period_end: periodEnd,
+    total_units: totalUnits,
+    booked_hours: round(totalBookedHours),
+    utilization_rate: totalUnits > 0 ? round(totalBookedHours / (totalUnits * periodHours) * 100) : 0,
+    spaces: perSpace
+  };
+};
+
 /**
  * @desc    Register as owner (upgrade from user)
  * @route   POST /api/owners/register
@@ -327,9 +390,15 @@ exports.getOwnerStats = async (req, res, next) => {
       return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Not authorized to view stats for this owner');
     }
 
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : DEFAULT_UTILIZATION_DAYS;
+    if (isNaN(days) || days < 1 || days > MAX_UTILIZATION_DAYS) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, `days must be between 1 and ${MAX_UTILIZATION_DAYS}`);
+    }
+
     // Get parking spaces count
-    const total_spaces = await ParkingSpace.countDocuments({ owner_id: id });
-    const active_spaces = await ParkingSpace.countDocuments({ owner_id: id, is_available: true });
+    const spaces = await ParkingSpace.find({ owner_id: id }).select('space_number capacity is_available');
+    const total_spaces = spaces.length;
+    const active_spaces = spaces.filter(space => space.is_available).length;
 
     // Get bookings stats
     const total_bookings = await Booking.countDocuments({ owner_id: id });
@@ -345,6 +414,14 @@ exports.getOwnerStats = async (req, res, next) => {
       owner_id: id,
       status: 'cancelled'
     });
+    const no_show_bookings = await Booking.countDocuments({
+      owner_id: id,
+      status: 'no_show'
+    });
+    const overstay_bookings = await Booking.countDocuments({
+      owner_id: id,
+      overstay_flagged_at: { $ne: null }
+    });
 
     // Get revenue stats
     const paidBookings = await Booking.find({
@@ -375,17 +452,22 @@ exports.getOwnerStats = async (req, res, next) => {
 
     const monthly_revenue = monthlyPaidBookings.reduce((sum, booking) => sum + booking.total_amount, 0);
 
+    const utilization = await calculateUtilization(id, spaces, days);
+
     const stats = {
       // Space stats
       total_spaces,
       active_spaces,
       inactive_spaces: total_spaces - active_spaces,
+      total_units: utilization.total_units,
 
       // Booking stats
       total_bookings,
       active_bookings,
       completed_bookings,
       cancelled_bookings,
+      no_show_bookings,
+      overstay_bookings,
 
       // Revenue stats
       total_revenue: Math.round(total_revenue * 100) / 100,
@@ -395,6 +477,7 @@ exports.getOwnerStats = async (req, res, next) => {
       // Performance metrics
       average_rating: owner.average_rating,
       occupancy_rate: Math.round(occupancy_rate * 100) / 100,
+      utilization,
 
       // Verification status
       is_verified: owner.is_verified
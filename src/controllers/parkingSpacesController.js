@@ -7,8 +7,98 @@ const ParkingSpace = require('../models/ParkingSpace');
 const Property = require('../models/Property');
 const Owner = require('../models/Owner');
 const Booking = require('../models/Booking');
+const SpaceAvailability = require('../models/SpaceAvailability');
 const { success, error, paginationMeta } = require('../utils/responseHelper');
 const errorCodes = require('../utils/errorCodes');
+const { hasBookingConflict, findBusyIntervals, getFullyBookedRanges } = require('../utils/bookingHelpers');
+const {
+  checkSpaceSchedule,
+  findOverrides,
+  getScheduleIntervals,
+  subtractRanges
+} = require('../utils/availabilityHelpers');
+const { buildPriceQuote } = require('../utils/pricing');
+const { canWaitForSpace } = require('../utils/waitlist');
+const { POLICY_NAMES, DEFAULT_POLICY, validateCustomTiers } = require('../utils/cancellationPolicies');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar range defaults and limits
+const DEFAULT_CALENDAR_DAYS = 7;
+const MAX_CALENDAR_DAYS = 62;
+const DEFAULT_CALENDAR_GRANULARITY = 15;
+
+// Most identical units a single space can carry
+const MAX_CAPACITY = 1000;
+
+/**
+ * Helper function to explain what makes a space unavailable
+ * hasBookingConflict returns a booking, an imported blackout or a waitlist hold
+ */
+const describeConflict = (conflict) => {
+  if (conflict.booking_number) return 'Space is booked during the requested time period';
+  if (conflict.uid) return 'Space is blocked by the owner during the requested time period';
+  return 'Space is held for a waitlisted driver during the requested time period';
+};
+
+/**
+ * Helper function to validate a cancellation policy and its custom tiers
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateCancellationPolicy = (policy, tiers) => {
+  if (policy !== undefined && !POLICY_NAMES.includes(policy)) {
+    return `Cancellation policy must be one of: ${POLICY_NAMES.join(', ')}`;
+  }
+
+  if (policy === 'custom') {
+    return validateCustomTiers(tiers);
+  }
+
+  return null;
+};
+
+/**
+ * Helper function to validate a space's overtime terms (null restores the platform default)
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateOvertimeTerms = (graceMinutes, multiplier) => {
+  if (graceMinutes !== undefined && graceMinutes !== null &&
+      (typeof graceMinutes !== 'number' || graceMinutes < 0 || graceMinutes > 24 * 60)) {
+    return 'Overtime grace minutes must be a number between 0 and 1440';
+  }
+
+  if (multiplier !== undefined && multiplier !== null &&
+      (typeof multiplier !== 'number' || multiplier < 0 || multiplier > 10)) {
+    return 'Overtime multiplier must be a number between 0 and 10';
+  }
+
+  return null;
+};
+
+/**
+ * Helper function to validate a space's capacity (number of identical units)
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateCapacity = (capacity) => {
+  if (capacity !== undefined && (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_CAPACITY)) {
+    return `Capacity must be a whole number between 1 and ${MAX_CAPACITY}`;
+  }
+
+  return null;
+};
+
+/**
+ * Helper function to validate a space's early check-out fee (null restores the platform default)
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateEarlyCheckoutFee = (feePercentage) => {
+  if (feePercentage !== undefined && feePercentage !== null &&
+      (typeof feePercentage !== 'number' || feePercentage < 0 || feePercentage > 100)) {
+    return 'Early check-out fee percentage must be a number between 0 and 100';
+  }
+
+  return null;
+};
 
 /**
  * @desc    Get all parking spaces
@@ -174,9 +264,37 @@ exports.createSpace = async (req, res, next) => {
       price_per_month,
       booking_mode,
       has_ev_charging,
+      require_verification_code,
+      cancellation_policy,
+      cancellation_tiers,
+      overtime_grace_minutes,
+      overtime_multiplier,
+      refund_unused_time,
+      early_checkout_fee_percentage,
+      capacity,
       is_available
     } = req.body;
 
+    const policyError = validateCancellationPolicy(cancellation_policy, cancellation_tiers);
+    if (policyError) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, policyError);
+    }
+
+    const overtimeError = validateOvertimeTerms(overtime_grace_minutes, overtime_multiplier);
+    if (overtimeError) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, overtimeError);
+    }
+
+    const earlyCheckoutError = validateEarlyCheckoutFee(early_checkout_fee_percentage);
+    if (earlyCheckoutError) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, earlyCheckoutError);
+    }
+
+    const capacityError = validateCapacity(capacity);
+    if (capacityError) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, capacityError);
+    }
+
     // Check if property exists
     const property = await Property.findById(propertyId).populate('owner_id');
     if (!property) {
@@ -229,6 +347,14 @@ exports.createSpace = async (req, res, next) => {
       monthly_rate: price_per_month, // Alias
       booking_mode: booking_mode || 'instant',
       has_ev_charging: has_ev_charging || false,
+      require_verification_code: require_verification_code || false,
+      cancellation_policy: cancellation_policy || DEFAULT_POLICY,
+      cancellation_tiers: cancellation_policy === 'custom' ? cancellation_tiers : [],
+      overtime_grace_minutes: overtime_grace_minutes !== undefined ? overtime_grace_minutes : null,
+      overtime_multiplier: overtime_multiplier !== undefined ? overtime_multiplier : null,
+      refund_unused_time: refund_unused_time || false,
+      early_checkout_fee_percentage: early_checkout_fee_percentage !== undefined ? early_checkout_fee_percentage : null,
+      capacity: capacity || 1,
       is_available: is_available !== undefined ? is_available : true,
       status: is_available !== undefined ? (is_available ? 'active' : 'inactive') : 'active',
       average_rating: 0
@@ -263,6 +389,14 @@ exports.updateSpace = async (req, res, next) => {
       price_per_month,
       booking_mode,
       has_ev_charging,
+      require_verification_code,
+      cancellation_policy,
+      cancellation_tiers,
+      overtime_grace_minutes,
+      overtime_multiplier,
+      refund_unused_time,
+      early_checkout_fee_percentage,
+      capacity,
       is_available
     } = req.body;
 
@@ -281,6 +415,31 @@ exports.updateSpace = async (req, res, next) => {
       return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Not authorized to update this parking space');
     }
 
+    // Custom tiers are validated against the policy the space will end up with
+    if (cancellation_policy !== undefined || cancellation_tiers !== undefined) {
+      const nextPolicy = cancellation_policy || space.cancellation_policy;
+      const nextTiers = cancellation_tiers !== undefined ? cancellation_tiers : space.cancellation_tiers;
+      const policyError = validateCancellationPolicy(nextPolicy, nextTiers);
+      if (policyError) {
+        return error(res, errorCodes.REQ_VALIDATION, 400, policyError);
+      }
+    }
+
+    const overtimeError = validateOvertimeTerms(overtime_grace_minutes, overtime_multiplier);
+    if (overtimeError) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, overtimeError);
+    }
+
+    const earlyCheckoutError = validateEarlyCheckoutFee(early_checkout_fee_percentage);
+    if (earlyCheckoutError) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, earlyCheckoutError);
+    }
+
+    const capacityError = validateCapacity(capacity);
+    if (capacityError) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, capacityError);
+    }
+
     // Check if space number change would cause conflict
     if (space_number && space_number !== space.space_number) {
       const existingSpace = await ParkingSpace.findOne({
@@ -317,10 +476,27 @@ exports.updateSpace = async (req, res, next) => {
     }
     if (booking_mode) space.booking_mode = booking_mode;
     if (has_ev_charging !== undefined) space.has_ev_charging = has_ev_charging;
+    if (require_verification_code !== undefined) space.require_verification_code = require_verification_code;
+    if (cancellation_policy) space.cancellation_policy = cancellation_policy;
+    if (cancellation_tiers !== undefined || cancellation_policy) {
+      space.cancellation_tiers = space.cancellation_policy === 'custom'
+        ? (cancellation_tiers !== undefined ? cancellation_tiers : space.cancellation_tiers)
+        : [];
+    }
+    if (overtime_grace_minutes !== undefined) space.overtime_grace_minutes = overtime_grace_minutes;
+    if (overtime_multiplier !== undefined) space.overtime_multiplier = overtime_multiplier;
+    if (refund_unused_time !== undefined) space.refund_unused_time = refund_unused_time;
+    if (early_checkout_fee_percentage !== undefined) space.early_checkout_fee_percentage = early_checkout_fee_percentage;
+    // More units or reopening the space can free slots waitlisted drivers are after
+    const freesSlots = (capacity !== undefined && capacity > space.capacity) ||
+      (is_available === true && space.status !== 'active');
+
+    if (capacity !== undefined) space.capacity = capacity;
     if (is_available !== undefined) {
       space.is_available = is_available;
       space.status = is_available ? 'active' : 'inactive';
     }
+    if (freesSlots) space.waitlist_recheck_at = new Date();
 
     await space.save();
 
@@ -460,18 +636,16 @@ exports.searchSpaces = async (req, res, next) => {
       const startDateTime = new Date(start_date);
       const endDateTime = new Date(end_date);
 
-      // Filter out spaces with conflicting bookings
+      // Filter out spaces closed by their schedule or with conflicting bookings
       const availableSpaces = [];
 
       for (const space of spaces) {
-        const conflictingBooking = await Booking.findOne({
-          space_id: space._id,
-          status: { $nin: ['cancelled', 'completed', 'no_show'] },
-          $or: [
-            { start_time: { $lte: startDateTime }, end_time: { $gt: startDateTime } },
-            { start_time: { $lt: endDateTime }, end_time: { $gte: endDateTime } },
-            { start_time: { $gte: startDateTime }, end_time: { $lte: endDateTime } }
-          ]
+        const schedule = await checkSpaceSchedule(space._id, startDateTime, endDateTime);
+        if (!schedule.available) continue;
+
+        // Multi-unit spaces stay listed while any unit is free
+        const conflictingBooking = await hasBookingConflict(space._id, startDateTime, endDateTime, null, {
+          capacity: space.capacity
         });
 
         if (!conflictingBooking) {
@@ -535,21 +709,30 @@ exports.checkAvailability = async (req, res, next) => {
       });
     }
 
+    // Check the owner's published schedule
+    const schedule = await checkSpaceSchedule(id, startDateTime, endDateTime);
+    if (!schedule.available) {
+      return success(res, {
+        available: false,
+        reason: schedule.reason,
+        window: schedule.window,
+        windows: schedule.windows,
+        override: schedule.override
+      });
+    }
+
     // Check for conflicting bookings
-    const conflictingBooking = await Booking.findOne({
-      space_id: id,
-      status: { $nin: ['cancelled', 'completed', 'no_show'] },
-      $or: [
-        { start_time: { $lte: startDateTime }, end_time: { $gt: startDateTime } },
-        { start_time: { $lt: endDateTime }, end_time: { $gte: endDateTime } },
-        { start_time: { $gte: startDateTime }, end_time: { $lte: endDateTime } }
-      ]
+    // Signed-in drivers see slots held for them as available
+    const conflictingBooking = await hasBookingConflict(id, startDateTime, endDateTime, null, {
+      holdUserId: req.user ? req.user._id : null,
+      capacity: space.capacity
     });
 
     if (conflictingBooking) {
       return success(res, {
         available: false,
-        reason: 'Space is booked during the requested time period',
+        reason: describeConflict(conflictingBooking),
+        can_join_waitlist: await canWaitForSpace(space, startDateTime, endDateTime),
         conflicting_booking: {
           start_time: conflictingBooking.start_time,
           end_time: conflictingBooking.end_time
@@ -561,22 +744,14 @@ exports.checkAvailability = async (req, res, next) => {
     const durationMs = endDateTime - startDateTime;
     const durationHours = durationMs / (1000 * 60 * 60);
 
-    let estimated_price = 0;
-    if (durationHours <= 24) {
-      estimated_price = space.price_per_hour * durationHours;
-    } else if (durationHours <= 24 * 30) {
-      const days = Math.ceil(durationHours / 24);
-      estimated_price = space.price_per_day * days;
-    } else {
-      const months = Math.ceil(durationHours / (24 * 30));
-      estimated_price = space.price_per_month * months;
-    }
+    const quote = await buildPriceQuote(space, durationHours);
 
     return success(res, {
       available: true,
       space_id: space._id,
       duration_hours: Math.round(durationHours * 100) / 100,
-      estimated_price: Math.round(estimated_price * 100) / 100,
+      estimated_price: quote.total,
+      price_breakdown: quote,
       booking_mode: space.booking_mode
     });
   } catch (err) {
@@ -585,6 +760,107 @@ exports.checkAvailability = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get the bookable intervals of a space
+ * @route   GET /api/parking-spaces/:id/calendar?from&to&granularity&min_duration
+ * @access  Public
+ */
+exports.getSpaceCalendar = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { from, to, granularity, min_duration } = req.query;
+
+    // Nothing before now can be booked
+    const now = new Date();
+    const fromDate = from ? new Date(from) : now;
+    const rangeStart = fromDate > now ? fromDate : now;
+    const rangeEnd = to ? new Date(to) : new Date(rangeStart.getTime() + DEFAULT_CALENDAR_DAYS * DAY_MS);
+
+    if (isNaN(fromDate.getTime()) || isNaN(rangeEnd.getTime())) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'Invalid date format');
+    }
+
+    if (rangeEnd <= rangeStart) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'to must be after from and in the future');
+    }
+
+    if (rangeEnd - rangeStart > MAX_CALENDAR_DAYS * DAY_MS) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, `The calendar can cover at most ${MAX_CALENDAR_DAYS} days`);
+    }
+
+    // Interval boundaries snap to a grid of this many minutes
+    const granularityMinutes = granularity !== undefined ? parseInt(granularity) : DEFAULT_CALENDAR_GRANULARITY;
+    if (isNaN(granularityMinutes) || granularityMinutes < 5 || granularityMinutes > 1440 || 1440 % granularityMinutes !== 0) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'granularity must be a number of minutes between 5 and 1440 that divides a day evenly');
+    }
+
+    const minDurationMinutes = min_duration !== undefined ? parseInt(min_duration) : granularityMinutes;
+    if (isNaN(minDurationMinutes) || minDurationMinutes < 1) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'min_duration must be a positive number of minutes');
+    }
+
+    const space = await ParkingSpace.findById(id);
+
+    if (!space) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Parking space not found');
+    }
+
+    const calendar = {
+      space_id: space._id,
+      status: space.status,
+      capacity: space.capacity,
+      from: rangeStart,
+      to: rangeEnd,
+      granularity: granularityMinutes,
+      min_duration: minDurationMinutes
+    };
+
+    if (space.status !== 'active' || !space.is_available) {
+      return success(res, {
+        ...calendar,
+        reason: 'Space is currently unavailable',
+        intervals: [],
+        total_available_minutes: 0
+      });
+    }
+
+    // Open schedule time minus the times every unit is occupied
+    // Signed-in drivers see slots held for them as free
+    const schedules = await SpaceAvailability.find({ space_id: id });
+    const overrides = await findOverrides(id, rangeStart, rangeEnd);
+    const busy = await findBusyIntervals(id, rangeStart, rangeEnd, {
+      holdUserId: req.user ? req.user._id : null
+    });
+
+    const free = subtractRanges(
+      getScheduleIntervals(schedules, rangeStart, rangeEnd, overrides),
+      getFullyBookedRanges(busy, space.capacity)
+    );
+
+    const gridMs = granularityMinutes * 60 * 1000;
+    const intervals = free
+      .map(range => ({
+        from: Math.ceil(range.from / gridMs) * gridMs,
+        to: Math.floor(range.to / gridMs) * gridMs
+      }))
+      .filter(range => range.to - range.from >= minDurationMinutes * 60 * 1000)
+      .map(range => ({
+        start_time: new Date(range.from),
+        end_time: new Date(range.to),
+        duration_minutes: (range.to - range.from) / (60 * 1000)
+      }));
+
+    return success(res, {
+      ...calendar,
+      intervals,
+      total_available_minutes: intervals.reduce((sum, interval) => sum + interval.duration_minutes, 0)
+    });
+  } catch (err) {
+    console.error('Get space calendar error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error fetching space calendar');
+  }
+};
+
 /**
  * @desc    Update pricing
  * @route   PUT /api/parking-spaces/:id/pricing
@@ -5,8 +5,19 @@
 
 const Payment = require('../models/Payment');
 const Booking = require('../models/Booking');
+const BookingGroup = require('../models/BookingGroup');
+const Refund = require('../models/Refund');
 const { success, error, paginationMeta } = require('../utils/responseHelper');
 const errorCodes = require('../utils/errorCodes');
+const { assignVerificationCode } = require('../utils/verificationCode');
+const { recordStatusChange } = require('../utils/bookingHistory');
+const { roundAmount } = require('../utils/pricing');
+const { generatePaymentNumber, chargeProvider } = require('../utils/paymentGateway');
+const { settleOvertimePayment } = require('../utils/overtime');
+const { notify } = require('../utils/notificationHelper');
+
+// Shown when a payment lands after the booking it was for was released
+const RELEASED_BOOKING_MESSAGE = 'The booking was released before the payment completed; the payment will be refunded';
 
 /**
  * @desc    Get all payments (admin only)
@@ -145,8 +156,12 @@ exports.getBookingPayments = async (req, res, next) => {
       return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Not authorized to view payments for this booking');
     }
 
-    // Get all payments for this booking
-    const payments = await Payment.find({ booking_id: bookingId })
+    // Get all payments for this booking, including a combined group payment
+    const paymentFilter = booking.group_id
+      ? { $or: [{ booking_id: bookingId }, { group_id: booking.group_id }] }
+      : { booking_id: bookingId };
+
+    const payments = await Payment.find(paymentFilter)
       .populate('user_id', 'email first_name last_name')
       .sort({ created_at: -1 });
 
@@ -166,6 +181,7 @@ exports.processPayment = async (req, res, next) => {
   try {
     const {
       booking_id,
+      group_id,
       amount,
       currency = 'USD',
       payment_method,
@@ -174,41 +190,33 @@ exports.processPayment = async (req, res, next) => {
     } = req.body;
 
     // Validate required fields
-    if (!booking_id || !amount || !payment_method) {
-      return error(res, errorCodes.REQ_VALIDATION, 400, 'Booking ID, amount, and payment method are required');
+    if ((!booking_id && !group_id) || !amount || !payment_method) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'Booking ID (or group ID), amount, and payment method are required');
     }
 
-    // Get booking
-    const booking = await Booking.findById(booking_id);
+    // Load what is being paid for: one booking or every pending member of a group
+    const target = group_id
+      ? await loadGroupForPayment(group_id, req.user)
+      : await loadBookingForPayment(booking_id, req.user);
 
-    if (!booking) {
-      return error(res, errorCodes.NOT_FOUND, 404, 'Booking not found');
-    }
-
-    // Check authorization - user must be the booking owner
-    if (booking.user_id.toString() !== req.user._id.toString() && req.user.user_type !== 'admin') {
-      return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Not authorized to make payment for this booking');
-    }
-
-    // Check if booking is already paid
-    if (booking.payment_status === 'paid') {
-      return error(res, errorCodes.BIZ_CONFLICT, 409, 'Booking is already paid');
+    if (target.failure) {
+      return error(res, target.failure.code, target.failure.status, target.failure.message);
     }
 
     // Validate amount matches booking total
-    if (amount !== booking.total_amount) {
-      return error(res, errorCodes.REQ_VALIDATION, 400, 'Payment amount does not match booking total');
+    if (amount !== target.amountDue) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, group_id
+        ? 'Payment amount does not match group total'
+        : 'Payment amount does not match booking total');
     }
 
     // Generate payment number
     const paymentNumber = generatePaymentNumber();
 
-    // Simulate payment processing (in real app, integrate with payment gateway)
-    // For now, we'll create a mock transaction ID
-    const providerTransactionId = `${payment_provider.toUpperCase()}_${Date.now()}_${Math.random().toString(36).substring(7)}`;
-
-    // Simulate payment gateway response
-    const paymentSuccess = Math.random() > 0.1; // 90% success rate for testing
+    // Charge the payment gateway
+    const charge = await chargeProvider(payment_provider);
+    const providerTransactionId = charge.provider_transaction_id;
+    const paymentSuccess = charge.succeeded;
 
     const paymentStatus = paymentSuccess ? 'succeeded' : 'failed';
     const paidAt = paymentSuccess ? new Date() : null;
@@ -217,7 +225,8 @@ exports.processPayment = async (req, res, next) => {
     const payment = await Payment.create({
       payment_number: paymentNumber,
       user_id: req.user._id,
-      booking_id,
+      booking_id: group_id ? undefined : booking_id,
+      group_id: group_id || undefined,
       amount,
       currency,
       payment_method,
@@ -228,15 +237,17 @@ exports.processPayment = async (req, res, next) => {
     });
 
     // Update booking payment status if successful
-    if (paymentSuccess) {
-      booking.payment_status = 'paid';
-      booking.status = 'confirmed';
-      await booking.save();
-    }
+    const confirmation = paymentSuccess
+      ? await confirmPaidBookings(payment, req.user, `Payment ${paymentNumber} succeeded`)
+      : null;
+
+    let message = paymentSuccess ? 'Payment processed successfully' : 'Payment failed';
+    if (confirmation && confirmation.refund) message = RELEASED_BOOKING_MESSAGE;
 
     return success(res, {
       payment,
-      message: paymentSuccess ? 'Payment processed successfully' : 'Payment failed'
+      refund: confirmation ? confirmation.refund : null,
+      message
     }, null, paymentSuccess ? 201 : 200);
   } catch (err) {
     console.error('Process payment error:', err);
@@ -285,16 +296,12 @@ exports.verifyPayment = async (req, res, next) => {
       await payment.save();
 
       // Update booking
-      const booking = await Booking.findById(payment.booking_id);
-      if (booking) {
-        booking.payment_status = 'paid';
-        booking.status = 'confirmed';
-        await booking.save();
-      }
+      const { refund } = await confirmPaidBookings(payment, req.user, `Payment ${payment.payment_number} verified`);
 
       return success(res, {
         payment,
-        message: 'Payment verified successfully',
+        refund,
+        message: refund ? RELEASED_BOOKING_MESSAGE : 'Payment verified successfully',
         verified: true
       });
     } else {
@@ -336,6 +343,7 @@ exports.paymentWebhook = async (req, res, next) => {
     }
 
     // Update payment status based on webhook event
+    const previousStatus = payment.payment_status;
     let updatedStatus = payment.payment_status;
 
     switch (event_type) {
@@ -360,14 +368,9 @@ exports.paymentWebhook = async (req, res, next) => {
     payment.payment_status = updatedStatus;
     await payment.save();
 
-    // Update booking if payment succeeded
-    if (updatedStatus === 'succeeded') {
-      const booking = await Booking.findById(payment.booking_id);
-      if (booking) {
-        booking.payment_status = 'paid';
-        booking.status = 'confirmed';
-        await booking.save();
-      }
+    // Update booking when the payment has just succeeded; redelivered events change nothing
+    if (updatedStatus === 'succeeded' && previousStatus !== 'succeeded') {
+      await confirmPaidBookings(payment, null, `Payment ${payment.payment_number} confirmed by gateway webhook`);
     }
 
     // Acknowledge webhook
@@ -456,9 +459,161 @@ exports.getUserPayments = async (req, res, next) => {
   }
 };
 
-// Helper function to generate payment number
-function generatePaymentNumber() {
-  const timestamp = Date.now().toString(36).toUpperCase();
-  const random = Math.random().toString(36).substring(2, 8).toUpperCase();
-  return `PAY-${timestamp}-${random}`;
+/**
+ * Helper function to validate a single booking before payment
+ * Returns { failure } or { bookings, amountDue }
+ */
+async function loadBookingForPayment(bookingId, user) {
+  const booking = await Booking.findById(bookingId);
+
+  if (!booking) {
+    return { failure: { code: errorCodes.NOT_FOUND, status: 404, message: 'Booking not found' } };
+  }
+
+  // Check authorization - user must be the booking owner
+  if (booking.user_id.toString() !== user._id.toString() && user.user_type !== 'admin') {
+    return { failure: { code: errorCodes.AUTH_FORBIDDEN, status: 403, message: 'Not authorized to make payment for this booking' } };
+  }
+
+  // Group members are paid together through their group
+  if (booking.group_id) {
+    return { failure: { code: errorCodes.BIZ_OPERATION_NOT_ALLOWED, status: 400, message: 'This booking is part of a group - pay for the group instead' } };
+  }
+
+  // Check if booking is already paid
+  if (booking.payment_status === 'paid') {
+    return { failure: { code: errorCodes.BIZ_BOOKING_CONFLICT, status: 409, message: 'Booking is already paid' } };
+  }
+
+  // Requests must be approved by the owner before they can be paid
+  if (booking.status === 'requested') {
+    return { failure: { code: errorCodes.BIZ_INVALID_STATE, status: 400, message: 'Booking request is awaiting owner approval' } };
+  }
+
+  if (booking.status !== 'pending') {
+    return { failure: { code: errorCodes.BIZ_INVALID_STATE, status: 400, message: `Cannot pay for a booking with status ${booking.status}` } };
+  }
+
+  // The slot is released once the payment hold runs out
+  if (booking.payment_expires_at && booking.payment_expires_at <= new Date()) {
+    return { failure: { code: errorCodes.BIZ_INVALID_STATE, status: 400, message: 'Payment window for this booking has expired' } };
+  }
+
+  return { bookings: [booking], amountDue: booking.total_amount };
+}
+
+/**
+ * Helper function to validate a booking group before its combined payment
+ * The amount due covers every member that is still pending
+ * Returns { failure } or { bookings, amountDue }
+ */
+async function loadGroupForPayment(groupId, user) {
+  const group = await BookingGroup.findById(groupId);
+
+  if (!group) {
+    return { failure: { code: errorCodes.NOT_FOUND, status: 404, message: 'Booking group not found' } };
+  }
+
+  if (group.user_id.toString() !== user._id.toString() && user.user_type !== 'admin') {
+    return { failure: { code: errorCodes.AUTH_FORBIDDEN, status: 403, message: 'Not authorized to make payment for this booking group' } };
+  }
+
+  if (group.payment_status === 'paid') {
+    return { failure: { code: errorCodes.BIZ_BOOKING_CONFLICT, status: 409, message: 'Booking group is already paid' } };
+  }
+
+  if (group.status !== 'active') {
+    return { failure: { code: errorCodes.BIZ_INVALID_STATE, status: 400, message: `Cannot pay for a booking group with status ${group.status}` } };
+  }
+
+  if (group.payment_expires_at && group.payment_expires_at <= new Date()) {
+    return { failure: { code: errorCodes.BIZ_INVALID_STATE, status: 400, message: 'Payment window for this booking group has expired' } };
+  }
+
+  const bookings = await Booking.find({ group_id: groupId, status: 'pending', payment_status: 'pending' });
+
+  if (bookings.length === 0) {
+    return { failure: { code: errorCodes.BIZ_INVALID_STATE, status: 400, message: 'Booking group has no bookings awaiting payment' } };
+  }
+
+  const amountDue = roundAmount(bookings.reduce((sum, booking) => sum + booking.total_amount, 0));
+  return { bookings, amountDue };
+}
+
+/**
+ * Helper function to confirm the bookings a successful payment covers
+ * Only pending bookings are confirmed; bookings released in the meantime stay
+ * released. When none is left to confirm the payment is queued for a full refund.
+ * @returns {Object} { confirmedCount, refund }
+ */
+async function confirmPaidBookings(payment, actor, reason) {
+  // Overtime payments settle a completed booking's balance instead
+  if (payment.payment_purpose === 'overtime') {
+    await settleOvertimePayment(payment);
+    return { confirmedCount: 0, refund: null };
+  }
+
+  const bookings = payment.group_id
+    ? await Booking.find({ group_id: payment.group_id })
+    : await Booking.find({ _id: payment.booking_id });
+
+  let confirmedCount = 0;
+
+  for (const booking of bookings) {
+    // Conditional so a payment hold expiring at the same time is not undone.
+    // The total being confirmed is what the driver has paid so far.
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'pending' },
+      [{ $set: { status: 'confirmed', payment_status: 'paid', amount_paid: '$total_amount' } }]
+    );
+
+    if (!updated) {
+      if (booking.status === 'confirmed') confirmedCount++;
+      continue;
+    }
+
+    confirmedCount++;
+    await assignVerificationCode(booking._id);
+    await recordStatusChange(booking._id, 'pending', 'confirmed', { actor, reason });
+  }
+
+  if (confirmedCount === 0) {
+    return { confirmedCount, refund: await refundReleasedPayment(payment, bookings) };
+  }
+
+  if (payment.group_id) {
+    await BookingGroup.updateOne({ _id: payment.group_id }, { $set: { payment_status: 'paid' } });
+  }
+
+  return { confirmedCount, refund: null };
+}
+
+/**
+ * Helper function to refund a payment whose bookings were all released first
+ * The gateway can confirm a payment after the payment hold cancelled the booking;
+ * the driver must not pay for a slot they no longer hold.
+ * @returns {Object|null} The refund, or null when one was already queued
+ */
+async function refundReleasedPayment(payment, bookings) {
+  if (bookings.length === 0 || await Refund.exists({ payment_id: payment._id })) {
+    return null;
+  }
+
+  const refund = await Refund.create({
+    payment_id: payment._id,
+    booking_id: bookings[0]._id,
+    refund_amount: payment.amount,
+    refund_reason: 'Payment completed after the booking was released',
+    status: 'pending'
+  });
+
+  await notify({
+    user_id: payment.user_id,
+    notification_type: 'booking_cancelled',
+    title: 'Payment will be refunded',
+    message: `Payment ${payment.payment_number} arrived after booking ${bookings[0].booking_number} was released. The full ${payment.amount} ${payment.currency} will be refunded.`,
+    reference_id: bookings[0]._id
+  });
+
+  return refund;
 }
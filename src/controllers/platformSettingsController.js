@@ -12,6 +12,9 @@ const DEFAULT_SETTINGS = {
   'platform.name': { value: 'ParkingBNB', description: 'Platform name', is_public: true },
   'platform.version': { value: '1.0.0', description: 'Platform version', is_public: true },
   'platform.commission_rate': { value: 0.15, description: 'Platform commission rate (15%)', is_public: false },
+  'pricing.service_fee_rate': { value: 0.05, description: 'Driver service fee as a share of the discounted subtotal (5%)', is_public: true },
+  'pricing.service_fee_fixed': { value: 0, description: 'Flat driver service fee added per booking', is_public: true },
+  'pricing.tax_rate': { value: 0, description: 'Tax rate applied to subtotal plus service fee', is_public: true },
   'feature.instant_booking': { value: true, description: 'Enable instant booking', is_public: true },
   'feature.promo_codes': { value: true, description: 'Enable promo codes', is_public: true },
   'maintenance.mode': { value: false, description: 'Maintenance mode', is_public: true },
@@ -19,7 +22,21 @@ const DEFAULT_SETTINGS = {
   'payment.max_amount': { value: 10000, description: 'Maximum payment amount', is_public: true },
   'booking.min_hours': { value: 1, description: 'Minimum booking duration in hours', is_public: true },
   'booking.max_days': { value: 30, description: 'Maximum booking duration in days', is_public: true },
-  'booking.cancellation_hours': { value: 24, description: 'Hours before booking to cancel', is_public: true }
+  'booking.cancellation_hours': { value: 24, description: 'Hours before booking to cancel', is_public: true },
+  'booking.request_expiry_hours': { value: 24, description: 'Hours an owner has to answer a booking request', is_public: true },
+  'booking.payment_hold_minutes': { value: 15, description: 'Minutes an unpaid booking holds its slot', is_public: true },
+  'booking.series_payment_lead_hours': { value: 24, description: 'Hours before start each recurring occurrence must be paid', is_public: true },
+  'booking.check_in_window_minutes': { value: 60, description: 'Minutes before and after start time a booking can be checked in', is_public: true },
+  'booking.reminder_minutes': { value: 60, description: 'Minutes before start time a confirmed booking gets its reminder with access instructions', is_public: true },
+  'booking.checkout_reminder_minutes': { value: 15, description: 'Minutes before end time an active booking gets its checkout reminder', is_public: true },
+  'booking.overstay_grace_minutes': { value: 30, description: 'Minutes past end time before an active booking is flagged as an overstay', is_public: true },
+  'booking.overtime_grace_minutes': { value: 15, description: 'Minutes past end time a driver can check out without an overtime charge (spaces can override)', is_public: true },
+  'booking.early_checkout_fee_percentage': { value: 10, description: 'Percentage kept from the unused-time refund on early check-out (spaces can override)', is_public: true },
+  'booking.overtime_multiplier': { value: 1.5, description: 'Multiplier on the hourly rate for each started overtime hour (spaces can override)', is_public: true },
+  'booking.auto_complete_hours': { value: 12, description: 'Hours past end time before an active booking is completed automatically', is_public: true },
+  'booking.transfer_expiry_hours': { value: 48, description: 'Hours a booking transfer invitation stays open (never past the booking start)', is_public: true },
+  'subscription.renewal_lead_hours': { value: 24, description: 'Hours before a subscription month ends that the next month is booked and charged', is_public: true },
+  'waitlist.claim_minutes': { value: 30, description: 'Minutes a waitlisted driver has to book a freed slot before it moves to the next in line', is_public: true }
 };
 
 /**
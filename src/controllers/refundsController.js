@@ -4,11 +4,11 @@
  */
 
 const Refund = require('../models/Refund');
-const Payment = require('../models/Payment');
 const Booking = require('../models/Booking');
 const { success, error, paginationMeta } = require('../utils/responseHelper');
 const errorCodes = require('../utils/errorCodes');
 const { validatePagination } = require('../utils/validators');
+const { getPaidAmount, createBookingRefund } = require('../utils/bookingHelpers');
 
 /**
  * @desc    Get all refunds
@@ -194,13 +194,16 @@ exports.requestRefund = async (req, res, next) => {
       .filter(r => ['pending', 'processing'].includes(r.status))
       .reduce((sum, r) => sum + r.refund_amount, 0);
 
-    if (totalRefunded >= booking.total_amount) {
+    // Refunds are bounded by what the driver actually paid, not by total_amount
+    const paidAmount = await getPaidAmount(booking);
+
+    if (totalRefunded >= paidAmount) {
       return error(res, errorCodes.BIZ_CONFLICT, 409, 'Booking has already been fully refunded');
     }
 
     // Calculate refund amount
-    let calculatedRefundAmount = refund_amount || booking.total_amount;
-    const maxRefundable = booking.total_amount - totalRefunded - pendingRefunds;
+    let calculatedRefundAmount = refund_amount || paidAmount;
+    const maxRefundable = paidAmount - totalRefunded - pendingRefunds;
 
     if (calculatedRefundAmount > maxRefundable) {
       calculatedRefundAmount = maxRefundable;
@@ -210,31 +213,19 @@ exports.requestRefund = async (req, res, next) => {
       return error(res, errorCodes.BIZ_VALIDATION, 400, 'No refundable amount available');
     }
 
-    // Get payment for this booking
-    const payment = await Payment.findOne({
-      booking_id: bookingId,
-      payment_status: 'succeeded'
-    });
+    // Create refunds, one per payment the amount is taken from
+    const refunds = await createBookingRefund(booking, calculatedRefundAmount, reason);
 
-    if (!payment) {
+    if (refunds.length === 0) {
       return error(res, errorCodes.NOT_FOUND, 404, 'No successful payment found for this booking');
     }
 
-    // Create refund
-    const refund = await Refund.create({
-      payment_id: payment._id,
-      booking_id: bookingId,
-      refund_amount: calculatedRefundAmount,
-      refund_reason: reason,
-      status: 'pending'
-    });
-
-    // Populate refund for response
-    const populatedRefund = await Refund.findById(refund._id)
+    // Populate refunds for response
+    const populatedRefunds = await Refund.find({ _id: { $in: refunds.map(refund => refund._id) } })
       .populate('payment_id', 'payment_number amount')
       .populate('booking_id', 'booking_number total_amount');
 
-    return success(res, { refund: populatedRefund }, null, 201);
+    return success(res, { refund: populatedRefunds[0], refunds: populatedRefunds }, null, 201);
   } catch (err) {
     console.error('Request refund error:', err);
     return error(res, errorCodes.SERVER_ERROR, 500, 'Error requesting refund');
@@ -370,7 +361,7 @@ exports.processRefund = async (req, res, next) => {
 
     const totalRefunded = allRefunds.reduce((sum, r) => sum + r.refund_amount, 0);
 
-    if (totalRefunded >= booking.total_amount) {
+    if (totalRefunded >= await getPaidAmount(booking)) {
       booking.payment_status = 'refunded';
       await booking.save();
     }
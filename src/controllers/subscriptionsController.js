@@ -0,0 +1,326 @@
+/**
+ * Subscriptions Controller
+ * Handles monthly parking subscriptions: sign-up, notice and resuming paused renewals
+ */
+
+const Subscription = require('../models/Subscription');
+const Booking = require('../models/Booking');
+const ParkingSpace = require('../models/ParkingSpace');
+const UserVehicle = require('../models/UserVehicle');
+const UserPaymentMethod = require('../models/UserPaymentMethod');
+const { success, error, paginationMeta } = require('../utils/responseHelper');
+const errorCodes = require('../utils/errorCodes');
+const { isValidObjectId } = require('../utils/validators');
+const { getMonthlyPrice, startSubscriptionPeriod } = require('../utils/subscriptions');
+
+const MAX_START_DAYS_AHEAD = 60;
+
+/**
+ * Helper function to generate unique subscription number
+ */
+const generateSubscriptionNumber = () => {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substring(2, 7).toUpperCase();
+  return `SUB-${timestamp}-${random}`;
+};
+
+/**
+ * Helper function to check whether the user may view a subscription
+ */
+const canViewSubscription = (subscription, user) => {
+  if (user.user_type === 'admin') return true;
+  if (subscription.user_id.toString() === user._id.toString()) return true;
+
+  const ownerUserId = subscription.owner_id && subscription.owner_id.user_id ? subscription.owner_id.user_id.toString() : null;
+  return ownerUserId === user._id.toString();
+};
+
+/**
+ * Helper function to load a subscription the current user may manage
+ * @returns {Object} { subscription } or { failure: { code, status, message } }
+ */
+const loadOwnSubscription = async (id, user, action) => {
+  const subscription = await Subscription.findById(id);
+
+  if (!subscription) {
+    return { failure: { code: errorCodes.NOT_FOUND, status: 404, message: 'Subscription not found' } };
+  }
+
+  if (subscription.user_id.toString() !== user._id.toString() && user.user_type !== 'admin') {
+    return { failure: { code: errorCodes.AUTH_FORBIDDEN, status: 403, message: `Not authorized to ${action} this subscription` } };
+  }
+
+  return { subscription };
+};
+
+/**
+ * @desc    Subscribe to monthly parking on a space
+ * @route   POST /api/subscriptions
+ * @access  Private
+ */
+exports.createSubscription = async (req, res, next) => {
+  try {
+    const { space_id, vehicle_id, start_time } = req.body;
+
+    if (!isValidObjectId(space_id) || !isValidObjectId(vehicle_id)) {
+      return error(res, errorCodes.REQ_INVALID_FORMAT, 400, 'Invalid space_id or vehicle_id format');
+    }
+
+    // Subscriptions start right away unless a later start is requested
+    const now = new Date();
+    const startDate = start_time ? new Date(start_time) : now;
+
+    if (isNaN(startDate.getTime())) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'Invalid date format');
+    }
+
+    if (startDate < new Date(now.getTime() - 5 * 60 * 1000)) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'Start time cannot be in the past');
+    }
+
+    if (startDate > new Date(now.getTime() + MAX_START_DAYS_AHEAD * 24 * 60 * 60 * 1000)) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, `A subscription must start within ${MAX_START_DAYS_AHEAD} days`);
+    }
+
+    // Check if parking space exists and offers monthly parking
+    const parkingSpace = await ParkingSpace.findById(space_id);
+
+    if (!parkingSpace) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Parking space not found');
+    }
+
+    if (parkingSpace.status !== 'active') {
+      return error(res, errorCodes.BIZ_SPACE_UNAVAILABLE, 400, 'Parking space is not available');
+    }
+
+    if (parkingSpace.booking_mode === 'request') {
+      return error(res, errorCodes.BIZ_OPERATION_NOT_ALLOWED, 400, 'Subscriptions are only available on instant-booking spaces');
+    }
+
+    if (!getMonthlyPrice(parkingSpace)) {
+      return error(res, errorCodes.BIZ_OPERATION_NOT_ALLOWED, 400, 'Parking space does not offer monthly parking');
+    }
+
+    // Check if vehicle exists and belongs to the user
+    const vehicle = await UserVehicle.findById(vehicle_id);
+
+    if (!vehicle) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Vehicle not found');
+    }
+
+    if (vehicle.user_id.toString() !== req.user._id.toString()) {
+      return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Vehicle does not belong to you');
+    }
+
+    if (!vehicle.is_verified) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'Vehicle must be verified before booking');
+    }
+
+    // Every month is charged to the saved default payment method
+    if (!(await UserPaymentMethod.exists({ user_id: req.user._id, is_default: true }))) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'Add a default payment method before subscribing');
+    }
+
+    const existing = await Subscription.exists({
+      user_id: req.user._id,
+      space_id,
+      status: { $in: ['active', 'paused'] }
+    });
+    if (existing) {
+      return error(res, errorCodes.BIZ_OPERATION_NOT_ALLOWED, 400, 'You already have a subscription for this parking space');
+    }
+
+    const subscription = await Subscription.create({
+      subscription_number: generateSubscriptionNumber(),
+      user_id: req.user._id,
+      owner_id: parkingSpace.owner_id,
+      space_id: parkingSpace._id,
+      vehicle_id: vehicle._id,
+      billing_day: startDate.getUTCDate(),
+      current_period_end: startDate
+    });
+
+    const result = await startSubscriptionPeriod(subscription, startDate, {
+      actor: req.user,
+      pauseOnUnavailable: false
+    });
+
+    // Nothing to keep if the first month cannot be booked
+    if (result.failure) {
+      await Subscription.deleteOne({ _id: subscription._id });
+      return error(res, result.failure.code, result.failure.status, result.failure.message);
+    }
+
+    return success(res, {
+      subscription,
+      booking: result.booking,
+      payment: result.payment,
+      message: result.renewed
+        ? 'Subscription started'
+        : `First month could not be charged (${result.failure_reason}); resume the subscription once your payment method is updated`
+    }, null, result.renewed ? 201 : 200);
+  } catch (err) {
+    console.error('Create subscription error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error creating subscription');
+  }
+};
+
+/**
+ * @desc    Get current user's subscriptions
+ * @route   GET /api/subscriptions
+ * @access  Private
+ */
+exports.getMySubscriptions = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const validPage = Math.max(1, parseInt(page) || 1);
+    const validLimit = Math.min(100, Math.max(1, parseInt(limit) || 10));
+
+    // Build filter
+    const filter = { user_id: req.user._id };
+    if (status) filter.status = status;
+
+    const total = await Subscription.countDocuments(filter);
+
+    const subscriptions = await Subscription.find(filter)
+      .populate('space_id', 'space_number space_type property_id price_per_month')
+      .populate('vehicle_id', 'vehicle_make vehicle_model license_plate')
+      .sort({ created_at: -1 })
+      .skip((validPage - 1) * validLimit)
+      .limit(validLimit);
+
+    return success(res, { subscriptions }, paginationMeta(validPage, validLimit, total));
+  } catch (err) {
+    console.error('Get subscriptions error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error fetching subscriptions');
+  }
+};
+
+/**
+ * @desc    Get subscription by ID with its monthly bookings
+ * @route   GET /api/subscriptions/:id
+ * @access  Private (subscriber, space owner or admin)
+ */
+exports.getSubscriptionById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const subscription = await Subscription.findById(id)
+      .populate('owner_id', 'user_id business_name')
+      .populate('space_id', 'space_number space_type property_id price_per_month')
+      .populate('vehicle_id', 'vehicle_make vehicle_model license_plate');
+
+    if (!subscription) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Subscription not found');
+    }
+
+    if (!canViewSubscription(subscription, req.user)) {
+      return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Not authorized to view this subscription');
+    }
+
+    const bookings = await Booking.find({ subscription_id: id })
+      .select('booking_number start_time end_time total_amount status payment_status')
+      .sort({ start_time: 1 });
+
+    return success(res, { subscription, bookings });
+  } catch (err) {
+    console.error('Get subscription by ID error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error fetching subscription');
+  }
+};
+
+/**
+ * @desc    Give notice: the subscription ends with the current month instead of renewing
+ * @route   PUT /api/subscriptions/:id/notice
+ * @access  Private (subscriber or admin)
+ */
+exports.giveNotice = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { cancellation_reason } = req.body || {};
+
+    const { subscription, failure } = await loadOwnSubscription(id, req.user, 'cancel');
+    if (failure) {
+      return error(res, failure.code, failure.status, failure.message);
+    }
+
+    if (subscription.status === 'cancelled') {
+      return error(res, errorCodes.BIZ_INVALID_STATE, 400, 'Subscription is already cancelled');
+    }
+
+    if (subscription.cancel_at_period_end) {
+      return error(res, errorCodes.BIZ_INVALID_STATE, 400, 'Notice has already been given for this subscription');
+    }
+
+    const now = new Date();
+    subscription.notice_given_at = now;
+    subscription.cancellation_reason = cancellation_reason || 'Notice given by subscriber';
+
+    // A paused subscription has no running month to wait for
+    if (subscription.status === 'paused') {
+      subscription.status = 'cancelled';
+      subscription.cancelled_at = now;
+    } else {
+      subscription.cancel_at_period_end = true;
+    }
+
+    await subscription.save();
+
+    return success(res, {
+      subscription,
+      message: subscription.status === 'cancelled'
+        ? 'Subscription cancelled'
+        : `Subscription will end on ${subscription.current_period_end.toISOString()}`
+    });
+  } catch (err) {
+    console.error('Give subscription notice error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error cancelling subscription');
+  }
+};
+
+/**
+ * @desc    Resume a paused subscription by booking and charging the next month now
+ * @route   PUT /api/subscriptions/:id/resume
+ * @access  Private (subscriber or admin)
+ */
+exports.resumeSubscription = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { subscription, failure } = await loadOwnSubscription(id, req.user, 'resume');
+    if (failure) {
+      return error(res, failure.code, failure.status, failure.message);
+    }
+
+    if (subscription.status !== 'paused') {
+      return error(res, errorCodes.BIZ_INVALID_STATE, 400, 'Only paused subscriptions can be resumed');
+    }
+
+    // Months missed while paused are not billed; the next month starts now at the earliest
+    const now = new Date();
+    const periodStart = subscription.current_period_end && subscription.current_period_end > now
+      ? subscription.current_period_end
+      : now;
+
+    const result = await startSubscriptionPeriod(subscription, periodStart, {
+      actor: req.user,
+      pauseOnUnavailable: false
+    });
+
+    if (result.failure) {
+      return error(res, result.failure.code, result.failure.status, result.failure.message);
+    }
+
+    return success(res, {
+      subscription,
+      booking: result.booking,
+      payment: result.payment,
+      message: result.renewed
+        ? 'Subscription resumed'
+        : `Payment failed (${result.failure_reason}); the subscription stays paused`
+    });
+  } catch (err) {
+    console.error('Resume subscription error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error resuming subscription');
+  }
+};
@@ -0,0 +1,292 @@
+/**
+ * Waitlist Controller
+ * Handles drivers waiting for fully booked spaces and properties
+ */
+
+const WaitlistEntry = require('../models/WaitlistEntry');
+const ParkingSpace = require('../models/ParkingSpace');
+const Property = require('../models/Property');
+const UserVehicle = require('../models/UserVehicle');
+const { success, error, paginationMeta } = require('../utils/responseHelper');
+const errorCodes = require('../utils/errorCodes');
+const { isValidObjectId } = require('../utils/validators');
+const { hasBookingConflict } = require('../utils/bookingHelpers');
+const { checkSpaceSchedule } = require('../utils/availabilityHelpers');
+const { OPEN_WAITLIST_STATUSES, canWaitForSpace, offerSpaceWindow } = require('../utils/waitlist');
+
+const MAX_OPEN_ENTRIES_PER_USER = 10;
+
+/**
+ * Helper function to check whether a space can be booked outright
+ */
+const isSpaceBookable = async (space, startTime, endTime) => {
+  const schedule = await checkSpaceSchedule(space._id, startTime, endTime);
+  if (!schedule.available) return false;
+  return !(await hasBookingConflict(space._id, startTime, endTime, null, { capacity: space.capacity }));
+};
+
+/**
+ * Helper function to compute an entry's place in line
+ * Counts earlier waiting entries for the same space or property with an overlapping window
+ */
+const getQueuePosition = async (entry) => {
+  if (entry.status !== 'waiting') return null;
+
+  const ahead = await WaitlistEntry.countDocuments({
+    status: 'waiting',
+    space_id: entry.space_id,
+    property_id: entry.property_id,
+    created_at: { $lt: entry.created_at },
+    start_time: { $lt: entry.end_time },
+    end_time: { $gt: entry.start_time }
+  });
+
+  return ahead + 1;
+};
+
+/**
+ * @desc    Join the waitlist for a space, or for any space of a property
+ * @route   POST /api/waitlist
+ * @access  Private
+ */
+exports.joinWaitlist = async (req, res, next) => {
+  try {
+    const { space_id, property_id, vehicle_id, start_time, end_time } = req.body;
+
+    const startDate = new Date(start_time);
+    const endDate = new Date(end_time);
+    const now = new Date();
+
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'Invalid date format');
+    }
+
+    if (startDate < now) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'Start time cannot be in the past');
+    }
+
+    if (endDate <= startDate) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'End time must be after start time');
+    }
+
+    if (Boolean(space_id) === Boolean(property_id)) {
+      return error(res, errorCodes.REQ_VALIDATION, 400, 'Provide either space_id or property_id');
+    }
+
+    if ((space_id && !isValidObjectId(space_id)) || (property_id && !isValidObjectId(property_id)) ||
+        (vehicle_id && !isValidObjectId(vehicle_id))) {
+      return error(res, errorCodes.REQ_INVALID_FORMAT, 400, 'Invalid space_id, property_id or vehicle_id format');
+    }
+
+    let propertyId;
+    if (space_id) {
+      const space = await ParkingSpace.findById(space_id);
+
+      if (!space) {
+        return error(res, errorCodes.NOT_FOUND, 404, 'Parking space not found');
+      }
+
+      if (space.status !== 'active') {
+        return error(res, errorCodes.BIZ_SPACE_UNAVAILABLE, 400, 'Parking space is not available');
+      }
+
+      // Waiting only helps when the space is taken, not when it is closed
+      const schedule = await checkSpaceSchedule(space._id, startDate, endDate);
+      if (!schedule.available) {
+        return error(res, errorCodes.BIZ_SPACE_UNAVAILABLE, 400, schedule.reason, {
+          window: schedule.window,
+          windows: schedule.windows,
+          override: schedule.override
+        });
+      }
+
+      if (!(await hasBookingConflict(space._id, startDate, endDate, null, { capacity: space.capacity }))) {
+        return error(res, errorCodes.BIZ_OPERATION_NOT_ALLOWED, 400, 'Parking space is available for this time period, book it directly');
+      }
+
+      if (!(await canWaitForSpace(space, startDate, endDate))) {
+        return error(res, errorCodes.BIZ_SPACE_UNAVAILABLE, 400, 'Space is blocked by the owner during the requested time period');
+      }
+
+      propertyId = space.property_id;
+    } else {
+      const property = await Property.findById(property_id);
+
+      if (!property || !property.is_active) {
+        return error(res, errorCodes.NOT_FOUND, 404, 'Property not found');
+      }
+
+      const spaces = await ParkingSpace.find({ property_id, status: 'active' }).select('_id capacity');
+      if (spaces.length === 0) {
+        return error(res, errorCodes.BIZ_SPACE_UNAVAILABLE, 400, 'Property has no active parking spaces');
+      }
+
+      const bookableSpaceIds = [];
+      for (const space of spaces) {
+        if (await isSpaceBookable(space, startDate, endDate)) {
+          bookableSpaceIds.push(space._id);
+        }
+      }
+
+      if (bookableSpaceIds.length > 0) {
+        return error(res, errorCodes.BIZ_OPERATION_NOT_ALLOWED, 400, 'A parking space at this property is available for this time period, book it directly', {
+          available_space_ids: bookableSpaceIds
+        });
+      }
+
+      propertyId = property._id;
+    }
+
+    if (vehicle_id) {
+      const vehicle = await UserVehicle.findById(vehicle_id);
+
+      if (!vehicle) {
+        return error(res, errorCodes.NOT_FOUND, 404, 'Vehicle not found');
+      }
+
+      if (vehicle.user_id.toString() !== req.user._id.toString()) {
+        return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Vehicle does not belong to you');
+      }
+    }
+
+    const openCount = await WaitlistEntry.countDocuments({
+      user_id: req.user._id,
+      status: { $in: OPEN_WAITLIST_STATUSES }
+    });
+    if (openCount >= MAX_OPEN_ENTRIES_PER_USER) {
+      return error(res, errorCodes.BIZ_OPERATION_NOT_ALLOWED, 400, `You can be on at most ${MAX_OPEN_ENTRIES_PER_USER} waitlists at a time`);
+    }
+
+    const duplicate = await WaitlistEntry.exists({
+      user_id: req.user._id,
+      space_id: space_id || null,
+      property_id: propertyId,
+      status: { $in: OPEN_WAITLIST_STATUSES },
+      start_time: { $lt: endDate },
+      end_time: { $gt: startDate }
+    });
+    if (duplicate) {
+      return error(res, errorCodes.BIZ_OPERATION_NOT_ALLOWED, 400, 'You are already on this waitlist for an overlapping time period');
+    }
+
+    const entry = await WaitlistEntry.create({
+      user_id: req.user._id,
+      space_id: space_id || null,
+      property_id: propertyId,
+      vehicle_id: vehicle_id || null,
+      start_time: startDate,
+      end_time: endDate
+    });
+
+    return success(res, { entry, position: await getQueuePosition(entry) }, null, 201);
+  } catch (err) {
+    console.error('Join waitlist error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error joining waitlist');
+  }
+};
+
+/**
+ * @desc    Get current user's waitlist entries
+ * @route   GET /api/waitlist
+ * @access  Private
+ */
+exports.getMyWaitlist = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const validPage = Math.max(1, parseInt(page) || 1);
+    const validLimit = Math.min(100, Math.max(1, parseInt(limit) || 10));
+
+    // Build filter
+    const filter = { user_id: req.user._id };
+    if (status) filter.status = status;
+
+    const total = await WaitlistEntry.countDocuments(filter);
+
+    const entries = await WaitlistEntry.find(filter)
+      .populate('space_id', 'space_number space_type')
+      .populate('property_id', 'property_name address city')
+      .populate('offered_space_id', 'space_number space_type')
+      .sort({ created_at: -1 })
+      .skip((validPage - 1) * validLimit)
+      .limit(validLimit);
+
+    return success(res, { entries }, paginationMeta(validPage, validLimit, total));
+  } catch (err) {
+    console.error('Get waitlist entries error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error fetching waitlist entries');
+  }
+};
+
+/**
+ * @desc    Get waitlist entry by ID
+ * @route   GET /api/waitlist/:id
+ * @access  Private (entry user or admin)
+ */
+exports.getWaitlistEntryById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const entry = await WaitlistEntry.findById(id)
+      .populate('space_id', 'space_number space_type')
+      .populate('property_id', 'property_name address city')
+      .populate('offered_space_id', 'space_number space_type');
+
+    if (!entry) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Waitlist entry not found');
+    }
+
+    if (entry.user_id.toString() !== req.user._id.toString() && req.user.user_type !== 'admin') {
+      return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Not authorized to view this waitlist entry');
+    }
+
+    return success(res, { entry, position: await getQueuePosition(entry) });
+  } catch (err) {
+    console.error('Get waitlist entry by ID error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error fetching waitlist entry');
+  }
+};
+
+/**
+ * @desc    Leave the waitlist, or turn down a held slot
+ * @route   PUT /api/waitlist/:id/cancel
+ * @access  Private (entry user or admin)
+ */
+exports.cancelWaitlistEntry = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const entry = await WaitlistEntry.findById(id);
+
+    if (!entry) {
+      return error(res, errorCodes.NOT_FOUND, 404, 'Waitlist entry not found');
+    }
+
+    if (entry.user_id.toString() !== req.user._id.toString() && req.user.user_type !== 'admin') {
+      return error(res, errorCodes.AUTH_FORBIDDEN, 403, 'Not authorized to cancel this waitlist entry');
+    }
+
+    const previousStatus = entry.status;
+
+    // Conditional update so a booking claiming the hold at the same time wins
+    const result = await WaitlistEntry.updateOne(
+      { _id: entry._id, status: { $in: OPEN_WAITLIST_STATUSES } },
+      { $set: { status: 'cancelled', cancelled_at: new Date() } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return error(res, errorCodes.BIZ_INVALID_STATE, 400, `Waitlist entry is already ${entry.status}`);
+    }
+
+    // A turned-down hold goes to the next driver in line
+    if (previousStatus === 'offered') {
+      await offerSpaceWindow(entry.offered_space_id, entry.start_time, entry.end_time);
+    }
+
+    const cancelledEntry = await WaitlistEntry.findById(id);
+
+    return success(res, { entry: cancelledEntry });
+  } catch (err) {
+    console.error('Cancel waitlist entry error:', err);
+    return error(res, errorCodes.SERVER_ERROR, 500, 'Error cancelling waitlist entry');
+  }
+};
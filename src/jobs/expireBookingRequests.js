@@ -0,0 +1,52 @@
+/**
+ * Expire Booking Requests Job
+ * Expires request-to-book bookings the owner did not answer in time
+ */
+
+const Booking = require('../models/Booking');
+const { notify } = require('../utils/notificationHelper');
+const { reversePromoUsage } = require('../utils/promoUsage');
+const { releaseToWaitlist } = require('../utils/waitlist');
+const { recordStatusChange } = require('../utils/bookingHistory');
+
+module.exports = async () => {
+  const now = new Date();
+
+  const expiredRequests = await Booking.find({
+    status: 'requested',
+    approval_expires_at: { $lte: now }
+  }).select('_id user_id booking_number space_id start_time end_time');
+
+  let expiredCount = 0;
+
+  for (const request of expiredRequests) {
+    // Conditional update so a concurrent approve/decline wins
+    const result = await Booking.updateOne(
+      { _id: request._id, status: 'requested' },
+      { $set: { status: 'expired', approval_responded_at: now } }
+    );
+
+    if (result.modifiedCount === 0) continue;
+    expiredCount++;
+
+    await recordStatusChange(request._id, 'requested', 'expired', {
+      reason: 'Approval window closed before the owner responded'
+    });
+    await reversePromoUsage(request._id);
+    await releaseToWaitlist(request);
+
+    await notify({
+      user_id: request.user_id,
+      notification_type: 'booking_request_expired',
+      title: 'Booking request expired',
+      message: `The owner did not respond to booking request ${request.booking_number} in time. The request has expired.`,
+      reference_id: request._id
+    });
+  }
+
+  if (expiredCount > 0) {
+    console.log(`Expired ${expiredCount} booking request(s)`);
+  }
+
+  return expiredCount;
+};
@@ -0,0 +1,76 @@
+/**
+ * Expire Unpaid Bookings Job
+ * Cancels pending bookings whose payment hold ran out and releases the slot
+ */
+
+const Booking = require('../models/Booking');
+const BookingGroup = require('../models/BookingGroup');
+const { notify } = require('../utils/notificationHelper');
+const { reversePromoUsage } = require('../utils/promoUsage');
+const { releaseToWaitlist } = require('../utils/waitlist');
+const { recordStatusChange } = require('../utils/bookingHistory');
+
+module.exports = async () => {
+  const now = new Date();
+
+  const unpaidBookings = await Booking.find({
+    status: 'pending',
+    payment_status: 'pending',
+    payment_expires_at: { $lte: now }
+  }).select('_id user_id booking_number space_id start_time end_time');
+
+  let cancelledCount = 0;
+
+  for (const booking of unpaidBookings) {
+    // Conditional update so a payment landing at the same time wins
+    const result = await Booking.updateOne(
+      { _id: booking._id, status: 'pending', payment_status: 'pending' },
+      {
+        $set: {
+          status: 'cancelled',
+          cancellation_reason: 'Payment not received before the hold expired',
+          cancelled_at: now
+        }
+      }
+    );
+
+    if (result.modifiedCount === 0) continue;
+    cancelledCount++;
+
+    await recordStatusChange(booking._id, 'pending', 'cancelled', {
+      reason: 'Payment not received before the hold expired'
+    });
+    await reversePromoUsage(booking._id);
+    await releaseToWaitlist(booking);
+
+    await notify({
+      user_id: booking.user_id,
+      notification_type: 'booking_cancelled',
+      title: 'Booking cancelled',
+      message: `Booking ${booking.booking_number} was cancelled because payment was not received in time.`,
+      reference_id: booking._id
+    });
+  }
+
+  // Groups are paid in one go, so an expired hold closes the whole group
+  const groupResult = await BookingGroup.updateMany(
+    { status: 'active', payment_status: 'pending', payment_expires_at: { $lte: now } },
+    {
+      $set: {
+        status: 'cancelled',
+        cancellation_reason: 'Payment not received before the hold expired',
+        cancelled_at: now
+      }
+    }
+  );
+
+  if (cancelledCount > 0) {
+    console.log(`Cancelled ${cancelledCount} unpaid booking(s)`);
+  }
+
+  if (groupResult.modifiedCount > 0) {
+    console.log(`Cancelled ${groupResult.modifiedCount} unpaid booking group(s)`);
+  }
+
+  return cancelledCount;
+};
@@ -0,0 +1,72 @@
+/**
+ * Background Jobs
+ * Registers and starts periodic maintenance jobs
+ */
+
+const JOBS = [
+  {
+    name: 'expire-booking-requests',
+    intervalMs: 5 * 60 * 1000, // 5 minutes
+    run: require('./expireBookingRequests')
+  },
+  {
+    name: 'expire-unpaid-bookings',
+    intervalMs: 60 * 1000, // 1 minute
+    run: require('./expireUnpaidBookings')
+  },
+  {
+    name: 'sweep-overdue-bookings',
+    intervalMs: 5 * 60 * 1000, // 5 minutes
+    run: require('./sweepOverdueBookings')
+  },
+  {
+    name: 'sync-calendar-imports',
+    intervalMs: 60 * 60 * 1000, // 1 hour
+    run: require('./syncCalendarImports')
+  },
+  {
+    name: 'process-waitlist',
+    intervalMs: 60 * 1000, // 1 minute
+    run: require('./processWaitlist')
+  },
+  {
+    name: 'renew-subscriptions',
+    intervalMs: 60 * 60 * 1000, // 1 hour
+    run: require('./renewSubscriptions')
+  },
+  {
+    name: 'send-booking-reminders',
+    intervalMs: 60 * 1000, // 1 minute
+    run: require('./sendBookingReminders')
+  }
+];
+
+/**
+ * Start all background jobs
+ * Each job runs on its own interval and never overlaps with itself
+ */
+exports.startJobs = () => {
+  if (process.env.DISABLE_JOBS === 'true') {
+    console.log('Background jobs disabled');
+    return;
+  }
+
+  JOBS.forEach(job => {
+    let running = false;
+
+    const tick = async () => {
+      if (running) return;
+      running = true;
+
+      try {
+        await job.run();
+      } catch (err) {
+        console.error(`Job ${job.name} error:`, err);
+      } finally {
+        running = false;
+      }
+    };
+
+    setInterval(tick, job.intervalMs);
+  });
+};
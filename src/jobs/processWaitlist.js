@@ -0,0 +1,56 @@
+/**
+ * Process Waitlist Job
+ * Lapses unclaimed waitlist holds, closes past entries and offers slots
+ * freed on spaces flagged with markSpaceForWaitlist
+ */
+
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { notify } = require('../utils/notificationHelper');
+const { offerSpaceWindow, offerFlaggedSpaces } = require('../utils/waitlist');
+
+module.exports = async () => {
+  const now = new Date();
+
+  const lapsedOffers = await WaitlistEntry.find({
+    status: 'offered',
+    offer_expires_at: { $lte: now }
+  }).select('_id user_id offered_space_id start_time end_time');
+
+  let lapsedCount = 0;
+
+  for (const entry of lapsedOffers) {
+    // Conditional update so a booking claiming the hold at the same time wins
+    const result = await WaitlistEntry.updateOne(
+      { _id: entry._id, status: 'offered' },
+      { $set: { status: 'expired' } }
+    );
+
+    if (result.modifiedCount === 0) continue;
+    lapsedCount++;
+
+    await notify({
+      user_id: entry.user_id,
+      notification_type: 'waitlist_offer_expired',
+      title: 'Waitlist hold expired',
+      message: 'The parking spot held for you was not booked in time and has been offered to the next driver.',
+      reference_id: entry._id
+    });
+
+    // The slot moves on to the next in line
+    await offerSpaceWindow(entry.offered_space_id, entry.start_time, entry.end_time);
+  }
+
+  // Entries whose window has passed can no longer be served
+  await WaitlistEntry.updateMany(
+    { status: 'waiting', end_time: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+
+  const offeredCount = await offerFlaggedSpaces();
+
+  if (lapsedCount > 0 || offeredCount > 0) {
+    console.log(`Waitlist: ${lapsedCount} hold(s) lapsed, ${offeredCount} offer(s) made`);
+  }
+
+  return offeredCount;
+};
@@ -0,0 +1,77 @@
+/**
+ * Renew Subscriptions Job
+ * Starts the next month of active subscriptions and ends those under notice
+ */
+
+const Subscription = require('../models/Subscription');
+const { getNumberSetting } = require('../utils/settings');
+const { notify } = require('../utils/notificationHelper');
+const { startSubscriptionPeriod } = require('../utils/subscriptions');
+
+// Default hours before a period ends that the next one is booked and charged
+const DEFAULT_RENEWAL_LEAD_HOURS = 24;
+
+module.exports = async () => {
+  const now = new Date();
+
+  // Subscriptions under notice end with their current period
+  const ending = await Subscription.find({
+    status: 'active',
+    cancel_at_period_end: true,
+    current_period_end: { $lte: now }
+  }).select('_id user_id subscription_number');
+
+  let endedCount = 0;
+
+  for (const subscription of ending) {
+    const result = await Subscription.updateOne(
+      { _id: subscription._id, status: 'active' },
+      { $set: { status: 'cancelled', cancelled_at: now } }
+    );
+
+    if (result.modifiedCount === 0) continue;
+    endedCount++;
+
+    await notify({
+      user_id: subscription.user_id,
+      notification_type: 'subscription_ended',
+      title: 'Subscription ended',
+      message: `Subscription ${subscription.subscription_number} has ended as requested in your notice.`,
+      reference_id: subscription._id
+    });
+  }
+
+  const leadHours = await getNumberSetting('subscription.renewal_lead_hours', DEFAULT_RENEWAL_LEAD_HOURS);
+
+  const due = await Subscription.find({
+    status: 'active',
+    cancel_at_period_end: false,
+    current_period_end: { $lte: new Date(now.getTime() + leadHours * 60 * 60 * 1000) }
+  })
+    .sort({ current_period_end: 1 })
+    .limit(200);
+
+  let renewedCount = 0;
+  let pausedCount = 0;
+
+  for (const subscription of due) {
+    // A renewal picked up late starts now rather than in the past
+    const periodStart = subscription.current_period_end > now ? subscription.current_period_end : now;
+    const result = await startSubscriptionPeriod(subscription, periodStart);
+
+    // Another run or a manual resume got to it first
+    if (result.busy) continue;
+
+    if (result.renewed) {
+      renewedCount++;
+    } else {
+      pausedCount++;
+    }
+  }
+
+  if (endedCount > 0 || renewedCount > 0 || pausedCount > 0) {
+    console.log(`Subscriptions: ${renewedCount} renewed, ${pausedCount} paused, ${endedCount} ended`);
+  }
+
+  return { ended: endedCount, renewed: renewedCount, paused: pausedCount };
+};
@@ -0,0 +1,138 @@
+/**
+ * Send Booking Reminders Job
+ * Reminds drivers shortly before a confirmed booking starts (with the
+ * property's access instructions) and before an active booking ends
+ * (with a one-tap extend link)
+ */
+
+const Booking = require('../models/Booking');
+const { getNumberSetting } = require('../utils/settings');
+const { notify } = require('../utils/notificationHelper');
+const { signExtendToken } = require('../utils/verificationCode');
+
+// Default minutes before start_time a confirmed booking gets its reminder
+const DEFAULT_REMINDER_MINUTES = 60;
+
+// Default minutes before end_time an active booking gets its checkout reminder
+const DEFAULT_CHECKOUT_REMINDER_MINUTES = 15;
+
+/**
+ * Build the one-tap extend link for a booking
+ */
+const getExtendLink = (booking) => {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${baseUrl}/bookings/${booking._id}/extend?token=${encodeURIComponent(signExtendToken(booking))}`;
+};
+
+/**
+ * Describe where the space is and how to get in
+ */
+const describeAccess = (booking) => {
+  const space = booking.space_id;
+  const property = space && space.property_id;
+  if (!property) return '';
+
+  const location = [property.property_name, property.address, property.city].filter(Boolean).join(', ');
+  const instructions = property.access_instructions
+    ? ` Access instructions: ${property.access_instructions}`
+    : '';
+
+  return ` Space ${space.space_number} at ${location}.${instructions}`;
+};
+
+/**
+ * Confirmed bookings starting within the reminder window
+ * The reminder is tied to the start time it was sent for, so a booking
+ * moved to a new start time is reminded again for the new time.
+ */
+const sendStartReminders = async (now) => {
+  const reminderMinutes = await getNumberSetting('booking.reminder_minutes', DEFAULT_REMINDER_MINUTES);
+  const cutoff = new Date(now.getTime() + reminderMinutes * 60 * 1000);
+
+  const upcomingBookings = await Booking.find({
+    status: 'confirmed',
+    start_time: { $gt: now, $lte: cutoff },
+    $expr: { $ne: ['$start_reminder_sent_for', '$start_time'] }
+  })
+    .select('_id user_id booking_number start_time space_id')
+    .populate({
+      path: 'space_id',
+      select: 'space_number property_id',
+      populate: { path: 'property_id', select: 'property_name address city access_instructions' }
+    });
+
+  let count = 0;
+
+  for (const booking of upcomingBookings) {
+    // Conditional update so a concurrent run or reschedule does not double-send
+    const result = await Booking.updateOne(
+      { _id: booking._id, status: 'confirmed', start_time: booking.start_time, start_reminder_sent_for: { $ne: booking.start_time } },
+      { $set: { start_reminder_sent_for: booking.start_time } }
+    );
+
+    if (result.modifiedCount === 0) continue;
+    count++;
+
+    await notify({
+      user_id: booking.user_id,
+      notification_type: 'booking_reminder',
+      title: 'Your booking starts soon',
+      message: `Booking ${booking.booking_number} starts at ${booking.start_time.toISOString()}.${describeAccess(booking)}`,
+      reference_id: booking._id
+    });
+  }
+
+  return count;
+};
+
+/**
+ * Active bookings ending within the checkout reminder window
+ * An extension moves end_time, so the driver is reminded again before the new end.
+ */
+const sendCheckoutReminders = async (now) => {
+  const reminderMinutes = await getNumberSetting('booking.checkout_reminder_minutes', DEFAULT_CHECKOUT_REMINDER_MINUTES);
+  const cutoff = new Date(now.getTime() + reminderMinutes * 60 * 1000);
+
+  const endingBookings = await Booking.find({
+    status: 'active',
+    end_time: { $gt: now, $lte: cutoff },
+    $expr: { $ne: ['$checkout_reminder_sent_for', '$end_time'] }
+  })
+    .select('_id user_id booking_number end_time');
+
+  let count = 0;
+
+  for (const booking of endingBookings) {
+    const result = await Booking.updateOne(
+      { _id: booking._id, status: 'active', end_time: booking.end_time, checkout_reminder_sent_for: { $ne: booking.end_time } },
+      { $set: { checkout_reminder_sent_for: booking.end_time } }
+    );
+
+    if (result.modifiedCount === 0) continue;
+    count++;
+
+    await notify({
+      user_id: booking.user_id,
+      notification_type: 'checkout_reminder',
+      title: 'Your booking ends soon',
+      message: `Booking ${booking.booking_number} ends at ${booking.end_time.toISOString()}. Please check out on time to avoid overtime charges, or extend your booking with one tap.`,
+      reference_id: booking._id,
+      action_url: getExtendLink(booking)
+    });
+  }
+
+  return count;
+};
+
+module.exports = async () => {
+  const now = new Date();
+
+  const startCount = await sendStartReminders(now);
+  const checkoutCount = await sendCheckoutReminders(now);
+
+  if (startCount + checkoutCount > 0) {
+    console.log(`Sent booking reminders: ${startCount} start reminder(s), ${checkoutCount} checkout reminder(s)`);
+  }
+
+  return { startCount, checkoutCount };
+};
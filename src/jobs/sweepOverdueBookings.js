@@ -0,0 +1,220 @@
+/**
+ * Sweep Overdue Bookings Job
+ * Marks confirmed bookings as no-shows once the check-in window closes,
+ * flags active bookings that overstay end_time, completes abandoned ones
+ * and completes booking series whose last occurrence has finished
+ */
+
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const { getNumberSetting } = require('../utils/settings');
+const { notify } = require('../utils/notificationHelper');
+const { getCheckInWindowMs } = require('../utils/bookingHelpers');
+const { recordStatusChange } = require('../utils/bookingHistory');
+
+// Default minutes past end_time before an active booking is flagged as an overstay
+const DEFAULT_OVERSTAY_GRACE_MINUTES = 30;
+
+// Default hours past end_time before an active booking is completed automatically
+const DEFAULT_AUTO_COMPLETE_HOURS = 12;
+
+/**
+ * Get the owner's user ID from a booking with owner_id populated
+ */
+const getOwnerUserId = (booking) => (booking.owner_id && booking.owner_id.user_id) || null;
+
+/**
+ * Confirmed bookings nobody checked in before the window closed
+ */
+const markNoShows = async (now) => {
+  const checkInWindowMs = await getCheckInWindowMs();
+  const cutoff = new Date(now.getTime() - checkInWindowMs);
+
+  const missedBookings = await Booking.find({
+    status: 'confirmed',
+    start_time: { $lt: cutoff }
+  })
+    .select('_id user_id owner_id booking_number')
+    .populate('owner_id', 'user_id');
+
+  let count = 0;
+
+  for (const booking of missedBookings) {
+    // Conditional update so a check-in landing at the same time wins
+    const result = await Booking.updateOne(
+      { _id: booking._id, status: 'confirmed' },
+      { $set: { status: 'no_show' } }
+    );
+
+    if (result.modifiedCount === 0) continue;
+    count++;
+
+    await recordStatusChange(booking._id, 'confirmed', 'no_show', {
+      reason: 'Not checked in before the check-in window closed'
+    });
+
+    await notify({
+      user_id: booking.user_id,
+      notification_type: 'booking_no_show',
+      title: 'Booking marked as no-show',
+      message: `Booking ${booking.booking_number} was marked as a no-show because you did not check in on time.`,
+      reference_id: booking._id
+    });
+
+    await notify({
+      user_id: getOwnerUserId(booking),
+      notification_type: 'booking_no_show',
+      title: 'Driver did not show up',
+      message: `Booking ${booking.booking_number} was marked as a no-show. The space is free again.`,
+      reference_id: booking._id
+    });
+  }
+
+  return count;
+};
+
+/**
+ * Active bookings past end_time plus the grace period that are not flagged yet
+ */
+const flagOverstays = async (now) => {
+  const graceMinutes = await getNumberSetting('booking.overstay_grace_minutes', DEFAULT_OVERSTAY_GRACE_MINUTES);
+  const cutoff = new Date(now.getTime() - graceMinutes * 60 * 1000);
+
+  const overdueBookings = await Booking.find({
+    status: 'active',
+    end_time: { $lt: cutoff },
+    overstay_flagged_at: null
+  })
+    .select('_id user_id owner_id booking_number')
+    .populate('owner_id', 'user_id');
+
+  let count = 0;
+
+  for (const booking of overdueBookings) {
+    const result = await Booking.updateOne(
+      { _id: booking._id, status: 'active', overstay_flagged_at: null },
+      { $set: { overstay_flagged_at: now } }
+    );
+
+    if (result.modifiedCount === 0) continue;
+    count++;
+
+    await notify({
+      user_id: booking.user_id,
+      notification_type: 'booking_overstay',
+      title: 'Your booking has ended',
+      message: `Booking ${booking.booking_number} has passed its end time. Please check out or extend your booking.`,
+      reference_id: booking._id
+    });
+
+    await notify({
+      user_id: getOwnerUserId(booking),
+      notification_type: 'booking_overstay',
+      title: 'Vehicle overstaying',
+      message: `Booking ${booking.booking_number} has passed its end time and has not been checked out.`,
+      reference_id: booking._id
+    });
+  }
+
+  return count;
+};
+
+/**
+ * Active bookings left open long after end_time
+ * They are completed at end_time so no overtime is charged for the missed check-out
+ */
+const autoComplete = async (now) => {
+  const autoCompleteHours = await getNumberSetting('booking.auto_complete_hours', DEFAULT_AUTO_COMPLETE_HOURS);
+  const cutoff = new Date(now.getTime() - autoCompleteHours * 60 * 60 * 1000);
+
+  const abandonedBookings = await Booking.find({
+    status: 'active',
+    end_time: { $lt: cutoff }
+  })
+    .select('_id user_id owner_id booking_number end_time')
+    .populate('owner_id', 'user_id');
+
+  let count = 0;
+
+  for (const booking of abandonedBookings) {
+    const result = await Booking.updateOne(
+      { _id: booking._id, status: 'active' },
+      {
+        $set: {
+          status: 'completed',
+          check_out_time: booking.end_time,
+          auto_completed_at: now
+        }
+      }
+    );
+
+    if (result.modifiedCount === 0) continue;
+    count++;
+
+    await recordStatusChange(booking._id, 'active', 'completed', {
+      reason: 'Completed automatically after no check-out'
+    });
+
+    await notify({
+      user_id: booking.user_id,
+      notification_type: 'booking_auto_completed',
+      title: 'Booking completed',
+      message: `Booking ${booking.booking_number} was completed automatically because it was never checked out.`,
+      reference_id: booking._id
+    });
+
+    await notify({
+      user_id: getOwnerUserId(booking),
+      notification_type: 'booking_auto_completed',
+      title: 'Booking completed',
+      message: `Booking ${booking.booking_number} was completed automatically because it was never checked out.`,
+      reference_id: booking._id
+    });
+  }
+
+  return count;
+};
+
+// Occurrence statuses that mean a series still has something ahead of it
+const OPEN_OCCURRENCE_STATUSES = ['requested', 'pending', 'confirmed', 'active'];
+
+/**
+ * Active series past their end date with no open occurrence left
+ */
+const completeSeries = async (now) => {
+  const endedSeries = await BookingSeries.find({
+    status: 'active',
+    end_date: { $lt: now }
+  }).select('_id');
+
+  let count = 0;
+
+  for (const series of endedSeries) {
+    const open = await Booking.exists({ series_id: series._id, status: { $in: OPEN_OCCURRENCE_STATUSES } });
+    if (open) continue;
+
+    const result = await BookingSeries.updateOne(
+      { _id: series._id, status: 'active' },
+      { $set: { status: 'completed' } }
+    );
+
+    count += result.modifiedCount;
+  }
+
+  return count;
+};
+
+module.exports = async () => {
+  const now = new Date();
+
+  const noShowCount = await markNoShows(now);
+  const overstayCount = await flagOverstays(now);
+  const completedCount = await autoComplete(now);
+  const seriesCount = await completeSeries(now);
+
+  if (noShowCount + overstayCount + completedCount + seriesCount > 0) {
+    console.log(`Swept overdue bookings: ${noShowCount} no-show(s), ${overstayCount} overstay(s), ${completedCount} auto-completed, ${seriesCount} series completed`);
+  }
+
+  return { noShowCount, overstayCount, completedCount, seriesCount };
+};
@@ -0,0 +1,25 @@
+/**
+ * Sync Calendar Imports Job
+ * Re-fetches external iCal URLs so space blackouts follow the source calendars
+ */
+
+const CalendarImport = require('../models/CalendarImport');
+const { syncCalendarImport } = require('../utils/calendarImport');
+
+module.exports = async () => {
+  const imports = await CalendarImport.find({ source_type: 'url', is_active: true });
+
+  let failedCount = 0;
+
+  // One at a time - a slow calendar host should not pile up requests
+  for (const calendarImport of imports) {
+    const result = await syncCalendarImport(calendarImport);
+    if (result.failure) failedCount++;
+  }
+
+  if (failedCount > 0) {
+    console.log(`Failed to sync ${failedCount} of ${imports.length} calendar import(s)`);
+  }
+
+  return imports.length - failedCount;
+};
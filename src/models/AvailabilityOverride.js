@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const overrideWindowSchema = new mongoose.Schema({
+  available_from: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: v => TIME_PATTERN.test(v),
+      message: 'available_from must be in HH:MM format (24-hour)'
+    }
+  },
+  available_to: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: v => TIME_PATTERN.test(v),
+      message: 'available_to must be in HH:MM format (24-hour)'
+    }
+  }
+}, { _id: false });
+
+// Dated exception to a space's weekly schedule, covering start_date through
+// end_date (inclusive UTC calendar dates, like the weekly windows):
+// - blackout: closed all day
+// - extra:    windows opened in addition to the weekly schedule
+// - replace:  windows used instead of the weekly schedule
+const availabilityOverrideSchema = new mongoose.Schema({
+  space_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingSpace',
+    required: true
+  },
+  override_type: {
+    type: String,
+    enum: ['blackout', 'extra', 'replace'],
+    required: true
+  },
+  start_date: {
+    type: String,
+    required: true,
+    match: [DATE_PATTERN, 'start_date must be in YYYY-MM-DD format']
+  },
+  end_date: {
+    type: String,
+    required: true,
+    match: [DATE_PATTERN, 'end_date must be in YYYY-MM-DD format']
+  },
+  windows: {
+    type: [overrideWindowSchema],
+    default: []
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+availabilityOverrideSchema.index({ space_id: 1, start_date: 1, end_date: 1 });
+
+module.exports = mongoose.model('AvailabilityOverride', availabilityOverrideSchema);
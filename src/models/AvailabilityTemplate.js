@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const templateWindowSchema = new mongoose.Schema({
+  day_of_week: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6,
+    validate: {
+      validator: Number.isInteger,
+      message: 'day_of_week must be an integer between 0 (Sunday) and 6 (Saturday)'
+    }
+  },
+  available_from: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: v => TIME_PATTERN.test(v),
+      message: 'available_from must be in HH:MM format (24-hour)'
+    }
+  },
+  // Before available_from for overnight windows, like SpaceAvailability
+  available_to: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: v => TIME_PATTERN.test(v),
+      message: 'available_to must be in HH:MM format (24-hour)'
+    }
+  },
+  is_available: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+// Named weekly schedule an owner can apply to many spaces at once.
+// Applying it replaces each space's SpaceAvailability windows with a copy of
+// these windows and links the space (ParkingSpace.availability_template_id).
+const availabilityTemplateSchema = new mongoose.Schema({
+  owner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Owner',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  windows: {
+    type: [templateWindowSchema],
+    default: []
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+availabilityTemplateSchema.index({ owner_id: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('AvailabilityTemplate', availabilityTemplateSchema);
@@ -31,6 +31,24 @@ const bookingSchema = new mongoose.Schema({
     ref: 'UserVehicle',
     required: true
   },
+  // Set when the booking is one occurrence of a recurring series
+  series_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries',
+    index: true
+  },
+  // Set when the booking is one billing month of a monthly subscription
+  subscription_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription',
+    index: true
+  },
+  // Set when the booking is a member of a multi-space group checkout
+  group_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingGroup',
+    index: true
+  },
   start_time: {
     type: Date,
     required: true,
@@ -56,11 +74,81 @@ const bookingSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  service_fee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tax_amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  platform_commission: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  owner_payout: {
+    type: Number,
+    min: 0
+  },
   total_amount: {
     type: Number,
     required: true,
     min: 0
   },
+  // What the driver has paid for the booked time: the amount confirmed plus
+  // top-ups for extensions and price increases (null until paid, and on older bookings)
+  amount_paid: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  promo_code: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  // Fee, tax and commission rates the booking was priced with (null on older bookings)
+  pricing_rates: {
+    type: new mongoose.Schema({
+      commission_rate: Number,
+      service_fee_rate: Number,
+      service_fee_fixed: Number,
+      tax_rate: Number
+    }, { _id: false }),
+    default: null
+  },
+  // Ledger of end-time extensions, in the order they were applied
+  extensions: [{
+    old_end_time: {
+      type: Date,
+      required: true
+    },
+    new_end_time: {
+      type: Date,
+      required: true
+    },
+    extension_price: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    extended_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Top-up that collected the extension on a paid booking
+    payment_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    extended_at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   currency: {
     type: String,
     required: true,
@@ -71,10 +159,33 @@ const bookingSchema = new mongoose.Schema({
   status: {
     type: String,
     required: true,
-    enum: ['pending', 'confirmed', 'active', 'completed', 'cancelled', 'no_show'],
+    enum: ['requested', 'pending', 'confirmed', 'active', 'completed', 'cancelled', 'no_show', 'declined', 'expired'],
     default: 'pending',
     index: true
   },
+  booking_type: {
+    type: String,
+    enum: ['instant', 'request'],
+    default: 'instant',
+    trim: true
+  },
+  // Request-to-book approval tracking
+  approval_expires_at: {
+    type: Date,
+    index: true
+  },
+  approval_responded_at: {
+    type: Date
+  },
+  decline_reason: {
+    type: String,
+    trim: true
+  },
+  // Unpaid pending bookings release the slot after this time
+  payment_expires_at: {
+    type: Date,
+    index: true
+  },
   payment_status: {
     type: String,
     required: true,
@@ -82,15 +193,84 @@ const bookingSchema = new mongoose.Schema({
     default: 'pending',
     index: true
   },
+  verification_code: {
+    type: String,
+    trim: true,
+    select: false
+  },
   check_in_time: {
     type: Date
   },
   check_out_time: {
     type: Date
   },
+  overtime_charge: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  overtime_minutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // none, paid, or outstanding when the overtime charge could not be collected
+  overtime_payment_status: {
+    type: String,
+    enum: ['none', 'paid', 'outstanding'],
+    default: 'none',
+    index: true
+  },
+  overtime_payment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Refund of unused time on early check-out (spaces with refund_unused_time)
+  early_checkout_refund_amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  early_checkout_refund_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  // Start/end time each reminder was sent for; a changed time gets a new reminder
+  start_reminder_sent_for: {
+    type: Date
+  },
+  checkout_reminder_sent_for: {
+    type: Date
+  },
+  overstay_flagged_at: {
+    type: Date
+  },
+  auto_completed_at: {
+    type: Date
+  },
+  // Cancellation policy of the space at the time of booking
+  cancellation_policy: {
+    name: {
+      type: String,
+      trim: true
+    },
+    tiers: [{
+      _id: false,
+      hours_before: Number,
+      refund_percentage: Number
+    }]
+  },
   cancellation_reason: {
     type: String,
     trim: true
+  },
+  cancelled_at: {
+    type: Date
+  },
+  refund_amount: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 }, {
   timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const bookingGroupSchema = new mongoose.Schema({
+  group_number: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  start_time: {
+    type: Date,
+    required: true
+  },
+  end_time: {
+    type: Date,
+    required: true
+  },
+  member_count: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Combined amount of all members at checkout
+  total_amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true,
+    default: 'USD',
+    uppercase: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['active', 'cancelled'],
+    default: 'active',
+    index: true
+  },
+  payment_status: {
+    type: String,
+    required: true,
+    enum: ['pending', 'paid'],
+    default: 'pending'
+  },
+  payment_expires_at: {
+    type: Date
+  },
+  cancelled_at: {
+    type: Date
+  },
+  cancellation_reason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Compound indexes for efficient queries
+bookingGroupSchema.index({ user_id: 1, status: 1 });
+
+module.exports = mongoose.model('BookingGroup', bookingGroupSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const bookingHistorySchema = new mongoose.Schema({
+  booking_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    index: true
+  },
+  event_type: {
+    type: String,
+    required: true,
+    enum: ['created', 'status_change', 'time_change', 'vehicle_change', 'extension', 'price_change', 'transfer'],
+    trim: true
+  },
+  from_status: {
+    type: String,
+    trim: true
+  },
+  to_status: {
+    type: String,
+    trim: true
+  },
+  // Field-level before/after values for non-status events
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    from: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    to: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  }],
+  actor_type: {
+    type: String,
+    required: true,
+    enum: ['user', 'owner', 'admin', 'system'],
+    default: 'system',
+    trim: true
+  },
+  actor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false }
+});
+
+// Compound index for chronological history per booking
+bookingHistorySchema.index({ booking_id: 1, created_at: 1 });
+
+module.exports = mongoose.model('BookingHistory', bookingHistorySchema);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const bookingSeriesSchema = new mongoose.Schema({
+  series_number: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  owner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Owner',
+    required: true,
+    index: true
+  },
+  space_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingSpace',
+    required: true,
+    index: true
+  },
+  vehicle_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserVehicle',
+    required: true
+  },
+  days_of_week: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: function(v) {
+        return v.length > 0 && v.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+      },
+      message: 'days_of_week must contain integers between 0 (Sunday) and 6 (Saturday)'
+    }
+  },
+  daily_start_time: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return /^([01]\d|2[0-3]):([0-5]\d)$/.test(v);
+      },
+      message: 'daily_start_time must be in HH:MM format (24-hour)'
+    }
+  },
+  daily_end_time: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return /^([01]\d|2[0-3]):([0-5]\d)$/.test(v);
+      },
+      message: 'daily_end_time must be in HH:MM format (24-hour)'
+    }
+  },
+  // Offset of the driver's local time from UTC, used to place HH:MM times
+  utc_offset_minutes: {
+    type: Number,
+    default: 0,
+    min: -14 * 60,
+    max: 14 * 60
+  },
+  start_date: {
+    type: Date,
+    required: true
+  },
+  end_date: {
+    type: Date,
+    required: true
+  },
+  occurrence_count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total_amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['active', 'cancelled', 'completed'],
+    default: 'active',
+    index: true
+  },
+  cancelled_at: {
+    type: Date
+  },
+  cancellation_reason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Compound indexes for efficient queries
+bookingSeriesSchema.index({ user_id: 1, status: 1 });
+bookingSeriesSchema.index({ owner_id: 1, status: 1 });
+
+module.exports = mongoose.model('BookingSeries', bookingSeriesSchema);
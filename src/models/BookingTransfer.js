@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const bookingTransferSchema = new mongoose.Schema({
+  booking_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    index: true
+  },
+  from_user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Recipients are invited by email and may not have an account yet
+  to_email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+  to_user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'cancelled', 'expired'],
+    default: 'pending'
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  // Vehicle the recipient picked when accepting
+  to_vehicle_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserVehicle',
+    default: null
+  },
+  responded_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+bookingTransferSchema.index({ booking_id: 1, status: 1 });
+
+module.exports = mongoose.model('BookingTransfer', bookingTransferSchema);
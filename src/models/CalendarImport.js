@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const calendarImportSchema = new mongoose.Schema({
+  space_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingSpace',
+    required: true,
+    index: true
+  },
+  owner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Owner',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // 'url' feeds are re-synced in the background, 'file' imports only on upload
+  source_type: {
+    type: String,
+    enum: ['url', 'file'],
+    required: true
+  },
+  url: {
+    type: String,
+    trim: true,
+    required: function() { return this.source_type === 'url'; }
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  last_synced_at: {
+    type: Date,
+    default: null
+  },
+  last_sync_status: {
+    type: String,
+    enum: ['success', 'failed'],
+    default: null
+  },
+  last_sync_error: {
+    type: String,
+    default: null
+  },
+  event_count: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+calendarImportSchema.index({ source_type: 1, is_active: 1 });
+
+module.exports = mongoose.model('CalendarImport', calendarImportSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// The invoice is reserved for its booking first and numbered right after,
+// so invoice_number and sequence stay unset until a number is assigned
+const invoiceSchema = new mongoose.Schema({
+  invoice_number: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  // One invoice per booking, issued the first time its receipt is requested
+  booking_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+  owner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Owner',
+    required: true
+  },
+  // Position in the owner's invoice sequence (1, 2, 3, ...)
+  sequence: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  issued_at: {
+    type: Date,
+    required: true,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false }
+});
+
+// Compound indexes for efficient queries
+invoiceSchema.index({ invoice_number: 1 }, { unique: true, partialFilterExpression: { invoice_number: { $type: 'string' } } });
+invoiceSchema.index({ owner_id: 1, sequence: 1 }, { unique: true, partialFilterExpression: { sequence: { $type: 'number' } } });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Last invoice number handed out per owner
+// Only advanced after an invoice holds the number, so it never runs ahead
+const invoiceSequenceSchema = new mongoose.Schema({
+  owner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Owner',
+    required: true,
+    unique: true
+  },
+  last_sequence: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+module.exports = mongoose.model('InvoiceSequence', invoiceSequenceSchema);
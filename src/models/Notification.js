@@ -12,7 +12,25 @@ const notificationSchema = new mongoose.Schema({
     required: true,
     enum: [
       'booking_confirmed',
+      'booking_request',
+      'booking_approved',
+      'booking_declined',
+      'booking_request_expired',
       'booking_cancelled',
+      'booking_no_show',
+      'booking_overstay',
+      'booking_auto_completed',
+      'waitlist_offer',
+      'waitlist_offer_expired',
+      'booking_transfer_request',
+      'booking_transfer_accepted',
+      'booking_transfer_declined',
+      'overtime_charged',
+      'overtime_charge_failed',
+      'early_checkout_refund',
+      'subscription_renewed',
+      'subscription_paused',
+      'subscription_ended',
       'payment_received',
       'payment_failed',
       'refund_processed',
@@ -41,6 +59,11 @@ const notificationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     index: true
   },
+  // Optional link for a one-tap action (e.g. extending a booking)
+  action_url: {
+    type: String,
+    trim: true
+  },
   is_read: {
     type: Boolean,
     default: false,
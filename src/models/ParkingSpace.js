@@ -94,6 +94,79 @@ const parkingSpaceSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  require_verification_code: {
+    type: Boolean,
+    default: false
+  },
+  cancellation_policy: {
+    type: String,
+    enum: ['flexible', 'moderate', 'strict', 'non_refundable', 'custom'],
+    default: 'moderate',
+    trim: true
+  },
+  // Only used with the custom policy
+  cancellation_tiers: [{
+    _id: false,
+    hours_before: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    refund_percentage: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100
+    }
+  }],
+  // Overtime terms; null falls back to the platform settings
+  overtime_grace_minutes: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  overtime_multiplier: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Availability template the weekly schedule was copied from; cleared when
+  // the schedule is edited directly
+  availability_template_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AvailabilityTemplate',
+    default: null
+  },
+  // Set when time may have freed up on the space without a booking being
+  // released (schedule edits, removed blackouts, more capacity); the
+  // process-waitlist job re-offers the space to waiting drivers and clears it
+  waitlist_recheck_at: {
+    type: Date,
+    default: null
+  },
+  // Number of identical units (spots) bookable at the same time
+  capacity: {
+    type: Number,
+    min: 1,
+    max: 1000,
+    default: 1,
+    validate: {
+      validator: Number.isInteger,
+      message: 'capacity must be a whole number of units'
+    }
+  },
+  // Refund the unused part of a booking when the driver checks out early
+  refund_unused_time: {
+    type: Boolean,
+    default: false
+  },
+  // null uses the platform's booking.early_checkout_fee_percentage
+  early_checkout_fee_percentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null
+  },
   is_available: {
     type: Boolean,
     default: true
@@ -114,5 +187,7 @@ parkingSpaceSchema.index({ owner_id: 1, is_available: 1 });
 parkingSpaceSchema.index({ is_available: 1, price_per_hour: 1 });
 parkingSpaceSchema.index({ average_rating: -1 });
 parkingSpaceSchema.index({ has_ev_charging: 1 });
+parkingSpaceSchema.index({ availability_template_id: 1 });
+parkingSpaceSchema.index({ waitlist_recheck_at: 1 });
 
 module.exports = mongoose.model('ParkingSpace', parkingSpaceSchema);
@@ -14,12 +14,28 @@ const paymentSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Group payments cover every member booking of a BookingGroup instead
   booking_id: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Booking',
-    required: true,
+    required: function() {
+      return !this.group_id;
+    },
+    index: true
+  },
+  group_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingGroup',
     index: true
   },
+  // What the payment is for: the booking itself, a top-up for an extension or
+  // price increase on a paid booking, or overtime charged at check-out
+  payment_purpose: {
+    type: String,
+    enum: ['booking', 'top_up', 'overtime'],
+    default: 'booking',
+    trim: true
+  },
   amount: {
     type: Number,
     required: true,
@@ -28,6 +28,7 @@ const spaceAvailabilitySchema = new mongoose.Schema({
       message: 'available_from must be in HH:MM format (24-hour)'
     }
   },
+  // Before available_from for overnight windows, which end on the next day
   available_to: {
     type: String,
     required: true,
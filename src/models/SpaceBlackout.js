@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const spaceBlackoutSchema = new mongoose.Schema({
+  space_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingSpace',
+    required: true
+  },
+  import_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CalendarImport',
+    required: true
+  },
+  // UID of the external event - re-imports update the same blackout
+  uid: {
+    type: String,
+    required: true
+  },
+  start_time: {
+    type: Date,
+    required: true
+  },
+  end_time: {
+    type: Date,
+    required: true
+  },
+  summary: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+spaceBlackoutSchema.index({ import_id: 1, uid: 1 }, { unique: true });
+spaceBlackoutSchema.index({ space_id: 1, start_time: 1, end_time: 1 });
+
+module.exports = mongoose.model('SpaceBlackout', spaceBlackoutSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const spaceLockSchema = new mongoose.Schema({
+  space_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingSpace',
+    required: true,
+    unique: true
+  },
+  lock_token: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  locked_until: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: false
+});
+
+// Clean up locks left behind by crashed requests
+spaceLockSchema.index({ locked_until: 1 }, { expireAfterSeconds: 60 });
+
+module.exports = mongoose.model('SpaceLock', spaceLockSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const subscriptionSchema = new mongoose.Schema({
+  subscription_number: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  owner_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Owner',
+    required: true,
+    index: true
+  },
+  space_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingSpace',
+    required: true,
+    index: true
+  },
+  vehicle_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserVehicle',
+    required: true
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['active', 'paused', 'cancelled'],
+    default: 'active',
+    index: true
+  },
+  // Day of month each period starts on (clamped to shorter months)
+  billing_day: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 31
+  },
+  // Driver total of the latest charged month
+  monthly_amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  current_period_start: {
+    type: Date
+  },
+  current_period_end: {
+    type: Date,
+    index: true
+  },
+  current_booking_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  cycle_count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Notice given: the subscription ends with the current period instead of renewing
+  cancel_at_period_end: {
+    type: Boolean,
+    default: false
+  },
+  notice_given_at: {
+    type: Date
+  },
+  paused_at: {
+    type: Date
+  },
+  last_charge_error: {
+    type: String,
+    trim: true
+  },
+  // Set while a period is being booked and charged, so overlapping renewals skip it
+  renewal_claimed_until: {
+    type: Date,
+    default: null
+  },
+  cancelled_at: {
+    type: Date
+  },
+  cancellation_reason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Compound indexes for efficient queries
+subscriptionSchema.index({ user_id: 1, status: 1 });
+subscriptionSchema.index({ owner_id: 1, status: 1 });
+subscriptionSchema.index({ status: 1, current_period_end: 1 });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
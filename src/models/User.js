@@ -71,11 +71,18 @@ const userSchema = new mongoose.Schema({
   },
   last_login: {
     type: Date
+  },
+  calendar_token: {
+    type: String,
+    select: false
   }
 }, {
   timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
 });
 
+// Calendar feeds are looked up by token
+userSchema.index({ calendar_token: 1 }, { unique: true, sparse: true });
+
 // Note: Password hashing is done in the controller, not here
 // This prevents double-hashing issues
 
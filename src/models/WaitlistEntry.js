@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const waitlistEntrySchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Either a specific space, or any space of a property
+  space_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingSpace',
+    default: null
+  },
+  property_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  vehicle_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserVehicle',
+    default: null
+  },
+  start_time: {
+    type: Date,
+    required: true
+  },
+  end_time: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // Hold granted when a slot frees up - other drivers cannot book it until it lapses
+  offered_space_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingSpace',
+    default: null
+  },
+  offered_at: {
+    type: Date,
+    default: null
+  },
+  offer_expires_at: {
+    type: Date,
+    default: null
+  },
+  claimed_booking_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  claimed_at: {
+    type: Date,
+    default: null
+  },
+  cancelled_at: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+waitlistEntrySchema.index({ status: 1, space_id: 1, start_time: 1 });
+waitlistEntrySchema.index({ status: 1, property_id: 1, start_time: 1 });
+waitlistEntrySchema.index({ offered_space_id: 1, status: 1, offer_expires_at: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -6,6 +6,8 @@
 const express = require('express');
 const router = express.Router();
 const availabilityController = require('../controllers/availabilityController');
+const calendarImportsController = require('../controllers/calendarImportsController');
+const availabilityTemplatesController = require('../controllers/availabilityTemplatesController');
 const { protect, optionalAuth } = require('../middleware/auth');
 const { isOwner } = require('../middleware/roleCheck');
 const { validateObjectId, validateRequired, sanitize } = require('../middleware/validation');
@@ -38,6 +40,51 @@ router.post(
   availabilityController.checkConflicts
 );
 
+// External calendar imports (owner only) - must come before general POST
+router.get(
+  '/space/:spaceId/calendar-imports',
+  protect,
+  isOwner,
+  validateObjectId('spaceId'),
+  calendarImportsController.getCalendarImports
+);
+
+router.post(
+  '/space/:spaceId/calendar-imports',
+  protect,
+  isOwner,
+  validateObjectId('spaceId'),
+  sanitize,
+  calendarImportsController.createCalendarImport
+);
+
+// Blackouts imported from external calendars (owner only)
+router.get(
+  '/space/:spaceId/blackouts',
+  protect,
+  isOwner,
+  validateObjectId('spaceId'),
+  calendarImportsController.getSpaceBlackouts
+);
+
+// Dated availability overrides - must come before general POST
+router.get(
+  '/space/:spaceId/overrides',
+  optionalAuth,
+  validateObjectId('spaceId'),
+  availabilityController.getSpaceOverrides
+);
+
+router.post(
+  '/space/:spaceId/overrides',
+  protect,
+  isOwner,
+  validateObjectId('spaceId'),
+  sanitize,
+  validateRequired(['override_type', 'start_date']),
+  availabilityController.createOverride
+);
+
 // Create availability schedule (owner only)
 router.post(
   '/space/:spaceId',
@@ -49,6 +96,93 @@ router.post(
   availabilityController.createAvailability
 );
 
+// Availability templates (owner only) - must come before /:id
+router.get(
+  '/templates',
+  protect,
+  isOwner,
+  availabilityTemplatesController.getTemplates
+);
+
+router.post(
+  '/templates',
+  protect,
+  isOwner,
+  sanitize,
+  validateRequired(['name', 'windows']),
+  availabilityTemplatesController.createTemplate
+);
+
+router.post(
+  '/templates/:id/apply',
+  protect,
+  isOwner,
+  validateObjectId('id'),
+  sanitize,
+  availabilityTemplatesController.applyTemplate
+);
+
+router.get(
+  '/templates/:id',
+  protect,
+  isOwner,
+  validateObjectId('id'),
+  availabilityTemplatesController.getTemplateById
+);
+
+router.put(
+  '/templates/:id',
+  protect,
+  isOwner,
+  validateObjectId('id'),
+  sanitize,
+  availabilityTemplatesController.updateTemplate
+);
+
+router.delete(
+  '/templates/:id',
+  protect,
+  isOwner,
+  validateObjectId('id'),
+  availabilityTemplatesController.deleteTemplate
+);
+
+// Calendar import-specific operations
+router.post(
+  '/calendar-imports/:id/sync',
+  protect,
+  isOwner,
+  validateObjectId('id'),
+  sanitize,
+  calendarImportsController.syncCalendarImport
+);
+
+router.delete(
+  '/calendar-imports/:id',
+  protect,
+  isOwner,
+  validateObjectId('id'),
+  calendarImportsController.deleteCalendarImport
+);
+
+// Override-specific operations
+router.put(
+  '/overrides/:id',
+  protect,
+  isOwner,
+  validateObjectId('id'),
+  sanitize,
+  availabilityController.updateOverride
+);
+
+router.delete(
+  '/overrides/:id',
+  protect,
+  isOwner,
+  validateObjectId('id'),
+  availabilityController.deleteOverride
+);
+
 // Availability-specific operations
 router.put(
   '/:id',
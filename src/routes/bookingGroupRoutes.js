@@ -0,0 +1,34 @@
+/**
+ * Booking Group Routes
+ * Handles multi-space fleet bookings paid for in one checkout
+ */
+
+const express = require('express');
+const router = express.Router();
+const bookingGroupsController = require('../controllers/bookingGroupsController');
+const { protect } = require('../middleware/auth');
+const { validateObjectId, sanitize } = require('../middleware/validation');
+
+// Get current user's groups
+router.get('/', protect, bookingGroupsController.getMyGroups);
+
+// Create group
+router.post(
+  '/',
+  protect,
+  sanitize,
+  bookingGroupsController.createGroup
+);
+
+// Group-specific operations
+router.get('/:id', protect, validateObjectId('id'), bookingGroupsController.getGroupById);
+
+router.put(
+  '/:id/cancel',
+  protect,
+  validateObjectId('id'),
+  sanitize,
+  bookingGroupsController.cancelGroup
+);
+
+module.exports = router;
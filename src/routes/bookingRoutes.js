@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const bookingsController = require('../controllers/bookingsController');
+const bookingTransfersController = require('../controllers/bookingTransfersController');
 const { protect } = require('../middleware/auth');
 const { authorize } = require('../middleware/roleCheck');
 const { validateObjectId, validateRequired, validateDateRange, sanitize } = require('../middleware/validation');
@@ -31,6 +32,17 @@ router.get(
   bookingsController.getOwnerBookings
 );
 
+// Get current user's outstanding overtime balance
+router.get('/outstanding-balance', protect, bookingsController.getOutstandingBalance);
+
+// Get itemized price quote
+router.post(
+  '/quote',
+  sanitize,
+  validateRequired(['space_id', 'start_time', 'end_time']),
+  bookingsController.getQuote
+);
+
 // Create booking
 router.post(
   '/',
@@ -55,6 +67,13 @@ router.put(
   bookingsController.updateBooking
 );
 
+router.get(
+  '/:id/refund-preview',
+  protect,
+  validateObjectId('id'),
+  bookingsController.getRefundPreview
+);
+
 router.put(
   '/:id/cancel',
   protect,
@@ -62,6 +81,51 @@ router.put(
   bookingsController.cancelBooking
 );
 
+router.put(
+  '/:id/approve',
+  protect,
+  validateObjectId('id'),
+  bookingsController.approveBooking
+);
+
+router.put(
+  '/:id/decline',
+  protect,
+  validateObjectId('id'),
+  sanitize,
+  bookingsController.declineBooking
+);
+
+router.post(
+  '/:id/transfer',
+  protect,
+  validateObjectId('id'),
+  sanitize,
+  validateRequired(['recipient_email']),
+  bookingTransfersController.createTransfer
+);
+
+router.get(
+  '/:id/receipt',
+  protect,
+  validateObjectId('id'),
+  bookingsController.getReceipt
+);
+
+router.get(
+  '/:id/history',
+  protect,
+  validateObjectId('id'),
+  bookingsController.getBookingHistory
+);
+
+router.get(
+  '/:id/qr',
+  protect,
+  validateObjectId('id'),
+  bookingsController.getCheckInQr
+);
+
 router.put(
   '/:id/checkin',
   protect,
@@ -77,6 +141,13 @@ router.put(
   bookingsController.checkOut
 );
 
+router.post(
+  '/:id/overtime/pay',
+  protect,
+  validateObjectId('id'),
+  bookingsController.payOvertime
+);
+
 router.put(
   '/:id/extend',
   protect,
@@ -86,4 +157,19 @@ router.put(
   bookingsController.extendBooking
 );
 
+// One-tap extension from a checkout reminder; the signed link token authenticates.
+// GET only previews the extension for the confirmation page, PUT applies it.
+router.get(
+  '/:id/quick-extend',
+  validateObjectId('id'),
+  bookingsController.previewQuickExtend
+);
+
+router.put(
+  '/:id/quick-extend',
+  validateObjectId('id'),
+  sanitize,
+  bookingsController.quickExtendBooking
+);
+
 module.exports = router;
@@ -0,0 +1,42 @@
+/**
+ * Booking Series Routes
+ * Handles recurring bookings and their occurrences
+ */
+
+const express = require('express');
+const router = express.Router();
+const bookingSeriesController = require('../controllers/bookingSeriesController');
+const { protect } = require('../middleware/auth');
+const { validateObjectId, sanitize } = require('../middleware/validation');
+
+// Get current user's series
+router.get('/', protect, bookingSeriesController.getMySeries);
+
+// Preview occurrences, prices and conflicts - must come before /:id
+router.post(
+  '/preview',
+  protect,
+  sanitize,
+  bookingSeriesController.previewSeries
+);
+
+// Create series
+router.post(
+  '/',
+  protect,
+  sanitize,
+  bookingSeriesController.createSeries
+);
+
+// Series-specific operations
+router.get('/:id', protect, validateObjectId('id'), bookingSeriesController.getSeriesById);
+
+router.put(
+  '/:id/cancel',
+  protect,
+  validateObjectId('id'),
+  sanitize,
+  bookingSeriesController.cancelSeries
+);
+
+module.exports = router;
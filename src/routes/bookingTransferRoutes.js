@@ -0,0 +1,39 @@
+/**
+ * Booking Transfer Routes
+ * Handles booking hand-overs between accounts
+ */
+
+const express = require('express');
+const router = express.Router();
+const bookingTransfersController = require('../controllers/bookingTransfersController');
+const { protect } = require('../middleware/auth');
+const { validateObjectId, validateRequired, sanitize } = require('../middleware/validation');
+
+// Get current user's incoming or outgoing transfers
+router.get('/', protect, bookingTransfersController.getMyTransfers);
+
+// Transfer-specific operations (transfers are created via POST /api/bookings/:id/transfer)
+router.put(
+  '/:id/accept',
+  protect,
+  validateObjectId('id'),
+  sanitize,
+  validateRequired(['vehicle_id']),
+  bookingTransfersController.acceptTransfer
+);
+
+router.put(
+  '/:id/decline',
+  protect,
+  validateObjectId('id'),
+  bookingTransfersController.declineTransfer
+);
+
+router.put(
+  '/:id/cancel',
+  protect,
+  validateObjectId('id'),
+  bookingTransfersController.cancelTransfer
+);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+/**
+ * Calendar Routes
+ * Handles iCalendar (.ics) booking feeds
+ */
+
+const express = require('express');
+const router = express.Router();
+const calendarFeedsController = require('../controllers/calendarFeedsController');
+const { protect } = require('../middleware/auth');
+const { validateObjectId } = require('../middleware/validation');
+
+// Feed URL management - must come before /:token
+router.get('/feeds', protect, calendarFeedsController.getFeedUrls);
+
+router.post('/feeds/regenerate', protect, calendarFeedsController.regenerateFeedToken);
+
+// Token-authenticated feeds for calendar clients
+router.get('/:token/bookings.ics', calendarFeedsController.getUserFeed);
+
+router.get('/:token/owner.ics', calendarFeedsController.getOwnerFeed);
+
+router.get(
+  '/:token/spaces/:spaceId.ics',
+  validateObjectId('spaceId'),
+  calendarFeedsController.getSpaceFeed
+);
+
+module.exports = router;
@@ -45,6 +45,13 @@ router.get(
   parkingSpacesController.checkAvailability
 );
 
+router.get(
+  '/:id/calendar',
+  optionalAuth,
+  validateObjectId('id'),
+  parkingSpacesController.getSpaceCalendar
+);
+
 router.put(
   '/:id',
   protect,
@@ -0,0 +1,42 @@
+/**
+ * Subscription Routes
+ * Handles monthly parking subscriptions
+ */
+
+const express = require('express');
+const router = express.Router();
+const subscriptionsController = require('../controllers/subscriptionsController');
+const { protect } = require('../middleware/auth');
+const { validateObjectId, validateRequired, sanitize } = require('../middleware/validation');
+
+// Get current user's subscriptions
+router.get('/', protect, subscriptionsController.getMySubscriptions);
+
+// Subscribe to a space
+router.post(
+  '/',
+  protect,
+  sanitize,
+  validateRequired(['space_id', 'vehicle_id']),
+  subscriptionsController.createSubscription
+);
+
+// Subscription-specific operations
+router.get('/:id', protect, validateObjectId('id'), subscriptionsController.getSubscriptionById);
+
+router.put(
+  '/:id/notice',
+  protect,
+  validateObjectId('id'),
+  sanitize,
+  subscriptionsController.giveNotice
+);
+
+router.put(
+  '/:id/resume',
+  protect,
+  validateObjectId('id'),
+  subscriptionsController.resumeSubscription
+);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+/**
+ * Waitlist Routes
+ * Handles waitlists for fully booked spaces and properties
+ */
+
+const express = require('express');
+const router = express.Router();
+const waitlistController = require('../controllers/waitlistController');
+const { protect } = require('../middleware/auth');
+const { validateObjectId, validateRequired, sanitize } = require('../middleware/validation');
+
+// Get current user's waitlist entries
+router.get('/', protect, waitlistController.getMyWaitlist);
+
+// Join a waitlist
+router.post(
+  '/',
+  protect,
+  sanitize,
+  validateRequired(['start_time', 'end_time']),
+  waitlistController.joinWaitlist
+);
+
+// Waitlist entry-specific operations
+router.get('/:id', protect, validateObjectId('id'), waitlistController.getWaitlistEntryById);
+
+router.put(
+  '/:id/cancel',
+  protect,
+  validateObjectId('id'),
+  waitlistController.cancelWaitlistEntry
+);
+
+module.exports = router;
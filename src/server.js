@@ -3,6 +3,7 @@ const dotenv = require('dotenv');
 const cors = require('cors');
 const connectDB = require('./config/db');
 const errorHandler = require('./middleware/errorHandler');
+const { startJobs } = require('./jobs');
 
 // Load environment variables
 dotenv.config();
@@ -10,6 +11,9 @@ dotenv.config();
 // Connect to database
 connectDB();
 
+// Start background jobs
+startJobs();
+
 const app = express();
 
 // Middleware
@@ -48,6 +52,12 @@ app.use('/api/properties', require('./routes/propertyRoutes'));
 app.use('/api/parking-spaces', require('./routes/parkingSpaceRoutes'));
 app.use('/api/availability', require('./routes/availabilityRoutes'));
 app.use('/api/bookings', require('./routes/bookingRoutes'));
+app.use('/api/booking-series', require('./routes/bookingSeriesRoutes'));
+app.use('/api/booking-groups', require('./routes/bookingGroupRoutes'));
+app.use('/api/booking-transfers', require('./routes/bookingTransferRoutes'));
+app.use('/api/calendar', require('./routes/calendarRoutes'));
+app.use('/api/waitlist', require('./routes/waitlistRoutes'));
+app.use('/api/subscriptions', require('./routes/subscriptionRoutes'));
 app.use('/api/payments', require('./routes/paymentRoutes'));
 app.use('/api/refunds', require('./routes/refundRoutes'));
 app.use('/api/reviews', require('./routes/reviewRoutes'));
@@ -97,6 +107,12 @@ app.listen(PORT, () => {
 ║  • /api/parking-spaces    - Parking Space Management      ║
 ║  • /api/availability      - Availability Schedules        ║
 ║  • /api/bookings          - Booking Management            ║
+║  • /api/booking-series    - Recurring Bookings            ║
+║  • /api/booking-groups    - Group Bookings                ║
+║  • /api/booking-transfers - Booking Transfers             ║
+║  • /api/calendar          - Calendar Feeds                ║
+║  • /api/waitlist          - Waitlists                     ║
+║  • /api/subscriptions     - Monthly Subscriptions         ║
 ║  • /api/payments          - Payment Processing            ║
 ║  • /api/refunds           - Refund Management             ║
 ║  • /api/reviews           - Review Management             ║
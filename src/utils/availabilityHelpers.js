@@ -0,0 +1,416 @@
+/**
+ * Availability Helpers
+ * Checks requested time ranges against a space's weekly availability schedule
+ * and its dated overrides
+ */
+
+const SpaceAvailability = require('../models/SpaceAvailability');
+const AvailabilityOverride = require('../models/AvailabilityOverride');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Convert HH:MM to minutes since midnight
+ * '23:59' as an end time is treated as the end of the day
+ */
+const toMinutes = (time, isEnd = false) => {
+  if (isEnd && time === '23:59') return DAY_MINUTES;
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Format minutes since midnight as HH:MM
+ */
+const formatMinutes = (totalMinutes) => {
+  const rounded = Math.round(totalMinutes);
+  const hours = Math.floor(rounded / 60);
+  const minutes = rounded % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * Split a time range into per-day segments (UTC days)
+ */
+const splitByDay = (startTime, endTime) => {
+  const start = new Date(startTime).getTime();
+  const end = new Date(endTime).getTime();
+  const segments = [];
+
+  let dayStart = Date.UTC(new Date(start).getUTCFullYear(), new Date(start).getUTCMonth(), new Date(start).getUTCDate());
+
+  while (dayStart < end) {
+    const segmentStart = Math.max(start, dayStart);
+    const segmentEnd = Math.min(end, dayStart + DAY_MS);
+
+    if (segmentEnd > segmentStart) {
+      segments.push({
+        date: new Date(dayStart).toISOString().slice(0, 10),
+        day_of_week: new Date(dayStart).getUTCDay(),
+        from: (segmentStart - dayStart) / (60 * 1000),
+        to: (segmentEnd - dayStart) / (60 * 1000)
+      });
+    }
+
+    dayStart += DAY_MS;
+  }
+
+  return segments;
+};
+
+/**
+ * Check whether a window crosses midnight
+ * Overnight windows end (available_to) before they start (available_from)
+ * and run into the next day, e.g. 18:00-08:00.
+ */
+const isOvernight = (window) => toMinutes(window.available_from) > toMinutes(window.available_to, true);
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ */
+const shiftDate = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Convert a weekly window to [start, end) minutes since Sunday 00:00
+ * Overnight windows end on the following day, so end can pass the end of the week.
+ */
+const toWeekRange = (window) => {
+  const dayOffset = (window.day_of_week || 0) * DAY_MINUTES;
+  const start = dayOffset + toMinutes(window.available_from);
+  const end = dayOffset + toMinutes(window.available_to, true) + (isOvernight(window) ? DAY_MINUTES : 0);
+  return { start, end };
+};
+
+/**
+ * Check whether two weekly windows overlap, including overnight windows
+ * spilling into the next day and Saturday nights running into Sunday
+ * Windows without day_of_week are compared as windows on the same day.
+ */
+const windowsOverlap = (a, b) => {
+  const first = toWeekRange(a);
+  const second = toWeekRange(b);
+  const WEEK_MINUTES = 7 * DAY_MINUTES;
+
+  return [-WEEK_MINUTES, 0, WEEK_MINUTES].some(shift =>
+    first.start < second.end + shift && first.end > second.start + shift
+  );
+};
+
+/**
+ * Describe a schedule window for error messages and responses
+ */
+const describeWindow = (schedule) => ({
+  id: schedule._id,
+  day_of_week: schedule.day_of_week,
+  day_name: DAY_NAMES[schedule.day_of_week],
+  available_from: schedule.available_from,
+  available_to: schedule.available_to,
+  overnight: isOvernight(schedule),
+  is_available: schedule.is_available
+});
+
+/**
+ * Describe an override window for error messages and responses
+ */
+const describeOverrideWindow = (override, window, date) => ({
+  override_id: override._id,
+  override_type: override.override_type,
+  date,
+  available_from: window.available_from,
+  available_to: window.available_to,
+  overnight: isOvernight(window),
+  is_available: true
+});
+
+/**
+ * Expand windows to minute ranges within one day
+ * Windows starting that day cover available_from to available_to, or to
+ * midnight when overnight. Overnight windows that started the day before
+ * cover midnight to their available_to.
+ * @param {Array} sameDay - Windows starting on the day
+ * @param {Array} previousDay - Windows that started on the day before
+ * @param {Function} describe - Maps a window to its response description
+ * @returns {Array<Object>} { from, to, window }
+ */
+const expandWindows = (sameDay, previousDay, describe) => [
+  ...sameDay.map(w => ({
+    from: toMinutes(w.available_from),
+    to: isOvernight(w) ? DAY_MINUTES : toMinutes(w.available_to, true),
+    window: describe(w)
+  })),
+  ...previousDay.filter(isOvernight).map(w => ({
+    from: 0,
+    to: toMinutes(w.available_to),
+    window: describe(w)
+  }))
+];
+
+/**
+ * Check whether [from, to) minutes are fully covered by the given ranges
+ */
+const isCovered = (ranges, from, to) => {
+  const sorted = [...ranges].sort((a, b) => a.from - b.from);
+
+  let covered = from;
+  for (const range of sorted) {
+    if (range.from > covered) break;
+    covered = Math.max(covered, range.to);
+    if (covered >= to) break;
+  }
+
+  return covered >= to;
+};
+
+/**
+ * Work out which rules apply to one UTC date
+ * Overrides layer on top of the weekly schedule per date: a blackout closes
+ * the day, a replacement swaps the day's weekly windows for its own and
+ * extra windows open on top of whatever applies (including over weekly
+ * unavailable windows). Overnight windows carry into the next day unless
+ * their own day was blacked out or replaced.
+ * @returns {Object} { blackout } or { alwaysOpen: true } or { openRanges, blockedRanges, extraRanges }
+ */
+const resolveDay = (schedules, overrides, date, dayOfWeek) => {
+  const overridesOn = (day) => overrides.filter(o => o.start_date <= day && o.end_date >= day);
+  const previousDate = shiftDate(date, -1);
+  const previousDayOfWeek = (dayOfWeek + 6) % 7;
+
+  const dayOverrides = overridesOn(date);
+  const previousOverrides = overridesOn(previousDate);
+
+  const blackout = dayOverrides.find(o => o.override_type === 'blackout');
+  if (blackout) return { blackout };
+
+  const replacement = dayOverrides.find(o => o.override_type === 'replace');
+
+  // Extra windows of the day, plus overnight extra or replacement windows from the day before
+  const extraRanges = [
+    ...dayOverrides
+      .filter(o => o.override_type === 'extra')
+      .flatMap(o => expandWindows(o.windows, [], w => describeOverrideWindow(o, w, date))),
+    ...previousOverrides
+      .filter(o => o.override_type !== 'blackout')
+      .flatMap(o => expandWindows([], o.windows, w => describeOverrideWindow(o, w, previousDate)))
+  ];
+
+  if (replacement) {
+    return {
+      openRanges: expandWindows(replacement.windows, [], w => describeOverrideWindow(replacement, w, date)),
+      blockedRanges: [],
+      extraRanges
+    };
+  }
+
+  // No weekly schedule means open all day
+  if (!schedules || schedules.length === 0) {
+    return { alwaysOpen: true };
+  }
+
+  // The previous day's weekly windows only carry over if that day kept its weekly schedule
+  const previousReplaced = previousOverrides.some(o => o.override_type !== 'extra');
+  const daySchedules = schedules.filter(s => s.day_of_week === dayOfWeek);
+  const previousSchedules = previousReplaced
+    ? []
+    : schedules.filter(s => s.day_of_week === previousDayOfWeek);
+
+  return {
+    openRanges: expandWindows(
+      daySchedules.filter(s => s.is_available),
+      previousSchedules.filter(s => s.is_available),
+      describeWindow
+    ),
+    blockedRanges: expandWindows(
+      daySchedules.filter(s => !s.is_available),
+      previousSchedules.filter(s => !s.is_available),
+      describeWindow
+    ),
+    extraRanges
+  };
+};
+
+/**
+ * Merge overlapping or touching ranges
+ * Works on any { from, to } numbers (minutes or timestamps).
+ */
+const mergeRanges = (ranges) => {
+  const merged = [];
+
+  for (const range of [...ranges].sort((a, b) => a.from - b.from)) {
+    const last = merged[merged.length - 1];
+    if (last && range.from <= last.to) {
+      last.to = Math.max(last.to, range.to);
+    } else {
+      merged.push({ from: range.from, to: range.to });
+    }
+  }
+
+  return merged;
+};
+
+/**
+ * Remove the cut ranges from a list of ranges
+ * @returns {Array<Object>} Merged { from, to } ranges left over
+ */
+const subtractRanges = (ranges, cuts) => {
+  let remaining = mergeRanges(ranges);
+
+  for (const cut of mergeRanges(cuts)) {
+    remaining = remaining.flatMap(range => {
+      if (cut.to <= range.from || cut.from >= range.to) return [range];
+
+      const pieces = [];
+      if (cut.from > range.from) pieces.push({ from: range.from, to: cut.from });
+      if (cut.to < range.to) pieces.push({ from: cut.to, to: range.to });
+      return pieces;
+    });
+  }
+
+  return remaining;
+};
+
+/**
+ * Check a time range against a list of weekly schedules and dated overrides
+ * See resolveDay for how overrides and overnight windows combine. Spaces
+ * without any schedule are treated as always available unless an override
+ * says otherwise.
+ * @returns {Object} { available: true } or { available: false, reason, window|windows|override, date }
+ */
+const checkSchedule = (schedules, startTime, endTime, overrides = []) => {
+  if ((!schedules || schedules.length === 0) && overrides.length === 0) {
+    return { available: true };
+  }
+
+  for (const segment of splitByDay(startTime, endTime)) {
+    const dayName = DAY_NAMES[segment.day_of_week];
+    const requested = `${formatMinutes(segment.from)}-${formatMinutes(segment.to)}`;
+    const day = resolveDay(schedules, overrides, segment.date, segment.day_of_week);
+
+    if (day.blackout) {
+      return {
+        available: false,
+        reason: `Space is closed on ${dayName} ${segment.date}${day.blackout.reason ? ` (${day.blackout.reason})` : ''}`,
+        date: segment.date,
+        override: {
+          id: day.blackout._id,
+          override_type: day.blackout.override_type,
+          start_date: day.blackout.start_date,
+          end_date: day.blackout.end_date,
+          reason: day.blackout.reason
+        }
+      };
+    }
+
+    if (day.alwaysOpen) continue;
+
+    // Explicitly blocked windows win, except where an extra window reopens them
+    const blocked = day.blockedRanges.find(range => {
+      const from = Math.max(range.from, segment.from);
+      const to = Math.min(range.to, segment.to);
+      return from < to && !isCovered(day.extraRanges, from, to);
+    });
+
+    if (blocked) {
+      return {
+        available: false,
+        reason: `Requested time ${requested} on ${dayName} ${segment.date} overlaps the owner's unavailable window ${blocked.window.available_from}-${blocked.window.available_to}`,
+        date: segment.date,
+        window: blocked.window
+      };
+    }
+
+    const openRanges = day.openRanges.concat(day.extraRanges).sort((a, b) => a.from - b.from);
+
+    if (openRanges.length === 0) {
+      return {
+        available: false,
+        reason: `Space is not available on ${dayName} (${segment.date})`,
+        date: segment.date,
+        windows: []
+      };
+    }
+
+    // Make sure the windows cover the whole segment
+    if (!isCovered(openRanges, segment.from, segment.to)) {
+      const published = openRanges.map(r => `${r.window.available_from}-${r.window.available_to}`).join(', ');
+      return {
+        available: false,
+        reason: `Requested time ${requested} on ${dayName} ${segment.date} falls outside the owner's availability window(s) ${published}`,
+        date: segment.date,
+        windows: openRanges.map(r => r.window)
+      };
+    }
+  }
+
+  return { available: true };
+};
+
+/**
+ * List the intervals of a time range the schedule and overrides leave open
+ * Open windows minus blocked windows, plus extra windows, per UTC day;
+ * intervals running across midnight are merged.
+ * @returns {Array<Object>} { from, to } timestamps in milliseconds
+ */
+const getScheduleIntervals = (schedules, startTime, endTime, overrides = []) => {
+  const intervals = [];
+
+  for (const segment of splitByDay(startTime, endTime)) {
+    const day = resolveDay(schedules, overrides, segment.date, segment.day_of_week);
+    if (day.blackout) continue;
+
+    const dayRanges = day.alwaysOpen
+      ? [{ from: 0, to: DAY_MINUTES }]
+      : subtractRanges(day.openRanges, day.blockedRanges).concat(day.extraRanges);
+
+    const dayStart = Date.parse(`${segment.date}T00:00:00Z`);
+    for (const range of mergeRanges(dayRanges)) {
+      const from = Math.max(range.from, segment.from);
+      const to = Math.min(range.to, segment.to);
+      if (from < to) {
+        intervals.push({ from: dayStart + from * 60 * 1000, to: dayStart + to * 60 * 1000 });
+      }
+    }
+  }
+
+  return mergeRanges(intervals);
+};
+
+/**
+ * Load the dated overrides of a space that touch a time range
+ * The day before the range is included for overnight windows carrying over.
+ */
+const findOverrides = (spaceId, startTime, endTime) => {
+  const segments = splitByDay(startTime, endTime);
+  if (segments.length === 0) return [];
+
+  return AvailabilityOverride.find({
+    space_id: spaceId,
+    start_date: { $lte: segments[segments.length - 1].date },
+    end_date: { $gte: shiftDate(segments[0].date, -1) }
+  });
+};
+
+/**
+ * Load a space's weekly schedule and dated overrides and check a time range against them
+ */
+const checkSpaceSchedule = async (spaceId, startTime, endTime) => {
+  const schedules = await SpaceAvailability.find({ space_id: spaceId });
+  const overrides = await findOverrides(spaceId, startTime, endTime);
+  return checkSchedule(schedules, startTime, endTime, overrides);
+};
+
+module.exports = {
+  DAY_NAMES,
+  toMinutes,
+  formatMinutes,
+  splitByDay,
+  isOvernight,
+  windowsOverlap,
+  mergeRanges,
+  subtractRanges,
+  checkSchedule,
+  getScheduleIntervals,
+  findOverrides,
+  checkSpaceSchedule
+};
@@ -0,0 +1,345 @@
+/**
+ * Booking Helpers
+ * Shared booking logic used by booking, series and scheduling code
+ */
+
+const Booking = require('../models/Booking');
+const ParkingSpace = require('../models/ParkingSpace');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const SpaceBlackout = require('../models/SpaceBlackout');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { getNumberSetting } = require('./settings');
+const { getPolicySnapshot, matchTier } = require('./cancellationPolicies');
+const { roundAmount } = require('./pricing');
+
+// Default minutes a pending booking holds the slot while awaiting payment
+const DEFAULT_PAYMENT_HOLD_MINUTES = 15;
+
+// Minutes either side of start_time during which a booking can be checked in
+const DEFAULT_CHECK_IN_WINDOW_MINUTES = 60;
+
+// Statuses that no longer occupy a parking space
+const INACTIVE_BOOKING_STATUSES = ['cancelled', 'completed', 'no_show', 'declined', 'expired'];
+
+// Payment purposes that pay for the booked time; overtime is settled on its own
+const BOOKING_PAYMENT_PURPOSES = ['booking', 'top_up'];
+
+// Refund states that use up what can still be refunded
+const OPEN_REFUND_STATUSES = ['pending', 'processing', 'completed'];
+
+/**
+ * Generate unique booking number
+ */
+const generateBookingNumber = () => {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substring(2, 7).toUpperCase();
+  return `BK-${timestamp}-${random}`;
+};
+
+/**
+ * Load everything that occupies a space during a time range
+ * Bookings that are not inactive, blackouts imported from external calendars
+ * and live waitlist holds (except holdUserId's own) each take one unit.
+ * @returns {Array<Object>} Bookings first, then blackouts, then holds
+ */
+const findOccupants = async (spaceId, startTime, endTime, { excludeBookingId = null, holdUserId = null } = {}) => {
+  const overlapping = {
+    start_time: { $lt: endTime },
+    end_time: { $gt: startTime }
+  };
+
+  const bookingFilter = {
+    space_id: spaceId,
+    status: { $nin: INACTIVE_BOOKING_STATUSES },
+    ...overlapping
+  };
+  if (excludeBookingId) {
+    bookingFilter._id = { $ne: excludeBookingId };
+  }
+
+  const holdFilter = {
+    offered_space_id: spaceId,
+    status: 'offered',
+    offer_expires_at: { $gt: new Date() },
+    ...overlapping
+  };
+  if (holdUserId) {
+    holdFilter.user_id = { $ne: holdUserId };
+  }
+
+  const bookings = await Booking.find(bookingFilter).sort({ start_time: 1 });
+  const blackouts = await SpaceBlackout.find({ space_id: spaceId, ...overlapping }).sort({ start_time: 1 });
+  const holds = await WaitlistEntry.find(holdFilter).sort({ start_time: 1 });
+
+  return [...bookings, ...blackouts, ...holds];
+};
+
+/**
+ * Get the number of identical units a space offers
+ */
+const getSpaceCapacity = async (spaceId) => {
+  const space = await ParkingSpace.findById(spaceId).select('capacity');
+  return (space && space.capacity) || 1;
+};
+
+/**
+ * Find the occupant that fills the last unit of a space during a time range
+ * Works on occupants already loaded with findOccupants, so many ranges can
+ * be checked against one query.
+ * @returns {Object|null} A booking, blackout or hold present at the fullest moment, or null
+ */
+const findCapacityConflict = (occupants, startTime, endTime, capacity = 1) => {
+  const start = new Date(startTime).getTime();
+  const end = new Date(endTime).getTime();
+  const overlapping = occupants.filter(o => o.start_time.getTime() < end && o.end_time.getTime() > start);
+
+  if (overlapping.length < capacity) return null;
+
+  // Occupancy only rises when an occupant starts, so checking each start is enough
+  const moments = [start, ...overlapping.map(o => o.start_time.getTime()).filter(t => t > start)];
+
+  for (const moment of moments) {
+    const present = overlapping.filter(o => o.start_time.getTime() <= moment && o.end_time.getTime() > moment);
+    if (present.length >= capacity) return present[0];
+  }
+
+  return null;
+};
+
+/**
+ * Check booking conflicts for a space and time range
+ * A space with capacity N accepts a booking as long as fewer than N units
+ * are occupied at every moment of the range. Blackouts imported from
+ * external calendars and live waitlist holds occupy a unit like bookings.
+ * Pass holdUserId to ignore that driver's own holds, and capacity when the
+ * space is already loaded.
+ * Returns a booking, blackout or hold occupying the space at its fullest
+ * moment when no unit is left, or null
+ */
+const hasBookingConflict = async (spaceId, startTime, endTime, excludeBookingId = null, { holdUserId = null, capacity = null } = {}) => {
+  const units = capacity || await getSpaceCapacity(spaceId);
+  const occupants = await findOccupants(spaceId, startTime, endTime, { excludeBookingId, holdUserId });
+
+  return findCapacityConflict(occupants, startTime, endTime, units);
+};
+
+/**
+ * List everything that occupies a space during a time range
+ * Same sources as hasBookingConflict.
+ * @returns {Array<Object>} { type, start_time, end_time } sorted by start_time
+ */
+const findBusyIntervals = async (spaceId, startTime, endTime, { holdUserId = null } = {}) => {
+  const occupants = await findOccupants(spaceId, startTime, endTime, { holdUserId });
+
+  return occupants
+    .map(o => ({
+      type: o.booking_number ? 'booking' : (o.uid ? 'blackout' : 'hold'),
+      start_time: o.start_time,
+      end_time: o.end_time
+    }))
+    .sort((a, b) => a.start_time - b.start_time);
+};
+
+/**
+ * Find the ranges where busy intervals use up every unit of a space
+ * @param {Array<Object>} busy - findBusyIntervals() result
+ * @param {number} capacity - Units the space offers
+ * @returns {Array<Object>} { from, to } timestamps in milliseconds
+ */
+const getFullyBookedRanges = (busy, capacity = 1) => {
+  const events = busy
+    .flatMap(b => [
+      { at: b.start_time.getTime(), change: 1 },
+      { at: b.end_time.getTime(), change: -1 }
+    ])
+    .sort((a, b) => a.at - b.at);
+
+  const ranges = [];
+  let occupied = 0;
+  let fullSince = null;
+
+  events.forEach((event, index) => {
+    occupied += event.change;
+
+    // Settle every start and end at the same moment before comparing, so
+    // back-to-back bookings neither stack nor split a full range
+    const next = events[index + 1];
+    if (next && next.at === event.at) return;
+
+    if (occupied >= capacity && fullSince === null) {
+      fullSince = event.at;
+    } else if (occupied < capacity && fullSince !== null) {
+      ranges.push({ from: fullSince, to: event.at });
+      fullSince = null;
+    }
+  });
+
+  return ranges;
+};
+
+/**
+ * Compute when an unpaid booking releases its slot
+ */
+const getPaymentExpiry = async (from = new Date()) => {
+  const holdMinutes = await getNumberSetting('booking.payment_hold_minutes', DEFAULT_PAYMENT_HOLD_MINUTES);
+  return new Date(from.getTime() + holdMinutes * 60 * 1000);
+};
+
+/**
+ * Get the check-in window length in milliseconds
+ * Check-in opens this long before start_time and closes this long after it
+ */
+const getCheckInWindowMs = async () => {
+  const windowMinutes = await getNumberSetting('booking.check_in_window_minutes', DEFAULT_CHECK_IN_WINDOW_MINUTES);
+  return windowMinutes * 60 * 1000;
+};
+
+/**
+ * Calculate the refund due when a booking is cancelled at a given time
+ * Uses the cancellation policy snapshotted on the booking; bookings made
+ * before policies existed fall back to the default (moderate) ladder.
+ * @param {Object} booking - Booking document
+ * @param {Date} now - Cancellation time
+ * @param {number} refundableAmount - getRefundableAmount() result; the policy percentage applies to it
+ */
+const calculateCancellationRefund = (booking, now = new Date(), refundableAmount = booking.total_amount) => {
+  const policy = booking.cancellation_policy && booking.cancellation_policy.name
+    ? booking.cancellation_policy
+    : getPolicySnapshot(null);
+
+  if (now >= booking.start_time) {
+    return { refundAmount: 0, refundPercentage: 0, hoursUntilStart: 0, policy: policy.name, tier: null };
+  }
+
+  const hoursUntilStart = (booking.start_time - now) / (1000 * 60 * 60);
+  const { refundPercentage, tier } = matchTier(policy, hoursUntilStart);
+
+  const refundAmount = Math.round(refundableAmount * refundPercentage) / 100;
+  return { refundAmount, refundPercentage, hoursUntilStart, policy: policy.name, tier };
+};
+
+/**
+ * Find the successful payments that paid for a booking's time, oldest first
+ * That is the booking's own payment (or its group's combined payment) plus
+ * the top-ups collected for extensions and price increases.
+ */
+const findBookingPayments = (booking) => {
+  return Payment.find({
+    $or: [
+      { booking_id: booking._id },
+      ...(booking.group_id ? [{ group_id: booking.group_id }] : [])
+    ],
+    payment_purpose: { $in: BOOKING_PAYMENT_PURPOSES },
+    payment_status: 'succeeded'
+  }).sort({ created_at: 1 });
+};
+
+/**
+ * Work out the part of each payment that paid for this booking
+ * A group member's share of the combined group payment is what it was
+ * confirmed with (amount_paid less its own top-ups). Bookings confirmed
+ * before amount_paid existed fall back to their total without extensions,
+ * which were never collected back then.
+ * @returns {Array<Object>} { payment, amount } in payment order
+ */
+const getPaymentShares = (booking, payments) => {
+  const ownTotal = payments
+    .filter(payment => !payment.group_id)
+    .reduce((sum, payment) => sum + payment.amount, 0);
+  const extensionTotal = (booking.extensions || []).reduce((sum, extension) => sum + extension.extension_price, 0);
+
+  const groupShare = booking.amount_paid !== null && booking.amount_paid !== undefined
+    ? booking.amount_paid - ownTotal
+    : booking.total_amount - extensionTotal;
+
+  return payments.map(payment => ({
+    payment,
+    amount: payment.group_id
+      ? roundAmount(Math.max(0, Math.min(payment.amount, groupShare)))
+      : payment.amount
+  }));
+};
+
+/**
+ * Work out how much the driver actually paid for a booking's time
+ * Based on succeeded payments, never on total_amount.
+ * @returns {number}
+ */
+const getPaidAmount = async (booking) => {
+  const shares = getPaymentShares(booking, await findBookingPayments(booking));
+  return roundAmount(shares.reduce((sum, share) => sum + share.amount, 0));
+};
+
+/**
+ * Work out how much of a booking's payments can still be refunded
+ * What was paid, less refunds already requested, in progress or completed.
+ * @returns {number} 0 for bookings that are not paid
+ */
+const getRefundableAmount = async (booking) => {
+  if (booking.payment_status !== 'paid') return 0;
+
+  const refunds = await Refund.find({ booking_id: booking._id, status: { $in: OPEN_REFUND_STATUSES } }).select('refund_amount');
+  const refunded = refunds.reduce((sum, refund) => sum + refund.refund_amount, 0);
+
+  return roundAmount(Math.max(0, (await getPaidAmount(booking)) - refunded));
+};
+
+/**
+ * Create pending refunds against the booking's successful payments
+ * The amount is capped at what was paid and not refunded yet. It is taken
+ * from the latest payments first, so top-ups are given back before the
+ * original payment, and each refund stays within its payment.
+ * @returns {Array<Object>} Refund documents, empty when nothing is refundable
+ */
+const createBookingRefund = async (booking, refundAmount, reason) => {
+  if (booking.payment_status !== 'paid' || refundAmount <= 0) {
+    return [];
+  }
+
+  const shares = getPaymentShares(booking, await findBookingPayments(booking));
+  const existingRefunds = await Refund.find({ booking_id: booking._id, status: { $in: OPEN_REFUND_STATUSES } })
+    .select('payment_id refund_amount');
+
+  let remaining = roundAmount(refundAmount);
+  const refunds = [];
+
+  for (const { payment, amount } of shares.reverse()) {
+    const alreadyRefunded = existingRefunds
+      .filter(refund => refund.payment_id.toString() === payment._id.toString())
+      .reduce((sum, refund) => sum + refund.refund_amount, 0);
+    const portion = roundAmount(Math.min(remaining, amount - alreadyRefunded));
+    if (portion <= 0) continue;
+
+    refunds.push(await Refund.create({
+      payment_id: payment._id,
+      booking_id: booking._id,
+      refund_amount: portion,
+      refund_reason: reason,
+      status: 'pending'
+    }));
+
+    remaining = roundAmount(remaining - portion);
+    if (remaining <= 0) break;
+  }
+
+  return refunds;
+};
+
+module.exports = {
+  INACTIVE_BOOKING_STATUSES,
+  generateBookingNumber,
+  findOccupants,
+  findCapacityConflict,
+  hasBookingConflict,
+  findBusyIntervals,
+  getFullyBookedRanges,
+  getPaymentExpiry,
+  getCheckInWindowMs,
+  calculateCancellationRefund,
+  findBookingPayments,
+  getPaymentShares,
+  getPaidAmount,
+  getRefundableAmount,
+  createBookingRefund
+};
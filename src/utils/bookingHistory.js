@@ -0,0 +1,91 @@
+/**
+ * Booking History Helper
+ * Records booking lifecycle events for auditing, stats and earnings
+ */
+
+const BookingHistory = require('../models/BookingHistory');
+
+/**
+ * Build the actor fields for a history entry
+ * Omitting the actor attributes the event to the system (background jobs, webhooks)
+ */
+const actorFields = (actor) => ({
+  actor_type: actor ? actor.user_type : 'system',
+  actor_id: actor ? actor._id : null
+});
+
+/**
+ * Build a change list from [field, from, to] tuples, skipping unchanged values
+ */
+const buildChanges = (entries) => {
+  return entries
+    .filter(([, from, to]) => String(from) !== String(to))
+    .map(([field, from, to]) => ({ field, from, to }));
+};
+
+/**
+ * Record a booking event
+ * Failures are logged and swallowed so they never break the calling operation
+ * @param {ObjectId} bookingId - Booking the event belongs to
+ * @param {string} eventType - One of the BookingHistory event types
+ * @param {Object} options
+ * @param {Object} options.actor - User performing the change (omit for system events)
+ * @param {Array} options.changes - [{ field, from, to }] entries
+ * @param {string} options.fromStatus - Previous status (status changes)
+ * @param {string} options.toStatus - New status (status changes)
+ * @param {string} options.reason - Optional explanation
+ */
+const recordBookingEvent = async (bookingId, eventType, { actor = null, changes = [], fromStatus, toStatus, reason } = {}) => {
+  try {
+    return await BookingHistory.create({
+      booking_id: bookingId,
+      event_type: eventType,
+      from_status: fromStatus,
+      to_status: toStatus,
+      changes,
+      ...actorFields(actor),
+      reason
+    });
+  } catch (err) {
+    console.error(`Record booking ${eventType} event error:`, err);
+    return null;
+  }
+};
+
+/**
+ * Record a booking status transition
+ */
+const recordStatusChange = (bookingId, fromStatus, toStatus, { actor = null, reason } = {}) => {
+  return recordBookingEvent(bookingId, 'status_change', { actor, fromStatus, toStatus, reason });
+};
+
+/**
+ * Record the creation of one or more bookings in a single write
+ */
+const recordBookingsCreated = async (bookings, { actor = null, reason } = {}) => {
+  try {
+    return await BookingHistory.insertMany(bookings.map(booking => ({
+      booking_id: booking._id,
+      event_type: 'created',
+      to_status: booking.status,
+      changes: buildChanges([
+        ['start_time', null, booking.start_time],
+        ['end_time', null, booking.end_time],
+        ['vehicle_id', null, booking.vehicle_id],
+        ['total_amount', null, booking.total_amount]
+      ]),
+      ...actorFields(actor),
+      reason
+    })));
+  } catch (err) {
+    console.error('Record booking created events error:', err);
+    return [];
+  }
+};
+
+module.exports = {
+  buildChanges,
+  recordBookingEvent,
+  recordStatusChange,
+  recordBookingsCreated
+};
@@ -0,0 +1,292 @@
+/**
+ * Calendar Import
+ * Fetches external iCal calendars and mirrors their events as space blackouts
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const Booking = require('../models/Booking');
+const SpaceBlackout = require('../models/SpaceBlackout');
+const { parseCalendar } = require('./icalendar');
+const { INACTIVE_BOOKING_STATUSES } = require('./bookingHelpers');
+const { markSpaceForWaitlist } = require('./waitlist');
+
+const FETCH_TIMEOUT_MS = 15 * 1000;
+const MAX_CALENDAR_BYTES = 1024 * 1024;
+const MAX_CALENDAR_REDIRECTS = 3;
+const MAX_IMPORTED_EVENTS = 2000;
+
+/**
+ * Check whether a host points at this machine or a private network
+ */
+const isPrivateHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) return true;
+
+  if (net.isIPv4(host)) {
+    const [a, b] = host.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      a >= 224;
+  }
+
+  if (net.isIPv6(host)) {
+    // IPv4-mapped addresses (::ffff:127.0.0.1, or ::ffff:7f00:1 as URLs write it) are checked as IPv4
+    const mapped = host.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateHost(mapped[1]);
+
+    const mappedHex = host.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mappedHex) {
+      const high = parseInt(mappedHex[1], 16);
+      const low = parseInt(mappedHex[2], 16);
+      return isPrivateHost([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+
+    return host === '::1' || host === '::' || host.startsWith('fc') || host.startsWith('fd') ||
+      host.startsWith('fe80') || host.startsWith('ff');
+  }
+
+  return false;
+};
+
+/**
+ * Validate and normalize a calendar URL (webcal:// is served over https)
+ * @returns {string|null} Normalized URL, or null when not acceptable
+ */
+const normalizeCalendarUrl = (value) => {
+  if (typeof value !== 'string') return null;
+
+  let parsed;
+  try {
+    parsed = new URL(value.trim().replace(/^webcals?:\/\//i, 'https://'));
+  } catch (err) {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol) || isPrivateHost(parsed.hostname)) {
+    return null;
+  }
+
+  return parsed.toString();
+};
+
+/**
+ * DNS lookup for calendar requests that refuses private addresses
+ * Runs for every connection, so a public hostname resolving (or re-resolving)
+ * to an internal address is never connected to.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    if (addresses.length === 0 || addresses.some(entry => isPrivateHost(entry.address))) {
+      return callback(new Error('Calendar URL resolves to a private network address'));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Make one calendar request without following redirects
+ * The body is streamed and the request aborted once it passes MAX_CALENDAR_BYTES.
+ * @returns {Promise<Object>} { redirect } with the next URL, or { content }
+ */
+const requestCalendar = (url, signal) => new Promise((resolve, reject) => {
+  const client = url.startsWith('https:') ? https : http;
+
+  const request = client.get(url, {
+    headers: { Accept: 'text/calendar' },
+    lookup: publicLookup,
+    signal
+  }, (response) => {
+    const { statusCode, headers } = response;
+
+    if (statusCode >= 300 && statusCode < 400 && headers.location) {
+      response.resume();
+      return resolve({ redirect: new URL(headers.location, url).toString() });
+    }
+
+    if (statusCode < 200 || statusCode >= 300) {
+      response.resume();
+      return reject(new Error(`Calendar URL responded with HTTP ${statusCode}`));
+    }
+
+    if (Number(headers['content-length']) > MAX_CALENDAR_BYTES) {
+      response.destroy();
+      return reject(new Error('Calendar is larger than 1 MB'));
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    response.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_CALENDAR_BYTES) {
+        response.destroy();
+        reject(new Error('Calendar is larger than 1 MB'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    response.on('end', () => resolve({ content: Buffer.concat(chunks).toString('utf8') }));
+    response.on('error', reject);
+  });
+
+  request.on('error', reject);
+});
+
+/**
+ * Download a calendar over HTTP(S)
+ * Redirects are followed by hand so every hop is validated like the
+ * original URL.
+ * @throws {Error} On HTTP errors, private addresses, timeouts and oversized calendars
+ */
+const fetchCalendar = async (url) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+  try {
+    let currentUrl = url;
+
+    for (let hop = 0; hop <= MAX_CALENDAR_REDIRECTS; hop++) {
+      const result = await requestCalendar(currentUrl, controller.signal);
+      if (result.content !== undefined) return result.content;
+
+      currentUrl = normalizeCalendarUrl(result.redirect);
+      if (!currentUrl) {
+        throw new Error('Calendar URL redirects to an address that is not allowed');
+      }
+    }
+
+    throw new Error('Calendar URL redirects too many times');
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      throw new Error('Calendar URL timed out');
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Find live bookings of a space that overlap any of the given events
+ */
+const findOverlappingBookings = async (spaceId, events) => {
+  if (events.length === 0) return [];
+
+  return Booking.find({
+    space_id: spaceId,
+    status: { $nin: INACTIVE_BOOKING_STATUSES },
+    $or: events.map(event => ({
+      start_time: { $lt: event.end_time },
+      end_time: { $gt: event.start_time }
+    }))
+  }).select('booking_number start_time end_time status');
+};
+
+/**
+ * Sync one calendar import into blackouts
+ * Blackouts are upserted by event UID, so re-importing the same calendar is
+ * idempotent. Events that disappeared from the calendar (or were cancelled)
+ * lose their blackout. A failed fetch keeps the previous blackouts.
+ * @param {Object} calendarImport - CalendarImport document
+ * @param {Object} options
+ * @param {string} options.content - Raw .ics text (file uploads); fetched from the URL when omitted
+ * @param {Function} options.fetcher - Replaces fetchCalendar (e.g. to stub HTTP)
+ * @returns {Object} { imported, removed, skipped, conflicts } or { failure }
+ */
+const syncCalendarImport = async (calendarImport, { content = null, fetcher = fetchCalendar } = {}) => {
+  const now = new Date();
+  let parsed;
+
+  try {
+    const raw = content !== null ? content : await fetcher(calendarImport.url);
+
+    if (typeof raw !== 'string' || !/BEGIN:VCALENDAR/i.test(raw)) {
+      throw new Error('Content is not an iCalendar (.ics) document');
+    }
+
+    parsed = parseCalendar(raw);
+  } catch (err) {
+    calendarImport.last_synced_at = now;
+    calendarImport.last_sync_status = 'failed';
+    calendarImport.last_sync_error = err.message;
+    await calendarImport.save();
+    return { failure: err.message };
+  }
+
+  // Past events no longer block anything; later duplicates of a UID win
+  const eventsByUid = new Map();
+  for (const event of parsed.events) {
+    if (event.end_time > now) eventsByUid.set(event.uid, event);
+  }
+  const events = [...eventsByUid.values()];
+
+  if (events.length > MAX_IMPORTED_EVENTS) {
+    const message = `Calendar has more than ${MAX_IMPORTED_EVENTS} upcoming events`;
+    calendarImport.last_synced_at = now;
+    calendarImport.last_sync_status = 'failed';
+    calendarImport.last_sync_error = message;
+    await calendarImport.save();
+    return { failure: message };
+  }
+
+  let moved = 0;
+  if (events.length > 0) {
+    const written = await SpaceBlackout.bulkWrite(events.map(event => ({
+      updateOne: {
+        filter: { import_id: calendarImport._id, uid: event.uid },
+        update: {
+          $set: {
+            space_id: calendarImport.space_id,
+            start_time: event.start_time,
+            end_time: event.end_time,
+            summary: event.summary
+          }
+        },
+        upsert: true
+      }
+    })));
+    moved = written.modifiedCount;
+  }
+
+  const removed = await SpaceBlackout.deleteMany({
+    import_id: calendarImport._id,
+    uid: { $nin: events.map(event => event.uid) }
+  });
+
+  // Removed or moved blackouts can free slots waitlisted drivers are after
+  if (removed.deletedCount > 0 || moved > 0) {
+    await markSpaceForWaitlist(calendarImport.space_id);
+  }
+
+  calendarImport.last_synced_at = now;
+  calendarImport.last_sync_status = 'success';
+  calendarImport.last_sync_error = null;
+  calendarImport.event_count = events.length;
+  await calendarImport.save();
+
+  const conflicts = await findOverlappingBookings(calendarImport.space_id, events);
+
+  return {
+    imported: events.length,
+    removed: removed.deletedCount,
+    skipped: parsed.skipped,
+    conflicts
+  };
+};
+
+module.exports = {
+  normalizeCalendarUrl,
+  fetchCalendar,
+  syncCalendarImport
+};
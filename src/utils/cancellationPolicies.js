@@ -0,0 +1,120 @@
+/**
+ * Cancellation Policies
+ * Named refund ladders owners can attach to a parking space
+ *
+ * A policy is a list of tiers sorted by hours_before (descending). Cancelling
+ * more than hours_before hours ahead of start_time refunds refund_percentage
+ * of the amount paid; the first matching tier wins and no match means 0%.
+ */
+
+const CANCELLATION_POLICIES = {
+  flexible: {
+    description: 'Full refund up to 1 hour before start',
+    tiers: [
+      { hours_before: 1, refund_percentage: 100 }
+    ]
+  },
+  moderate: {
+    description: 'Full refund up to 48 hours before start, 50% up to 24 hours before',
+    tiers: [
+      { hours_before: 48, refund_percentage: 100 },
+      { hours_before: 24, refund_percentage: 50 }
+    ]
+  },
+  strict: {
+    description: 'Full refund up to 7 days before start, 50% up to 48 hours before',
+    tiers: [
+      { hours_before: 168, refund_percentage: 100 },
+      { hours_before: 48, refund_percentage: 50 }
+    ]
+  },
+  non_refundable: {
+    description: 'No refund once booked',
+    tiers: []
+  }
+};
+
+const POLICY_NAMES = [...Object.keys(CANCELLATION_POLICIES), 'custom'];
+
+// Policy applied to spaces and legacy bookings without one
+const DEFAULT_POLICY = 'moderate';
+
+const MAX_CUSTOM_TIERS = 10;
+
+/**
+ * Sort tiers so the earliest cancellation threshold is checked first
+ */
+const sortTiers = (tiers) => {
+  return tiers
+    .map(tier => ({
+      hours_before: Number(tier.hours_before),
+      refund_percentage: Number(tier.refund_percentage)
+    }))
+    .sort((a, b) => b.hours_before - a.hours_before);
+};
+
+/**
+ * Validate custom cancellation tiers
+ * @returns {string|null} Error message, or null when the tiers are valid
+ */
+const validateCustomTiers = (tiers) => {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return 'Custom cancellation policy requires at least one tier';
+  }
+
+  if (tiers.length > MAX_CUSTOM_TIERS) {
+    return `Custom cancellation policy can have at most ${MAX_CUSTOM_TIERS} tiers`;
+  }
+
+  for (const tier of tiers) {
+    const hours = Number(tier && tier.hours_before);
+    const percentage = Number(tier && tier.refund_percentage);
+
+    if (isNaN(hours) || hours < 0) {
+      return 'Each tier needs hours_before of 0 or more';
+    }
+
+    if (isNaN(percentage) || percentage < 0 || percentage > 100) {
+      return 'Each tier needs refund_percentage between 0 and 100';
+    }
+  }
+
+  const hours = tiers.map(tier => Number(tier.hours_before));
+  if (new Set(hours).size !== hours.length) {
+    return 'Tiers must have distinct hours_before values';
+  }
+
+  return null;
+};
+
+/**
+ * Build the policy snapshot stored on a booking from its parking space
+ */
+const getPolicySnapshot = (parkingSpace) => {
+  const name = (parkingSpace && parkingSpace.cancellation_policy) || DEFAULT_POLICY;
+
+  if (name === 'custom') {
+    return { name, tiers: sortTiers(parkingSpace.cancellation_tiers || []) };
+  }
+
+  const policy = CANCELLATION_POLICIES[name] || CANCELLATION_POLICIES[DEFAULT_POLICY];
+  return { name: CANCELLATION_POLICIES[name] ? name : DEFAULT_POLICY, tiers: sortTiers(policy.tiers) };
+};
+
+/**
+ * Find the refund percentage a policy grants for a given notice period
+ * @returns {Object} { refundPercentage, tier } - tier is null when nothing matched
+ */
+const matchTier = (policy, hoursUntilStart) => {
+  const tier = sortTiers(policy.tiers || []).find(t => hoursUntilStart > t.hours_before) || null;
+  return { refundPercentage: tier ? tier.refund_percentage : 0, tier };
+};
+
+module.exports = {
+  CANCELLATION_POLICIES,
+  POLICY_NAMES,
+  DEFAULT_POLICY,
+  validateCustomTiers,
+  getPolicySnapshot,
+  matchTier
+};
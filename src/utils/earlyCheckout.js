@@ -0,0 +1,84 @@
+/**
+ * Early Checkout
+ * Prices the unused part of a booking when the driver leaves early and
+ * refunds it through the regular refund pipeline
+ */
+
+const { getNumberSetting } = require('./settings');
+const { roundAmount, calculateBaseFare, buildPriceQuote } = require('./pricing');
+const { createBookingRefund } = require('./bookingHelpers');
+
+// Default percentage kept from the refund when neither the space nor the platform settings define it
+const DEFAULT_FEE_PERCENTAGE = 10;
+
+/**
+ * Resolve the early check-out terms of a space, falling back to the platform settings
+ * @returns {Object} { enabled, fee_percentage }
+ */
+const getEarlyCheckoutTerms = async (parkingSpace) => {
+  const feePercentage = parkingSpace.early_checkout_fee_percentage !== undefined && parkingSpace.early_checkout_fee_percentage !== null
+    ? parkingSpace.early_checkout_fee_percentage
+    : await getNumberSetting('booking.early_checkout_fee_percentage', DEFAULT_FEE_PERCENTAGE);
+
+  return {
+    enabled: Boolean(parkingSpace.refund_unused_time),
+    fee_percentage: feePercentage
+  };
+};
+
+/**
+ * Price the unused time of an early check-out
+ * The time actually used (start_time to check-out) is repriced as if it
+ * had been booked on its own, so a daily or monthly booking is not refunded
+ * at its cheaper per-hour equivalent. The used fare never exceeds the
+ * subtotal the booking was priced at, and keeps the booking's discount and
+ * the fee, tax and commission rates it was booked with. What was paid
+ * beyond that is the unused amount, less the early check-out fee.
+ * @param {Object} booking - Booking document
+ * @param {Object} parkingSpace - ParkingSpace document
+ * @param {Date} checkOutTime - Actual check-out time
+ * @param {Object} terms - getEarlyCheckoutTerms() result
+ * @param {number} paidAmount - getPaidAmount() result (bookingHelpers)
+ * @returns {Object} { unused_hours, used_hours, used_amount, unused_amount, fee_percentage, fee_amount, refund_amount }
+ */
+const calculateUnusedTimeRefund = async (booking, parkingSpace, checkOutTime, terms, paidAmount) => {
+  const usedHours = Math.max(0, (checkOutTime - booking.start_time) / (1000 * 60 * 60));
+  const unusedHours = Math.max(0, (booking.end_time - checkOutTime) / (1000 * 60 * 60));
+
+  const usedFare = calculateBaseFare(parkingSpace, usedHours);
+
+  // Older bookings without saved rates fall back to the current platform rates
+  const usedQuote = await buildPriceQuote(parkingSpace, usedHours, {
+    fixedDiscount: booking.discount_amount || 0,
+    rates: booking.pricing_rates || null,
+    baseFare: { ...usedFare, amount: roundAmount(Math.min(usedFare.amount, booking.base_price)) }
+  });
+  const unusedAmount = roundAmount(Math.max(0, paidAmount - usedQuote.total));
+  const feeAmount = roundAmount(unusedAmount * terms.fee_percentage / 100);
+
+  return {
+    used_hours: roundAmount(usedHours),
+    unused_hours: roundAmount(unusedHours),
+    used_amount: usedQuote.total,
+    unused_amount: unusedAmount,
+    fee_percentage: terms.fee_percentage,
+    fee_amount: feeAmount,
+    refund_amount: roundAmount(unusedAmount - feeAmount)
+  };
+};
+
+/**
+ * Create the pending refunds for an early check-out
+ * createBookingRefund caps them at what was paid and has not been refunded
+ * or requested already.
+ * @returns {Array<Object>} Refund documents, empty when nothing is refundable
+ */
+const refundUnusedTime = (booking, refundAmount) => {
+  return createBookingRefund(booking, refundAmount, `Early check-out: unused time on booking ${booking.booking_number}`);
+};
+
+module.exports = {
+  getEarlyCheckoutTerms,
+  calculateUnusedTimeRefund,
+  refundUnusedTime
+};
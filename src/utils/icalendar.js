@@ -0,0 +1,321 @@
+/**
+ * iCalendar
+ * Serializes bookings into RFC 5545 (.ics) calendars for subscription feeds
+ * and parses external calendars imported as space blackouts
+ */
+
+const crypto = require('crypto');
+
+const PRODUCT_ID = '-//ParkBNB//Booking Calendar//EN';
+const UID_DOMAIN = 'parkbnb';
+const MAX_LINE_OCTETS = 75;
+
+// Booking statuses mapped onto iCalendar event statuses
+const EVENT_STATUSES = {
+  requested: 'TENTATIVE',
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  active: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  no_show: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+  declined: 'CANCELLED',
+  expired: 'CANCELLED'
+};
+
+/**
+ * Format a date as an iCalendar UTC date-time (YYYYMMDDTHHMMSSZ)
+ */
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Escape a text value (backslash, semicolon, comma and newlines)
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets, continuing on lines that start with a space
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+
+    current += char;
+    octets += size;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Build one VEVENT block
+ * @param {Object} event
+ * @param {string} event.uid - Stable unique ID (kept across updates)
+ * @param {Date} event.start - Event start
+ * @param {Date} event.end - Event end
+ * @param {string} event.summary - Title
+ * @param {string} event.description - Optional body
+ * @param {string} event.location - Optional address
+ * @param {string} event.status - TENTATIVE, CONFIRMED or CANCELLED
+ * @param {number} event.sequence - Revision number, bumped on every change
+ * @param {Date} event.updatedAt - Last modification time
+ */
+const buildEvent = ({ uid, start, end, summary, description, location, status, sequence = 0, updatedAt }) => {
+  const stamp = formatDateTime(updatedAt || new Date());
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    `LAST-MODIFIED:${stamp}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `STATUS:${status}`
+  ];
+
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a complete VCALENDAR document
+ * @param {string} name - Calendar name shown by the client
+ * @param {Array} events - Event objects accepted by buildEvent
+ * @returns {string} CRLF-separated .ics content
+ */
+const buildCalendar = (name, events) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(buildEvent),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Stable event UID for a booking
+ */
+const bookingEventUid = (booking) => `${booking.booking_number}@${UID_DOMAIN}`;
+
+/**
+ * Map a booking status onto an iCalendar event status
+ */
+const eventStatusFor = (bookingStatus) => EVENT_STATUSES[bookingStatus] || 'CONFIRMED';
+
+/**
+ * Revision number for a booking event
+ * Seconds between creation and last update only ever grow, which is all
+ * calendar clients need to pick up reschedules and cancellations.
+ */
+const bookingSequence = (booking) => {
+  if (!booking.updated_at || !booking.created_at) return 0;
+  return Math.max(0, Math.floor((new Date(booking.updated_at) - new Date(booking.created_at)) / 1000));
+};
+
+/**
+ * Offset of a time zone from UTC (ms) at a given instant
+ */
+const getTimeZoneOffset = (timestamp, timeZone) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+  const parts = Object.fromEntries(formatter.formatToParts(new Date(timestamp)).map(p => [p.type, p.value]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - timestamp;
+};
+
+/**
+ * Parse an iCalendar DATE or DATE-TIME value
+ * UTC (Z) and TZID values are converted exactly. Floating times and unknown
+ * time zones are read as UTC, like the rest of the platform's schedules.
+ * @returns {Object|null} { date, isDate } or null when malformed
+ */
+const parseDateValue = (value, params = {}) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const asUtc = Date.UTC(year, month - 1, day, hour || 0, minute || 0, second || 0);
+
+  if (hour === undefined) {
+    return { date: new Date(asUtc), isDate: true };
+  }
+
+  if (utc || !params.TZID) {
+    return { date: new Date(asUtc), isDate: false };
+  }
+
+  try {
+    // Second pass settles instants next to a DST switch
+    const offset = getTimeZoneOffset(asUtc, params.TZID);
+    const adjusted = asUtc - getTimeZoneOffset(asUtc - offset, params.TZID);
+    return { date: new Date(adjusted), isDate: false };
+  } catch (err) {
+    return { date: new Date(asUtc), isDate: false };
+  }
+};
+
+/**
+ * Parse an iCalendar DURATION (e.g. P1D, PT2H30M, P1W) into milliseconds
+ */
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const ms = ((((Number(weeks || 0) * 7 + Number(days || 0)) * 24 + Number(hours || 0)) * 60 +
+    Number(minutes || 0)) * 60 + Number(seconds || 0)) * 1000;
+
+  return sign === '-' ? -ms : ms;
+};
+
+/**
+ * Unescape a text value
+ */
+const unescapeText = (value) => value
+  .replace(/\\[nN]/g, '\n')
+  .replace(/\\([\\;,])/g, '$1');
+
+/**
+ * Split a content line into name, parameters and value
+ */
+const parseContentLine = (line) => {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+/**
+ * Parse the events of an iCalendar document
+ * Cancelled and recurring events are skipped (recurrences are not expanded).
+ * Events without a UID get a stable one derived from their content so
+ * re-imports stay idempotent.
+ * @param {string} content - Raw .ics text
+ * @returns {Object} { events: [{ uid, start_time, end_time, summary }], skipped: [{ uid, reason }] }
+ */
+const parseCalendar = (content) => {
+  const lines = String(content).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  const skipped = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line.trim() === 'BEGIN:VEVENT') {
+      current = {};
+      continue;
+    }
+
+    if (line.trim() === 'END:VEVENT') {
+      if (current) {
+        const event = finishEvent(current);
+        if (event.skip) skipped.push({ uid: event.uid, reason: event.skip });
+        else events.push(event);
+      }
+      current = null;
+      continue;
+    }
+
+    if (!current) continue;
+
+    const parsed = parseContentLine(line);
+    // Keep the first occurrence of each property
+    if (parsed && !current[parsed.name]) {
+      current[parsed.name] = parsed;
+    }
+  }
+
+  return { events, skipped };
+};
+
+/**
+ * Turn the collected properties of one VEVENT into an event
+ */
+const finishEvent = (props) => {
+  const summary = props.SUMMARY ? unescapeText(props.SUMMARY.value) : null;
+  const start = props.DTSTART ? parseDateValue(props.DTSTART.value, props.DTSTART.params) : null;
+
+  const uid = props.UID && props.UID.value.trim()
+    ? props.UID.value.trim()
+    : `generated-${crypto.createHash('sha1')
+      .update([props.DTSTART && props.DTSTART.value, props.DTEND && props.DTEND.value, summary].join('|'))
+      .digest('hex')}`;
+
+  if (!start) return { uid, skip: 'Missing or invalid DTSTART' };
+  if (props.RRULE || props.RDATE) return { uid, skip: 'Recurring events are not supported' };
+  if (props.STATUS && props.STATUS.value.trim().toUpperCase() === 'CANCELLED') {
+    return { uid, skip: 'Event is cancelled' };
+  }
+
+  let endTime = null;
+  if (props.DTEND) {
+    const end = parseDateValue(props.DTEND.value, props.DTEND.params);
+    endTime = end ? end.date : null;
+  } else if (props.DURATION) {
+    const duration = parseDuration(props.DURATION.value);
+    endTime = duration !== null ? new Date(start.date.getTime() + duration) : null;
+  } else if (start.isDate) {
+    // All-day events without an end last one day
+    endTime = new Date(start.date.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  if (!endTime || endTime <= start.date) {
+    return { uid, skip: 'Event has no duration' };
+  }
+
+  return { uid, start_time: start.date, end_time: endTime, summary };
+};
+
+module.exports = {
+  formatDateTime,
+  escapeText,
+  foldLine,
+  buildEvent,
+  buildCalendar,
+  bookingEventUid,
+  eventStatusFor,
+  bookingSequence,
+  parseDateValue,
+  parseDuration,
+  parseCalendar
+};
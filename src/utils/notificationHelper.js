@@ -0,0 +1,35 @@
+/**
+ * Notification Helper
+ * Creates in-app notifications from controllers and background jobs
+ */
+
+const Notification = require('../models/Notification');
+
+/**
+ * Create a notification for a user
+ * Failures are logged and swallowed so they never break the calling operation
+ * @param {Object} params
+ * @param {ObjectId} params.user_id - Recipient user ID
+ * @param {string} params.notification_type - One of the Notification model types
+ * @param {string} params.title - Short title
+ * @param {string} params.message - Notification body
+ * @param {ObjectId} params.reference_id - Optional related document ID
+ * @param {string} params.action_url - Optional link for a one-tap action
+ */
+exports.notify = async ({ user_id, notification_type, title, message, reference_id = null, action_url = null }) => {
+  try {
+    if (!user_id) return null;
+
+    return await Notification.create({
+      user_id,
+      notification_type,
+      title,
+      message,
+      reference_id,
+      action_url
+    });
+  } catch (err) {
+    console.error(`Create ${notification_type} notification error:`, err);
+    return null;
+  }
+};
@@ -0,0 +1,133 @@
+/**
+ * Overtime
+ * Prices late check-outs and charges them to the driver's default payment method
+ */
+
+const Booking = require('../models/Booking');
+const { getNumberSetting } = require('./settings');
+const { notify } = require('./notificationHelper');
+const { roundAmount, getRates } = require('./pricing');
+const { chargeDefaultPaymentMethod } = require('./paymentGateway');
+
+// Defaults used when neither the space nor the platform settings define them
+const DEFAULT_GRACE_MINUTES = 15;
+const DEFAULT_MULTIPLIER = 1.5;
+
+/**
+ * Resolve the overtime terms of a space, falling back to the platform settings
+ * @returns {Object} { grace_minutes, multiplier }
+ */
+const getOvertimeTerms = async (parkingSpace) => {
+  const pick = (value, settingKey, defaultValue) => (value !== undefined && value !== null)
+    ? value
+    : getNumberSetting(settingKey, defaultValue);
+
+  return {
+    grace_minutes: await pick(parkingSpace.overtime_grace_minutes, 'booking.overtime_grace_minutes', DEFAULT_GRACE_MINUTES),
+    multiplier: await pick(parkingSpace.overtime_multiplier, 'booking.overtime_multiplier', DEFAULT_MULTIPLIER)
+  };
+};
+
+/**
+ * Price the overtime of a check-out
+ * Check-outs within the grace period are free. Past it, every started hour
+ * after the booked end time is billed at the hourly rate times the multiplier.
+ * @param {Object} parkingSpace - ParkingSpace document
+ * @param {Date} endTime - Booked end time
+ * @param {Date} checkOutTime - Actual check-out time
+ * @param {Object} terms - getOvertimeTerms() result
+ * @returns {Object} { minutes, billable_hours, hourly_rate, multiplier, grace_minutes, amount }
+ */
+const calculateOvertime = (parkingSpace, endTime, checkOutTime, terms) => {
+  const minutes = Math.max(0, Math.ceil((checkOutTime - endTime) / (1000 * 60)));
+  const hourlyRate = getRates(parkingSpace).hourly;
+  const billableHours = minutes > terms.grace_minutes ? Math.ceil(minutes / 60) : 0;
+
+  return {
+    minutes,
+    billable_hours: billableHours,
+    hourly_rate: hourlyRate,
+    multiplier: terms.multiplier,
+    grace_minutes: terms.grace_minutes,
+    amount: roundAmount(billableHours * hourlyRate * terms.multiplier)
+  };
+};
+
+/**
+ * Charge a booking's overtime to the driver's default payment method
+ * A missing payment method or a declined charge leaves the overtime as an
+ * outstanding balance on the booking. Both parties are notified either way.
+ * @param {Object} booking - Completed Booking document with overtime_charge set
+ * @param {ObjectId} ownerUserId - User ID of the space owner, for the notification
+ * @returns {Object} { status, payment, failure_reason }
+ */
+const chargeOvertime = async (booking, ownerUserId) => {
+  const amount = booking.overtime_charge;
+  const { payment, failure_reason: failureReason } = await chargeDefaultPaymentMethod({
+    user_id: booking.user_id,
+    booking_id: booking._id,
+    amount,
+    payment_purpose: 'overtime'
+  });
+
+  const status = failureReason ? 'outstanding' : 'paid';
+
+  booking.overtime_payment_status = status;
+  if (payment) booking.overtime_payment_id = payment._id;
+  await Booking.updateOne(
+    { _id: booking._id },
+    { $set: { overtime_payment_status: status, overtime_payment_id: booking.overtime_payment_id } }
+  );
+
+  if (status === 'paid') {
+    await notify({
+      user_id: booking.user_id,
+      notification_type: 'overtime_charged',
+      title: 'Overtime charged',
+      message: `You stayed ${booking.overtime_minutes} minutes past the end of booking ${booking.booking_number}. ${amount} USD was charged to your default payment method.`,
+      reference_id: booking._id
+    });
+    await notify({
+      user_id: ownerUserId,
+      notification_type: 'overtime_charged',
+      title: 'Overtime collected',
+      message: `The driver of booking ${booking.booking_number} stayed ${booking.overtime_minutes} minutes late and was charged ${amount} USD for overtime.`,
+      reference_id: booking._id
+    });
+  } else {
+    await notify({
+      user_id: booking.user_id,
+      notification_type: 'overtime_charge_failed',
+      title: 'Overtime payment due',
+      message: `You stayed ${booking.overtime_minutes} minutes past the end of booking ${booking.booking_number}. We could not charge ${amount} USD for overtime (${failureReason}); it is now an outstanding balance.`,
+      reference_id: booking._id
+    });
+    await notify({
+      user_id: ownerUserId,
+      notification_type: 'overtime_charge_failed',
+      title: 'Overtime payment outstanding',
+      message: `The driver of booking ${booking.booking_number} stayed ${booking.overtime_minutes} minutes late. The ${amount} USD overtime charge could not be collected yet and is tracked as an outstanding balance.`,
+      reference_id: booking._id
+    });
+  }
+
+  return { status, payment, failure_reason: failureReason };
+};
+
+/**
+ * Clear an outstanding overtime balance once its payment succeeds
+ * (e.g. a declined charge later confirmed by the gateway)
+ */
+const settleOvertimePayment = async (payment) => {
+  return Booking.updateOne(
+    { _id: payment.booking_id, overtime_payment_status: 'outstanding' },
+    { $set: { overtime_payment_status: 'paid', overtime_payment_id: payment._id } }
+  );
+};
+
+module.exports = {
+  getOvertimeTerms,
+  calculateOvertime,
+  chargeOvertime,
+  settleOvertimePayment
+};
@@ -0,0 +1,77 @@
+/**
+ * Payment Gateway
+ * Payment numbers and the simulated gateway charge shared by every payment flow
+ */
+
+const Payment = require('../models/Payment');
+const UserPaymentMethod = require('../models/UserPaymentMethod');
+
+/**
+ * Generate a unique payment number
+ */
+const generatePaymentNumber = () => {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+  return `PAY-${timestamp}-${random}`;
+};
+
+/**
+ * Charge a payment provider
+ * Simulated for now (in real app, integrate with payment gateway): a mock
+ * transaction ID is created and 90% of charges succeed.
+ * @param {string} provider - Payment provider name
+ * @returns {Object} { provider_transaction_id, succeeded }
+ */
+const chargeProvider = async (provider) => {
+  const providerTransactionId = `${provider.toUpperCase()}_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+
+  return {
+    provider_transaction_id: providerTransactionId,
+    succeeded: Math.random() > 0.1
+  };
+};
+
+/**
+ * Charge a user's default saved payment method and record the Payment
+ * Used for charges the driver is not present for (overtime, renewals).
+ * @param {Object} params
+ * @param {ObjectId} params.user_id - User to charge
+ * @param {ObjectId} params.booking_id - Booking the payment belongs to
+ * @param {number} params.amount - Amount in USD
+ * @param {string} params.payment_purpose - Payment purpose (see Payment model)
+ * @returns {Object} { payment, failure_reason } - payment is null when no method is saved
+ */
+const chargeDefaultPaymentMethod = async ({ user_id, booking_id, amount, payment_purpose = 'booking' }) => {
+  const paymentMethod = await UserPaymentMethod.findOne({ user_id, is_default: true });
+
+  if (!paymentMethod) {
+    return { payment: null, failure_reason: 'No default payment method on file' };
+  }
+
+  const charge = await chargeProvider(paymentMethod.provider);
+
+  const payment = await Payment.create({
+    payment_number: generatePaymentNumber(),
+    user_id,
+    booking_id,
+    payment_purpose,
+    amount,
+    currency: 'USD',
+    payment_method: paymentMethod.payment_type,
+    payment_provider: paymentMethod.provider,
+    provider_transaction_id: charge.provider_transaction_id,
+    payment_status: charge.succeeded ? 'succeeded' : 'failed',
+    paid_at: charge.succeeded ? new Date() : null
+  });
+
+  return {
+    payment,
+    failure_reason: charge.succeeded ? null : 'Payment method was declined'
+  };
+};
+
+module.exports = {
+  generatePaymentNumber,
+  chargeProvider,
+  chargeDefaultPaymentMethod
+};
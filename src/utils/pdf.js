@@ -0,0 +1,102 @@
+/**
+ * PDF
+ * Minimal PDF 1.4 writer for text documents such as receipts,
+ * using the standard Helvetica fonts so no font files are embedded
+ */
+
+const PAGE_WIDTH = 612; // US Letter, in points
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+
+/**
+ * Escape text for a PDF string literal
+ * Characters outside Latin-1 cannot be shown by the standard fonts and become '?'
+ */
+const escapePdfText = (value) => {
+  return String(value)
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+};
+
+/**
+ * Lay rows out top to bottom, starting a new page when one fills up
+ * @returns {Array<string>} Content stream of each page
+ */
+const layoutPages = (rows) => {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const row of rows) {
+    const size = row.size || 10;
+    const height = size * 1.5 + (row.gap || 0);
+
+    if (y - height < MARGIN) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= height;
+
+    const page = pages[pages.length - 1];
+    for (const cell of row.cells || []) {
+      page.push(`BT /${cell.bold ? 'F2' : 'F1'} ${size} Tf ${MARGIN + (cell.x || 0)} ${y.toFixed(2)} Td (${escapePdfText(cell.text)}) Tj ET`);
+    }
+
+    if (row.rule) {
+      page.push(`0.5 w ${MARGIN} ${(y - size * 0.5).toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${(y - size * 0.5).toFixed(2)} l S`);
+    }
+  }
+
+  return pages.map(commands => commands.join('\n'));
+};
+
+/**
+ * Build a PDF document from rows of text
+ * @param {Array<Object>} rows - { cells: [{ text, x, bold }], size, gap, rule }
+ *   x is the offset from the left margin in points, size the font size,
+ *   gap extra space above the row and rule draws a line under it.
+ *   A row without cells is a blank line.
+ * @param {Object} options
+ * @param {string} options.title - Document title (PDF metadata)
+ * @returns {Buffer}
+ */
+const buildPdf = (rows, { title = '' } = {}) => {
+  const pageStreams = layoutPages(rows);
+
+  // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content per page
+  const objects = [];
+  const pageIds = pageStreams.map((stream, index) => 6 + index * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  objects[5] = `<< /Title (${escapePdfText(title)}) /Producer (ParkBNB) >>`;
+
+  pageStreams.forEach((stream, index) => {
+    const pageId = pageIds[index];
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+  const offsets = [];
+
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(output, 'latin1');
+    output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+module.exports = {
+  buildPdf
+};
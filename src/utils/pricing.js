@@ -0,0 +1,209 @@
+/**
+ * Pricing
+ * Single source of truth for booking prices: base rate tiers, promo
+ * discounts, service fee, taxes, platform commission and owner payout.
+ * Quotes and bookings both go through buildPriceQuote so they always match.
+ */
+
+const PromoCode = require('../models/PromoCode');
+const { getNumberSetting } = require('./settings');
+
+const HOURS_PER_DAY = 24;
+const HOURS_PER_MONTH = 24 * 30;
+
+// Defaults used when the platform settings are missing
+const DEFAULT_COMMISSION_RATE = 0.15;
+const DEFAULT_SERVICE_FEE_RATE = 0.05;
+const DEFAULT_SERVICE_FEE_FIXED = 0;
+const DEFAULT_TAX_RATE = 0;
+
+/**
+ * Round a monetary amount to 2 decimals
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Resolve a space's rates, preferring the price_per_* fields over the legacy
+ * *_rate aliases. Missing daily/monthly rates fall back to the smaller unit.
+ */
+const getRates = (parkingSpace) => {
+  const pick = (...values) => values.find(v => v !== undefined && v !== null);
+
+  const hourly = pick(parkingSpace.price_per_hour, parkingSpace.hourly_rate, 0);
+  const daily = pick(parkingSpace.price_per_day, parkingSpace.daily_rate, hourly * HOURS_PER_DAY);
+  const monthly = pick(parkingSpace.price_per_month, parkingSpace.monthly_rate, daily * 30);
+
+  return { hourly, daily, monthly };
+};
+
+/**
+ * Calculate the base fare for a duration
+ * Up to 24h is billed per hour, up to 30 days per started day and longer
+ * stays per started month.
+ * @returns {Object} { tier, quantity, unit_price, amount }
+ */
+const calculateBaseFare = (parkingSpace, durationHours) => {
+  const rates = getRates(parkingSpace);
+
+  if (durationHours <= HOURS_PER_DAY) {
+    return {
+      tier: 'hourly',
+      quantity: roundAmount(durationHours),
+      unit_price: rates.hourly,
+      amount: roundAmount(rates.hourly * durationHours)
+    };
+  }
+
+  if (durationHours <= HOURS_PER_MONTH) {
+    const days = Math.ceil(durationHours / HOURS_PER_DAY);
+    return {
+      tier: 'daily',
+      quantity: days,
+      unit_price: rates.daily,
+      amount: roundAmount(rates.daily * days)
+    };
+  }
+
+  const months = Math.ceil(durationHours / HOURS_PER_MONTH);
+  return {
+    tier: 'monthly',
+    quantity: months,
+    unit_price: rates.monthly,
+    amount: roundAmount(rates.monthly * months)
+  };
+};
+
+/**
+ * Look up a promo code that can be applied right now
+ * @returns {Object} { promo } or { failure } with a user-facing message
+ */
+const resolvePromoCode = async (code, now = new Date()) => {
+  const promo = await PromoCode.findOne({
+    code: code.toUpperCase(),
+    is_active: true,
+    valid_from: { $lte: now },
+    valid_to: { $gte: now }
+  });
+
+  if (!promo) {
+    return { failure: 'Invalid or expired promo code' };
+  }
+
+  if (promo.usage_limit_total && promo.usage_count >= promo.usage_limit_total) {
+    return { failure: 'Promo code has reached maximum usage limit' };
+  }
+
+  return { promo };
+};
+
+/**
+ * Calculate the discount a promo code grants on a subtotal
+ */
+const calculatePromoDiscount = (promo, subtotal, parkingSpace) => {
+  let discount = 0;
+
+  if (promo.promo_type === 'percentage') {
+    discount = (subtotal * promo.discount_value) / 100;
+    if (promo.max_discount_amount) {
+      discount = Math.min(discount, promo.max_discount_amount);
+    }
+  } else if (promo.promo_type === 'fixed_amount') {
+    discount = promo.discount_value;
+  } else if (promo.promo_type === 'free_hours') {
+    discount = promo.discount_value * getRates(parkingSpace).hourly;
+  }
+
+  return roundAmount(Math.min(discount, subtotal));
+};
+
+/**
+ * Load the fee, tax and commission rates from platform settings
+ */
+const getPricingRates = async () => ({
+  commission_rate: await getNumberSetting('platform.commission_rate', DEFAULT_COMMISSION_RATE),
+  service_fee_rate: await getNumberSetting('pricing.service_fee_rate', DEFAULT_SERVICE_FEE_RATE),
+  service_fee_fixed: await getNumberSetting('pricing.service_fee_fixed', DEFAULT_SERVICE_FEE_FIXED),
+  tax_rate: await getNumberSetting('pricing.tax_rate', DEFAULT_TAX_RATE)
+});
+
+/**
+ * Build an itemized price quote
+ * The driver pays subtotal - discount + service fee + tax. The owner is paid
+ * the discounted subtotal minus the platform commission.
+ * @param {Object} parkingSpace - ParkingSpace document
+ * @param {number} durationHours - Booked duration
+ * @param {Object} options
+ * @param {Object} options.promo - PromoCode document to apply
+ * @param {number} options.fixedDiscount - Discount already granted (repricing an existing booking)
+ * @param {Object} options.rates - Pre-loaded getPricingRates() result (for batch pricing)
+ * @param {Object} options.baseFare - Base fare line item replacing the duration tiers (e.g. a subscription month)
+ */
+const buildPriceQuote = async (parkingSpace, durationHours, { promo = null, fixedDiscount = 0, rates = null, baseFare: fixedBaseFare = null } = {}) => {
+  const pricingRates = rates || await getPricingRates();
+  const baseFare = fixedBaseFare || calculateBaseFare(parkingSpace, durationHours);
+
+  const subtotal = baseFare.amount;
+  const discountAmount = promo
+    ? calculatePromoDiscount(promo, subtotal, parkingSpace)
+    : roundAmount(Math.min(fixedDiscount, subtotal));
+  const discountedSubtotal = roundAmount(subtotal - discountAmount);
+
+  const serviceFee = discountedSubtotal > 0
+    ? roundAmount(discountedSubtotal * pricingRates.service_fee_rate + pricingRates.service_fee_fixed)
+    : 0;
+  const taxAmount = roundAmount((discountedSubtotal + serviceFee) * pricingRates.tax_rate);
+  const platformCommission = roundAmount(discountedSubtotal * pricingRates.commission_rate);
+
+  return {
+    currency: 'USD',
+    duration_hours: roundAmount(durationHours),
+    line_items: [baseFare],
+    subtotal,
+    discount: promo ? {
+      code: promo.code,
+      promo_type: promo.promo_type,
+      amount: discountAmount
+    } : null,
+    discount_amount: discountAmount,
+    service_fee: serviceFee,
+    tax: {
+      rate: pricingRates.tax_rate,
+      amount: taxAmount
+    },
+    tax_amount: taxAmount,
+    total: roundAmount(discountedSubtotal + serviceFee + taxAmount),
+    platform_commission: platformCommission,
+    owner_payout: roundAmount(discountedSubtotal - platformCommission),
+    rates: {
+      commission_rate: pricingRates.commission_rate,
+      service_fee_rate: pricingRates.service_fee_rate,
+      service_fee_fixed: pricingRates.service_fee_fixed,
+      tax_rate: pricingRates.tax_rate
+    }
+  };
+};
+
+/**
+ * Map a quote onto the Booking price fields
+ */
+const bookingPriceFields = (quote) => ({
+  base_price: quote.subtotal,
+  discount_amount: quote.discount_amount,
+  service_fee: quote.service_fee,
+  tax_amount: quote.tax_amount,
+  platform_commission: quote.platform_commission,
+  owner_payout: quote.owner_payout,
+  total_amount: quote.total,
+  pricing_rates: quote.rates
+});
+
+module.exports = {
+  roundAmount,
+  getRates,
+  calculateBaseFare,
+  resolvePromoCode,
+  calculatePromoDiscount,
+  getPricingRates,
+  buildPriceQuote,
+  bookingPriceFields
+};
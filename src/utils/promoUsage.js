@@ -0,0 +1,45 @@
+/**
+ * Promo Usage Utilities
+ * Records and reverses promo code consumption for bookings
+ */
+
+const PromoCode = require('../models/PromoCode');
+const PromoCodeUsage = require('../models/PromoCodeUsage');
+
+/**
+ * Record that a booking consumed a promo code
+ * @param {Object} promoCode - PromoCode document
+ * @param {ObjectId} userId - User who made the booking
+ * @param {ObjectId} bookingId - Booking the discount was applied to
+ * @param {number} discountApplied - Discount amount granted
+ */
+exports.recordPromoUsage = async (promoCode, userId, bookingId, discountApplied) => {
+  const usage = await PromoCodeUsage.create({
+    promo_code_id: promoCode._id,
+    user_id: userId,
+    booking_id: bookingId,
+    discount_applied: discountApplied
+  });
+
+  await PromoCode.updateOne({ _id: promoCode._id }, { $inc: { usage_count: 1 } });
+
+  return usage;
+};
+
+/**
+ * Reverse the promo usage consumed by a booking, if any
+ * Removes the usage record and gives the use back to the promo code
+ * @returns {Promise<boolean>} true if a usage was reversed
+ */
+exports.reversePromoUsage = async (bookingId) => {
+  const usage = await PromoCodeUsage.findOneAndDelete({ booking_id: bookingId });
+
+  if (!usage) return false;
+
+  await PromoCode.updateOne(
+    { _id: usage.promo_code_id, usage_count: { $gt: 0 } },
+    { $inc: { usage_count: -1 } }
+  );
+
+  return true;
+};
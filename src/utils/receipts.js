@@ -0,0 +1,382 @@
+/**
+ * Receipts
+ * Issues sequential invoice numbers and renders booking receipts as HTML and PDF
+ */
+
+const Invoice = require('../models/Invoice');
+const InvoiceSequence = require('../models/InvoiceSequence');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const { getSetting } = require('./settings');
+const { roundAmount } = require('./pricing');
+const { getPaidAmount } = require('./bookingHelpers');
+const { buildPdf } = require('./pdf');
+
+// Payment states a receipt can be issued for
+const RECEIPT_PAYMENT_STATUSES = ['paid', 'refunded', 'partially_refunded'];
+
+/**
+ * Format an amount for display (e.g. 12.50 USD)
+ */
+const formatMoney = (amount, currency = 'USD') => `${(amount || 0).toFixed(2)} ${currency}`;
+
+/**
+ * Format a date for display (e.g. 2025-10-20 14:00 UTC)
+ */
+const formatDate = (date) => date ? `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC` : '';
+
+/**
+ * Escape text for HTML
+ */
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Attempts at taking the next sequence number before giving up
+const MAX_NUMBERING_ATTEMPTS = 10;
+
+/**
+ * Check whether a duplicate key error was raised by a given field
+ */
+const isDuplicateKey = (err, field) => err.code === 11000 && Boolean(err.keyPattern && err.keyPattern[field]);
+
+/**
+ * Reserve the invoice of a booking, creating it without a number the first time
+ */
+const reserveInvoice = async (booking, ownerId) => {
+  try {
+    return await Invoice.findOneAndUpdate(
+      { booking_id: booking._id },
+      { $setOnInsert: { booking_id: booking._id, owner_id: ownerId } },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    // A concurrent request reserved it first
+    if (isDuplicateKey(err, 'booking_id')) {
+      return Invoice.findOne({ booking_id: booking._id });
+    }
+    throw err;
+  }
+};
+
+/**
+ * Get the invoice of a booking, issuing the next number in the owner's sequence the first time
+ * Numbers are per owner (INV-<owner id>-000001, INV-<owner id>-000002, ...).
+ * The invoice is reserved per booking before a number is taken, and a number
+ * only counts as taken once an invoice holds it, so the sequence has no gaps.
+ */
+const issueInvoice = async (booking) => {
+  const ownerId = booking.owner_id && booking.owner_id._id ? booking.owner_id._id : booking.owner_id;
+
+  const invoice = await reserveInvoice(booking, ownerId);
+  if (invoice.sequence) return invoice;
+
+  for (let attempt = 0; attempt < MAX_NUMBERING_ATTEMPTS; attempt++) {
+    const counter = await InvoiceSequence.findOne({ owner_id: ownerId });
+    const sequence = (counter ? counter.last_sequence : 0) + 1;
+
+    try {
+      const result = await Invoice.updateOne(
+        { _id: invoice._id, sequence: null },
+        {
+          $set: {
+            sequence,
+            invoice_number: `INV-${ownerId.toString().toUpperCase()}-${String(sequence).padStart(6, '0')}`,
+            issued_at: new Date()
+          }
+        }
+      );
+
+      // A concurrent request for the same booking numbered it first
+      if (result.modifiedCount === 0) {
+        return Invoice.findById(invoice._id);
+      }
+
+      await InvoiceSequence.updateOne(
+        { owner_id: ownerId },
+        { $max: { last_sequence: sequence } },
+        { upsert: true }
+      );
+
+      return Invoice.findById(invoice._id);
+    } catch (err) {
+      if (!isDuplicateKey(err, 'sequence')) throw err;
+
+      // Another booking of this owner holds the number; move the counter past it and retry
+      await InvoiceSequence.updateOne(
+        { owner_id: ownerId },
+        { $max: { last_sequence: sequence } },
+        { upsert: true }
+      );
+    }
+  }
+
+  throw new Error(`Could not assign an invoice number for booking ${booking.booking_number}`);
+};
+
+/**
+ * Collect everything a receipt shows
+ * @param {Object} booking - Booking populated with user_id, owner_id, vehicle_id and space_id.property_id
+ * @param {Object} invoice - Invoice document
+ * @returns {Object} Receipt data (also the JSON receipt format)
+ */
+const buildReceipt = async (booking, invoice) => {
+  const space = booking.space_id || {};
+  const property = space.property_id || {};
+  const vehicle = booking.vehicle_id || {};
+  const driver = booking.user_id || {};
+
+  // The booking's own or group payment, plus any overtime payment
+  const payments = await Payment.find({
+    $or: [
+      { booking_id: booking._id },
+      ...(booking.group_id ? [{ group_id: booking.group_id }] : [])
+    ],
+    payment_status: { $in: ['succeeded', 'refunded', 'partially_refunded'] }
+  }).sort({ created_at: 1 });
+
+  const refunds = await Refund.find({ booking_id: booking._id }).sort({ created_at: 1 });
+
+  const lineItems = [
+    { description: `Parking, space ${space.space_number || ''} (${booking.duration_hours}h)`, amount: booking.base_price }
+  ];
+  if (booking.discount_amount > 0) {
+    lineItems.push({
+      description: booking.promo_code ? `Discount (${booking.promo_code})` : 'Discount',
+      amount: -booking.discount_amount
+    });
+  }
+  if (booking.service_fee > 0) {
+    lineItems.push({ description: 'Service fee', amount: booking.service_fee });
+  }
+  lineItems.push({ description: 'Tax', amount: booking.tax_amount || 0 });
+
+  const overtimePaid = booking.overtime_charge > 0 && booking.overtime_payment_status === 'paid';
+  if (overtimePaid) {
+    lineItems.push({ description: `Overtime (${booking.overtime_minutes} min)`, amount: booking.overtime_charge });
+  }
+
+  const total = roundAmount(booking.total_amount + (overtimePaid ? booking.overtime_charge : 0));
+
+  // What was actually collected; extensions on older bookings were never charged
+  const paidTotal = roundAmount((await getPaidAmount(booking)) + (overtimePaid ? booking.overtime_charge : 0));
+  const refundedTotal = roundAmount(refunds
+    .filter(refund => refund.status === 'completed')
+    .reduce((sum, refund) => sum + refund.refund_amount, 0));
+
+  return {
+    invoice_number: invoice.invoice_number,
+    issued_at: invoice.issued_at,
+    platform_name: await getSetting('platform.name', 'ParkingBNB'),
+    seller: {
+      business_name: booking.owner_id && booking.owner_id.business_name ? booking.owner_id.business_name : null
+    },
+    customer: {
+      name: [driver.first_name, driver.last_name].filter(Boolean).join(' '),
+      email: driver.email
+    },
+    booking: {
+      booking_number: booking.booking_number,
+      status: booking.status,
+      start_time: booking.start_time,
+      end_time: booking.end_time,
+      check_out_time: booking.check_out_time || null
+    },
+    property: {
+      property_name: property.property_name,
+      address: property.address,
+      city: property.city,
+      state: property.state,
+      postal_code: property.postal_code
+    },
+    space_number: space.space_number,
+    vehicle: {
+      license_plate: vehicle.license_plate,
+      vehicle_make: vehicle.vehicle_make,
+      vehicle_model: vehicle.vehicle_model
+    },
+    currency: booking.currency || 'USD',
+    line_items: lineItems,
+    total,
+    payments: payments.map(payment => ({
+      payment_number: payment.payment_number,
+      provider_transaction_id: payment.provider_transaction_id,
+      payment_method: payment.payment_method,
+      payment_purpose: payment.payment_purpose,
+      amount: payment.amount,
+      payment_status: payment.payment_status,
+      paid_at: payment.paid_at,
+      // Group payments cover every booking of the group
+      covers_group: Boolean(payment.group_id)
+    })),
+    refunds: refunds.map(refund => ({
+      refund_amount: refund.refund_amount,
+      refund_reason: refund.refund_reason,
+      status: refund.status,
+      processed_at: refund.processed_at || null,
+      requested_at: refund.created_at
+    })),
+    paid_total: paidTotal,
+    amount_due: roundAmount(Math.max(0, total - paidTotal)),
+    refunded_total: refundedTotal,
+    net_total: roundAmount(paidTotal - refundedTotal)
+  };
+};
+
+/**
+ * Render a receipt as a standalone HTML page
+ */
+const renderReceiptHtml = (receipt) => {
+  const { currency } = receipt;
+  const row = (label, value) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`;
+  const address = [receipt.property.address, receipt.property.city, receipt.property.state, receipt.property.postal_code]
+    .filter(Boolean).join(', ');
+  const vehicle = [receipt.vehicle.license_plate, receipt.vehicle.vehicle_make, receipt.vehicle.vehicle_model]
+    .filter(Boolean).join(' ');
+
+  const lineItems = receipt.line_items.map(item =>
+    `<tr><td>${escapeHtml(item.description)}</td><td class="amount">${escapeHtml(formatMoney(item.amount, currency))}</td></tr>`
+  ).join('\n');
+
+  const payments = receipt.payments.map(payment =>
+    `<tr><td>${escapeHtml(payment.payment_number)}${payment.covers_group ? ' (group payment)' : ''}</td>` +
+    `<td>${escapeHtml(payment.payment_method)}</td><td>${escapeHtml(formatDate(payment.paid_at))}</td>` +
+    `<td>${escapeHtml(payment.payment_status)}</td><td class="amount">${escapeHtml(formatMoney(payment.amount, currency))}</td></tr>`
+  ).join('\n');
+
+  const refunds = receipt.refunds.map(refund =>
+    `<tr><td>${escapeHtml(refund.refund_reason)}</td><td>${escapeHtml(refund.status)}</td>` +
+    `<td>${escapeHtml(formatDate(refund.processed_at || refund.requested_at))}</td>` +
+    `<td class="amount">${escapeHtml(formatMoney(-refund.refund_amount, currency))}</td></tr>`
+  ).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Invoice ${escapeHtml(receipt.invoice_number)}</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 720px; margin: 40px auto; }
+h1 { font-size: 22px; margin-bottom: 4px; }
+table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #ddd; }
+.amount { text-align: right; white-space: nowrap; }
+.total td { font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>Invoice ${escapeHtml(receipt.invoice_number)}</h1>
+<p>${escapeHtml(receipt.platform_name)}${receipt.seller.business_name ? ` on behalf of ${escapeHtml(receipt.seller.business_name)}` : ''}</p>
+<table>
+${row('Issued', formatDate(receipt.issued_at))}
+${row('Billed to', `${receipt.customer.name} <${receipt.customer.email}>`)}
+${row('Booking', receipt.booking.booking_number)}
+${row('Location', [receipt.property.property_name, address].filter(Boolean).join(', '))}
+${row('Space', receipt.space_number)}
+${row('Vehicle', vehicle)}
+${row('Period', `${formatDate(receipt.booking.start_time)} to ${formatDate(receipt.booking.end_time)}`)}
+</table>
+<table>
+<thead><tr><th>Description</th><th class="amount">Amount</th></tr></thead>
+<tbody>
+${lineItems}
+<tr class="total"><td>Total</td><td class="amount">${escapeHtml(formatMoney(receipt.total, currency))}</td></tr>
+<tr><td>Paid</td><td class="amount">${escapeHtml(formatMoney(receipt.paid_total, currency))}</td></tr>
+${receipt.amount_due > 0 ? `<tr><td>Not collected</td><td class="amount">${escapeHtml(formatMoney(receipt.amount_due, currency))}</td></tr>` : ''}
+</tbody>
+</table>
+${receipt.payments.length > 0 ? `<h2>Payments</h2>
+<table>
+<thead><tr><th>Reference</th><th>Method</th><th>Date</th><th>Status</th><th class="amount">Amount</th></tr></thead>
+<tbody>
+${payments}
+</tbody>
+</table>` : ''}
+${receipt.refunds.length > 0 ? `<h2>Refunds</h2>
+<table>
+<thead><tr><th>Reason</th><th>Status</th><th>Date</th><th class="amount">Amount</th></tr></thead>
+<tbody>
+${refunds}
+<tr class="total"><td colspan="3">Net paid</td><td class="amount">${escapeHtml(formatMoney(receipt.net_total, currency))}</td></tr>
+</tbody>
+</table>` : ''}
+</body>
+</html>
+`;
+};
+
+/**
+ * Render a receipt as a PDF document
+ * @returns {Buffer}
+ */
+const renderReceiptPdf = (receipt) => {
+  const { currency } = receipt;
+  const AMOUNT_X = 400;
+  const rows = [];
+  const text = (value, options = {}) => rows.push({ cells: [{ text: value, bold: options.bold }], size: options.size, gap: options.gap });
+  const pair = (label, value) => rows.push({ cells: [{ text: label, bold: true }, { text: value, x: 110 }] });
+
+  text(`Invoice ${receipt.invoice_number}`, { bold: true, size: 18 });
+  text(`${receipt.platform_name}${receipt.seller.business_name ? ` on behalf of ${receipt.seller.business_name}` : ''}`);
+  rows.push({});
+
+  pair('Issued', formatDate(receipt.issued_at));
+  pair('Billed to', `${receipt.customer.name} <${receipt.customer.email}>`);
+  pair('Booking', receipt.booking.booking_number);
+  pair('Location', receipt.property.property_name || '');
+  pair('', [receipt.property.address, receipt.property.city, receipt.property.state, receipt.property.postal_code].filter(Boolean).join(', '));
+  pair('Space', receipt.space_number || '');
+  pair('Vehicle', [receipt.vehicle.license_plate, receipt.vehicle.vehicle_make, receipt.vehicle.vehicle_model].filter(Boolean).join(' '));
+  pair('Period', `${formatDate(receipt.booking.start_time)} to ${formatDate(receipt.booking.end_time)}`);
+
+  rows.push({ cells: [{ text: 'Description', bold: true }, { text: 'Amount', x: AMOUNT_X, bold: true }], gap: 12, rule: true });
+  for (const item of receipt.line_items) {
+    rows.push({ cells: [{ text: item.description }, { text: formatMoney(item.amount, currency), x: AMOUNT_X }] });
+  }
+  rows.push({ cells: [{ text: 'Total', bold: true }, { text: formatMoney(receipt.total, currency), x: AMOUNT_X, bold: true }], gap: 4 });
+  rows.push({ cells: [{ text: 'Paid' }, { text: formatMoney(receipt.paid_total, currency), x: AMOUNT_X }] });
+  if (receipt.amount_due > 0) {
+    rows.push({ cells: [{ text: 'Not collected' }, { text: formatMoney(receipt.amount_due, currency), x: AMOUNT_X }] });
+  }
+
+  if (receipt.payments.length > 0) {
+    text('Payments', { bold: true, size: 12, gap: 12 });
+    for (const payment of receipt.payments) {
+      rows.push({
+        cells: [
+          { text: `${payment.payment_number}${payment.covers_group ? ' (group)' : ''}` },
+          { text: payment.payment_method, x: 190 },
+          { text: formatDate(payment.paid_at), x: 280 },
+          { text: formatMoney(payment.amount, currency), x: AMOUNT_X }
+        ]
+      });
+    }
+  }
+
+  if (receipt.refunds.length > 0) {
+    text('Refunds', { bold: true, size: 12, gap: 12 });
+    for (const refund of receipt.refunds) {
+      rows.push({
+        cells: [
+          { text: refund.refund_reason.length > 45 ? `${refund.refund_reason.slice(0, 44)}...` : refund.refund_reason },
+          { text: refund.status, x: 280 },
+          { text: formatMoney(-refund.refund_amount, currency), x: AMOUNT_X }
+        ]
+      });
+    }
+    rows.push({ cells: [{ text: 'Net paid', bold: true }, { text: formatMoney(receipt.net_total, currency), x: AMOUNT_X, bold: true }], gap: 4 });
+  }
+
+  return buildPdf(rows, { title: `Invoice ${receipt.invoice_number}` });
+};
+
+module.exports = {
+  RECEIPT_PAYMENT_STATUSES,
+  issueInvoice,
+  buildReceipt,
+  renderReceiptHtml,
+  renderReceiptPdf
+};
@@ -0,0 +1,35 @@
+/**
+ * Platform Settings Helper
+ * Reads PlatformSettings values with code-level fallbacks
+ */
+
+const PlatformSettings = require('../models/PlatformSettings');
+
+/**
+ * Get a platform setting value
+ * @param {string} key - Setting key (e.g. 'booking.request_expiry_hours')
+ * @param {*} defaultValue - Value returned when the setting is missing or unreadable
+ */
+exports.getSetting = async (key, defaultValue = null) => {
+  try {
+    const setting = await PlatformSettings.findOne({ setting_key: key });
+
+    if (!setting || setting.setting_value === undefined || setting.setting_value === null) {
+      return defaultValue;
+    }
+
+    return setting.setting_value;
+  } catch (err) {
+    console.error(`Get setting ${key} error:`, err);
+    return defaultValue;
+  }
+};
+
+/**
+ * Get a numeric platform setting value
+ * Falls back to the default when the stored value is not a valid number
+ */
+exports.getNumberSetting = async (key, defaultValue) => {
+  const value = parseFloat(await exports.getSetting(key, defaultValue));
+  return isNaN(value) ? defaultValue : value;
+};
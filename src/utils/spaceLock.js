@@ -0,0 +1,66 @@
+/**
+ * Space Lock Utilities
+ * Per-space mutex used to make booking conflict checks and writes atomic
+ */
+
+const crypto = require('crypto');
+const SpaceLock = require('../models/SpaceLock');
+
+const LOCK_TTL_MS = 15 * 1000; // Upper bound for a single reservation
+const LOCK_RETRIES = 10;
+const LOCK_RETRY_DELAY_MS = 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Try to take the lock once
+ * The unique space_id index makes concurrent upserts fail with E11000
+ */
+const tryAcquire = async (spaceId, token) => {
+  const now = new Date();
+
+  try {
+    await SpaceLock.findOneAndUpdate(
+      { space_id: spaceId, locked_until: { $lte: now } },
+      { $set: { lock_token: token, locked_until: new Date(now.getTime() + LOCK_TTL_MS) } },
+      { upsert: true, new: true }
+    );
+    return true;
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+};
+
+/**
+ * Acquire the reservation lock for a parking space
+ * @param {ObjectId|string} spaceId - Parking space ID
+ * @returns {Promise<string|null>} Lock token, or null if the space stayed locked
+ */
+exports.acquireSpaceLock = async (spaceId) => {
+  const token = crypto.randomBytes(16).toString('hex');
+
+  for (let attempt = 0; attempt < LOCK_RETRIES; attempt++) {
+    if (await tryAcquire(spaceId, token)) {
+      return token;
+    }
+    await sleep(LOCK_RETRY_DELAY_MS * (attempt + 1));
+  }
+
+  return null;
+};
+
+/**
+ * Release a lock previously acquired with acquireSpaceLock
+ * Only the holder's token can release it
+ */
+exports.releaseSpaceLock = async (spaceId, token) => {
+  if (!token) return;
+
+  try {
+    await SpaceLock.deleteOne({ space_id: spaceId, lock_token: token });
+  } catch (err) {
+    // The lock expires on its own; never fail the request over it
+    console.error('Release space lock error:', err);
+  }
+};
@@ -0,0 +1,247 @@
+/**
+ * Subscriptions
+ * Books and charges the monthly periods of parking subscriptions
+ */
+
+const Booking = require('../models/Booking');
+const Subscription = require('../models/Subscription');
+const ParkingSpace = require('../models/ParkingSpace');
+const errorCodes = require('./errorCodes');
+const { notify } = require('./notificationHelper');
+const { acquireSpaceLock, releaseSpaceLock } = require('./spaceLock');
+const { generateBookingNumber, hasBookingConflict, getPaymentExpiry } = require('./bookingHelpers');
+const { checkSpaceSchedule } = require('./availabilityHelpers');
+const { getPolicySnapshot } = require('./cancellationPolicies');
+const { buildPriceQuote, bookingPriceFields } = require('./pricing');
+const { recordStatusChange, recordBookingsCreated } = require('./bookingHistory');
+const { assignVerificationCode } = require('./verificationCode');
+const { chargeDefaultPaymentMethod } = require('./paymentGateway');
+const { releaseToWaitlist } = require('./waitlist');
+
+// Minutes a renewal claim lasts if the process dies before releasing it
+const RENEWAL_CLAIM_MINUTES = 10;
+
+/**
+ * Get the monthly rate a space offers subscriptions at
+ * Only an explicit monthly price counts; the derived daily * 30 rate does not.
+ * @returns {number|null}
+ */
+const getMonthlyPrice = (parkingSpace) => {
+  const price = [parkingSpace.price_per_month, parkingSpace.monthly_rate]
+    .find(value => value !== undefined && value !== null);
+  return price > 0 ? price : null;
+};
+
+/**
+ * Add one billing month to a date, keeping the time of day
+ * The billing day is clamped to the length of shorter months (31 -> 30 or 28/29)
+ */
+const addBillingMonth = (date, billingDay) => {
+  const next = new Date(date);
+  const year = next.getUTCFullYear();
+  const month = next.getUTCMonth() + 1;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  next.setUTCDate(1);
+  next.setUTCFullYear(year, month, Math.min(billingDay, daysInMonth));
+  return next;
+};
+
+/**
+ * Claim a subscription for starting its next period
+ * Conditional on the status and cycle the caller loaded, so of two overlapping
+ * renewals (job runs, a manual resume) only one books and charges the month.
+ * @returns {boolean} true when this caller holds the claim
+ */
+const claimSubscriptionRenewal = async (subscription, now) => {
+  const claimedUntil = new Date(now.getTime() + RENEWAL_CLAIM_MINUTES * 60 * 1000);
+
+  const result = await Subscription.updateOne(
+    {
+      _id: subscription._id,
+      status: subscription.status,
+      cycle_count: subscription.cycle_count,
+      $or: [{ renewal_claimed_until: null }, { renewal_claimed_until: { $lte: now } }]
+    },
+    { $set: { renewal_claimed_until: claimedUntil } }
+  );
+
+  if (result.modifiedCount === 0) return false;
+
+  // Kept in step with the stored claim so the save that ends the renewal clears it
+  subscription.renewal_claimed_until = claimedUntil;
+  return true;
+};
+
+/**
+ * Book one period of a subscription and charge it to the saved payment method
+ * The slot check and insert run under the space lock; the charge runs after it.
+ * A declined charge cancels the period's booking and gives the slot back.
+ * @returns {Object} { booking, payment, failure_reason } or { failure: { code, status, message } } when the slot cannot be booked
+ */
+const bookSubscriptionPeriod = async (subscription, periodStart, actor) => {
+  const parkingSpace = await ParkingSpace.findById(subscription.space_id);
+  const monthlyPrice = parkingSpace ? getMonthlyPrice(parkingSpace) : null;
+
+  if (!parkingSpace || parkingSpace.status !== 'active' || !monthlyPrice) {
+    return { failure: { code: errorCodes.BIZ_SPACE_UNAVAILABLE, status: 400, message: 'Parking space no longer offers monthly parking' } };
+  }
+
+  const periodEnd = addBillingMonth(periodStart, subscription.billing_day);
+  const durationHours = (periodEnd - periodStart) / (1000 * 60 * 60);
+  const quote = await buildPriceQuote(parkingSpace, durationHours, {
+    baseFare: { tier: 'monthly', quantity: 1, unit_price: monthlyPrice, amount: monthlyPrice }
+  });
+
+  const lockToken = await acquireSpaceLock(parkingSpace._id);
+  if (!lockToken) {
+    return { failure: { code: errorCodes.BIZ_BOOKING_CONFLICT, status: 409, message: 'Parking space is being booked by another request, please try again' } };
+  }
+
+  let booking;
+  try {
+    const schedule = await checkSpaceSchedule(parkingSpace._id, periodStart, periodEnd);
+    if (!schedule.available) {
+      return { failure: { code: errorCodes.BIZ_SPACE_UNAVAILABLE, status: 400, message: schedule.reason } };
+    }
+
+    const conflict = await hasBookingConflict(parkingSpace._id, periodStart, periodEnd, null, { holdUserId: subscription.user_id });
+    if (conflict) {
+      return { failure: { code: errorCodes.BIZ_BOOKING_CONFLICT, status: 409, message: 'Parking space is not free for the whole month' } };
+    }
+
+    booking = await Booking.create({
+      booking_number: generateBookingNumber(),
+      user_id: subscription.user_id,
+      owner_id: parkingSpace.owner_id,
+      space_id: parkingSpace._id,
+      vehicle_id: subscription.vehicle_id,
+      subscription_id: subscription._id,
+      start_time: periodStart,
+      end_time: periodEnd,
+      duration_hours: durationHours,
+      ...bookingPriceFields(quote),
+      status: 'pending',
+      payment_status: 'pending',
+      booking_type: 'instant',
+      payment_expires_at: await getPaymentExpiry(new Date()),
+      cancellation_policy: getPolicySnapshot(parkingSpace)
+    });
+  } finally {
+    await releaseSpaceLock(parkingSpace._id, lockToken);
+  }
+
+  await recordBookingsCreated([booking], {
+    actor,
+    reason: `Month ${subscription.cycle_count + 1} of subscription ${subscription.subscription_number}`
+  });
+
+  const { payment, failure_reason: failureReason } = await chargeDefaultPaymentMethod({
+    user_id: subscription.user_id,
+    booking_id: booking._id,
+    amount: booking.total_amount
+  });
+
+  if (failureReason) {
+    booking.status = 'cancelled';
+    booking.payment_status = 'failed';
+    booking.cancellation_reason = `Subscription payment failed: ${failureReason}`;
+    booking.cancelled_at = new Date();
+    await booking.save();
+    await recordStatusChange(booking._id, 'pending', 'cancelled', { actor, reason: booking.cancellation_reason });
+    await releaseToWaitlist(booking);
+
+    return { booking, payment, failure_reason: failureReason };
+  }
+
+  booking.status = 'confirmed';
+  booking.payment_status = 'paid';
+  booking.amount_paid = booking.total_amount;
+  await booking.save();
+  await assignVerificationCode(booking._id);
+  await recordStatusChange(booking._id, 'pending', 'confirmed', { actor, reason: `Payment ${payment.payment_number} succeeded` });
+
+  return { booking, payment, failure_reason: null };
+};
+
+/**
+ * Start the next period of a subscription
+ * On success the subscription moves to the new period. A declined charge or
+ * a space that is no longer free pauses renewals until the driver resumes.
+ * @param {Object} subscription - Subscription document
+ * @param {Date} periodStart - Start of the period to book
+ * @param {Object} options
+ * @param {Object} options.actor - User triggering the period (null for the renewal job)
+ * @param {boolean} options.pauseOnUnavailable - Pause instead of only reporting when the slot cannot be booked
+ * @returns {Object} { renewed, busy, booking, payment, failure_reason, failure }
+ *   busy is true when another renewal of the subscription is already running
+ */
+const startSubscriptionPeriod = async (subscription, periodStart, { actor = null, pauseOnUnavailable = true } = {}) => {
+  if (!(await claimSubscriptionRenewal(subscription, new Date()))) {
+    return {
+      renewed: false,
+      busy: true,
+      failure: { code: errorCodes.REQ_CONFLICT, status: 409, message: 'Subscription is already being renewed' }
+    };
+  }
+
+  const result = await bookSubscriptionPeriod(subscription, periodStart, actor);
+  const now = new Date();
+
+  if (result.failure && !pauseOnUnavailable) {
+    await Subscription.updateOne({ _id: subscription._id }, { $set: { renewal_claimed_until: null } });
+    subscription.renewal_claimed_until = null;
+    return { renewed: false, failure: result.failure };
+  }
+
+  if (result.failure || result.failure_reason) {
+    const reason = result.failure ? result.failure.message : result.failure_reason;
+
+    subscription.status = 'paused';
+    subscription.paused_at = now;
+    subscription.last_charge_error = reason;
+    subscription.renewal_claimed_until = null;
+    await subscription.save();
+
+    await notify({
+      user_id: subscription.user_id,
+      notification_type: 'subscription_paused',
+      title: 'Subscription paused',
+      message: `We could not start the next month of subscription ${subscription.subscription_number} (${reason}). Renewals are paused until you resume the subscription.`,
+      reference_id: subscription._id
+    });
+
+    return { renewed: false, booking: result.booking, payment: result.payment, failure_reason: reason, failure: result.failure };
+  }
+
+  const isRenewal = subscription.cycle_count > 0;
+
+  subscription.status = 'active';
+  subscription.current_period_start = result.booking.start_time;
+  subscription.current_period_end = result.booking.end_time;
+  subscription.current_booking_id = result.booking._id;
+  subscription.monthly_amount = result.booking.total_amount;
+  subscription.cycle_count += 1;
+  subscription.paused_at = null;
+  subscription.last_charge_error = null;
+  subscription.renewal_claimed_until = null;
+  await subscription.save();
+
+  if (isRenewal) {
+    await notify({
+      user_id: subscription.user_id,
+      notification_type: 'subscription_renewed',
+      title: 'Subscription renewed',
+      message: `Subscription ${subscription.subscription_number} renewed until ${subscription.current_period_end.toISOString()}. ${result.booking.total_amount} USD was charged to your default payment method.`,
+      reference_id: subscription._id
+    });
+  }
+
+  return { renewed: true, booking: result.booking, payment: result.payment, failure_reason: null };
+};
+
+module.exports = {
+  getMonthlyPrice,
+  addBillingMonth,
+  startSubscriptionPeriod
+};
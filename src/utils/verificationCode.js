@@ -0,0 +1,127 @@
+/**
+ * Verification Code Helper
+ * Generates booking check-in codes and signs/verifies QR check-in payloads
+ * and one-tap extension links
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Booking = require('../models/Booking');
+
+const QR_PURPOSE = 'booking_check_in';
+const EXTEND_PURPOSE = 'booking_extend';
+
+const getSigningSecret = () => process.env.QR_SIGNING_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Generate a random 6-digit verification code
+ */
+const generateVerificationCode = () => {
+  return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+};
+
+/**
+ * Give a confirmed booking its verification code
+ * Conditional update so re-confirmations (webhooks, verify retries) keep the original code
+ */
+const assignVerificationCode = async (bookingId) => {
+  await Booking.updateOne(
+    { _id: bookingId, verification_code: null },
+    { $set: { verification_code: generateVerificationCode() } }
+  );
+};
+
+/**
+ * Compare a presented code with the booking's code in constant time
+ * Both sides are compared as equal-length buffers so the time taken does
+ * not reveal how many leading digits were right.
+ * @returns {boolean} true when the codes match
+ */
+const verificationCodesMatch = (presentedCode, expectedCode) => {
+  if (!presentedCode || !expectedCode) return false;
+
+  const presented = Buffer.from(String(presentedCode));
+  const expected = Buffer.from(String(expectedCode));
+  if (presented.length !== expected.length) return false;
+
+  return crypto.timingSafeEqual(presented, expected);
+};
+
+/**
+ * Sign a QR payload carrying the booking ID and its verification code
+ * The payload stays valid until the booking's end time
+ */
+const signCheckInPayload = (booking, verificationCode) => {
+  const expiresAt = Math.floor(new Date(booking.end_time).getTime() / 1000);
+
+  return jwt.sign({
+    purpose: QR_PURPOSE,
+    booking_id: booking._id.toString(),
+    verification_code: verificationCode,
+    exp: expiresAt
+  }, getSigningSecret());
+};
+
+/**
+ * Verify a scanned QR payload
+ * @returns {Object|null} { booking_id, verification_code } or null when invalid or expired
+ */
+const verifyCheckInPayload = (payload) => {
+  try {
+    const decoded = jwt.verify(payload, getSigningSecret());
+    if (decoded.purpose !== QR_PURPOSE) return null;
+
+    return {
+      booking_id: decoded.booking_id,
+      verification_code: decoded.verification_code
+    };
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Sign a one-tap extension token for the booking holder
+ * The token is tied to the booking's current end time, so it works once:
+ * after an extension (or any other end time change) it no longer matches.
+ */
+const signExtendToken = (booking) => {
+  const endTime = new Date(booking.end_time);
+
+  return jwt.sign({
+    purpose: EXTEND_PURPOSE,
+    booking_id: booking._id.toString(),
+    user_id: booking.user_id.toString(),
+    end_time: endTime.toISOString(),
+    exp: Math.floor(endTime.getTime() / 1000)
+  }, getSigningSecret());
+};
+
+/**
+ * Verify a one-tap extension token
+ * @returns {Object|null} { booking_id, user_id, end_time } or null when invalid or expired
+ */
+const verifyExtendToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getSigningSecret());
+    if (decoded.purpose !== EXTEND_PURPOSE) return null;
+
+    return {
+      booking_id: decoded.booking_id,
+      user_id: decoded.user_id,
+      end_time: new Date(decoded.end_time)
+    };
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  generateVerificationCode,
+  assignVerificationCode,
+  verificationCodesMatch,
+  signCheckInPayload,
+  verifyCheckInPayload,
+  signExtendToken,
+  verifyExtendToken
+};
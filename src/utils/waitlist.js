@@ -0,0 +1,209 @@
+/**
+ * Waitlist
+ * Offers freed parking slots to waitlisted drivers as time-limited holds
+ */
+
+const WaitlistEntry = require('../models/WaitlistEntry');
+const ParkingSpace = require('../models/ParkingSpace');
+const SpaceBlackout = require('../models/SpaceBlackout');
+const { getNumberSetting } = require('./settings');
+const { hasBookingConflict, findCapacityConflict } = require('./bookingHelpers');
+const { checkSpaceSchedule } = require('./availabilityHelpers');
+const { acquireSpaceLock, releaseSpaceLock } = require('./spaceLock');
+const { notify } = require('./notificationHelper');
+
+// Default minutes a waitlisted driver has to book a freed slot
+const DEFAULT_CLAIM_MINUTES = 30;
+
+// Entries still in the queue or holding a slot
+const OPEN_WAITLIST_STATUSES = ['waiting', 'offered'];
+
+// Most flagged spaces re-offered per job run
+const MAX_RECHECK_SPACES = 100;
+
+// Upper bound for re-offering every future window of a space
+const END_OF_TIME = new Date(8.64e15);
+
+/**
+ * Check whether waiting could ever free a space for a time range
+ * Bookings and holds release slots to the waitlist; blackouts from the
+ * owner's calendars never do, so a range they fill is not worth waiting for.
+ */
+const canWaitForSpace = async (space, startTime, endTime) => {
+  const blackouts = await SpaceBlackout.find({
+    space_id: space._id,
+    start_time: { $lt: endTime },
+    end_time: { $gt: startTime }
+  });
+
+  return !findCapacityConflict(blackouts, startTime, endTime, space.capacity || 1);
+};
+
+/**
+ * Offer a space to one waiting entry if the entry's whole window is free
+ * The check and the hold run under the space lock so no booking slips in between.
+ * @returns {boolean} Whether the entry now holds the space
+ */
+const tryOfferEntry = async (entry, space, now = new Date()) => {
+  const from = entry.start_time > now ? entry.start_time : now;
+  if (entry.end_time <= from) return false;
+
+  const lockToken = await acquireSpaceLock(space._id);
+  if (!lockToken) return false;
+
+  let expiresAt;
+  try {
+    const schedule = await checkSpaceSchedule(space._id, from, entry.end_time);
+    if (!schedule.available) return false;
+
+    if (await hasBookingConflict(space._id, from, entry.end_time, null, { capacity: space.capacity })) return false;
+
+    const claimMinutes = await getNumberSetting('waitlist.claim_minutes', DEFAULT_CLAIM_MINUTES);
+    expiresAt = new Date(Math.min(now.getTime() + claimMinutes * 60 * 1000, entry.end_time.getTime()));
+
+    // Conditional update so a driver leaving the waitlist at the same time wins
+    const result = await WaitlistEntry.updateOne(
+      { _id: entry._id, status: 'waiting' },
+      {
+        $set: {
+          status: 'offered',
+          offered_space_id: space._id,
+          offered_at: now,
+          offer_expires_at: expiresAt
+        }
+      }
+    );
+
+    if (result.modifiedCount === 0) return false;
+  } finally {
+    await releaseSpaceLock(space._id, lockToken);
+  }
+
+  await notify({
+    user_id: entry.user_id,
+    notification_type: 'waitlist_offer',
+    title: 'A parking spot opened up',
+    message: `Space ${space.space_number} is held for you from ${from.toISOString()} to ${entry.end_time.toISOString()}. Book it before ${expiresAt.toISOString()} to keep it.`,
+    reference_id: entry._id
+  });
+
+  return true;
+};
+
+/**
+ * Offer a freed time window on a space to the waitlist
+ * Waiting entries for the space, and for any space of its property, are
+ * walked in join order. Every entry whose whole window is now free gets a hold.
+ * @returns {number} Number of offers made
+ */
+const offerSpaceWindow = async (spaceId, startTime, endTime) => {
+  const now = new Date();
+  if (new Date(endTime) <= now) return 0;
+
+  const space = await ParkingSpace.findById(spaceId).select('property_id space_number status capacity');
+  if (!space || space.status !== 'active') return 0;
+
+  const candidates = await WaitlistEntry.find({
+    status: 'waiting',
+    $or: [
+      { space_id: space._id },
+      { space_id: null, property_id: space.property_id }
+    ],
+    start_time: { $lt: endTime },
+    end_time: { $gt: new Date(Math.max(now.getTime(), new Date(startTime).getTime())) }
+  }).sort({ created_at: 1 });
+
+  let offered = 0;
+  for (const entry of candidates) {
+    if (await tryOfferEntry(entry, space, now)) offered++;
+  }
+
+  return offered;
+};
+
+/**
+ * Hand a booking's slot to the waitlist once it stops occupying the space
+ * Called after cancellations, declines and expiries. Never throws.
+ */
+const releaseToWaitlist = async (booking) => {
+  try {
+    const spaceId = booking.space_id && booking.space_id._id ? booking.space_id._id : booking.space_id;
+    return await offerSpaceWindow(spaceId, booking.start_time, booking.end_time);
+  } catch (err) {
+    console.error('Release to waitlist error:', err);
+    return 0;
+  }
+};
+
+/**
+ * Turn a driver's holds on a space into a claimed booking
+ */
+const claimWaitlistHolds = async (userId, spaceId, booking) => {
+  return WaitlistEntry.updateMany(
+    {
+      user_id: userId,
+      offered_space_id: spaceId,
+      status: 'offered',
+      start_time: { $lt: booking.end_time },
+      end_time: { $gt: booking.start_time }
+    },
+    {
+      $set: {
+        status: 'claimed',
+        claimed_booking_id: booking._id,
+        claimed_at: new Date()
+      }
+    }
+  );
+};
+
+/**
+ * Flag a space for the process-waitlist job
+ * Called when time may have freed up without a booking being released
+ * (schedule and override edits, removed blackouts, more capacity). Never throws.
+ */
+const markSpaceForWaitlist = async (spaceId) => {
+  try {
+    await ParkingSpace.updateOne({ _id: spaceId }, { $set: { waitlist_recheck_at: new Date() } });
+  } catch (err) {
+    console.error('Mark space for waitlist error:', err);
+  }
+};
+
+/**
+ * Re-offer the spaces flagged with markSpaceForWaitlist to waiting entries
+ * Spaces nothing happened to are left alone, so the job does not contend
+ * for space locks with real bookings on every run.
+ * @returns {number} Number of offers made
+ */
+const offerFlaggedSpaces = async () => {
+  const now = new Date();
+  const spaces = await ParkingSpace.find({ waitlist_recheck_at: { $ne: null } })
+    .select('_id waitlist_recheck_at')
+    .sort({ waitlist_recheck_at: 1 })
+    .limit(MAX_RECHECK_SPACES);
+
+  let offered = 0;
+  for (const space of spaces) {
+    // Cleared before the offers run, so a change landing meanwhile flags the space again
+    const result = await ParkingSpace.updateOne(
+      { _id: space._id, waitlist_recheck_at: space.waitlist_recheck_at },
+      { $set: { waitlist_recheck_at: null } }
+    );
+
+    if (result.modifiedCount === 0) continue;
+    offered += await offerSpaceWindow(space._id, now, END_OF_TIME);
+  }
+
+  return offered;
+};
+
+module.exports = {
+  OPEN_WAITLIST_STATUSES,
+  canWaitForSpace,
+  offerSpaceWindow,
+  releaseToWaitlist,
+  claimWaitlistHolds,
+  markSpaceForWaitlist,
+  offerFlaggedSpaces
+};
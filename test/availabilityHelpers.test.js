@@ -0,0 +1,147 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  toMinutes,
+  formatMinutes,
+  splitByDay,
+  isOvernight,
+  windowsOverlap,
+  mergeRanges,
+  subtractRanges,
+  checkSchedule,
+  getScheduleIntervals
+} = require('../src/utils/availabilityHelpers');
+
+// 2025-10-20 is a Monday (day_of_week 1)
+const at = (date, time) => new Date(`2025-10-${date}T${time}:00Z`);
+const window = (day_of_week, available_from, available_to, is_available = true) => ({ day_of_week, available_from, available_to, is_available });
+const weekdays = [1, 2, 3, 4, 5].map(day => window(day, '08:00', '18:00'));
+
+describe('toMinutes / formatMinutes', () => {
+  it('treats 23:59 as the end of the day only for end times', () => {
+    assert.equal(toMinutes('23:59'), 1439);
+    assert.equal(toMinutes('23:59', true), 1440);
+    assert.equal(formatMinutes(1440), '24:00');
+    assert.equal(formatMinutes(90), '01:30');
+  });
+});
+
+describe('splitByDay', () => {
+  it('splits a range at UTC midnight', () => {
+    assert.deepEqual(splitByDay(at('20', '22:00'), at('21', '02:00')), [
+      { date: '2025-10-20', day_of_week: 1, from: 1320, to: 1440 },
+      { date: '2025-10-21', day_of_week: 2, from: 0, to: 120 }
+    ]);
+  });
+
+  it('does not add an empty segment for a range ending at midnight', () => {
+    assert.equal(splitByDay(at('20', '22:00'), at('21', '00:00')).length, 1);
+  });
+});
+
+describe('windowsOverlap', () => {
+  it('detects overnight windows spilling into the next day', () => {
+    assert.equal(isOvernight(window(1, '18:00', '08:00')), true);
+    assert.equal(windowsOverlap(window(1, '18:00', '08:00'), window(2, '07:00', '09:00')), true);
+    assert.equal(windowsOverlap(window(1, '18:00', '08:00'), window(2, '08:00', '09:00')), false);
+  });
+
+  it('wraps Saturday nights into Sunday', () => {
+    assert.equal(windowsOverlap(window(6, '22:00', '06:00'), window(0, '05:00', '07:00')), true);
+  });
+});
+
+describe('mergeRanges / subtractRanges', () => {
+  it('merges overlapping and touching ranges', () => {
+    assert.deepEqual(mergeRanges([{ from: 5, to: 8 }, { from: 0, to: 2 }, { from: 2, to: 4 }]), [{ from: 0, to: 4 }, { from: 5, to: 8 }]);
+  });
+
+  it('cuts ranges out', () => {
+    assert.deepEqual(subtractRanges([{ from: 0, to: 10 }], [{ from: 2, to: 4 }, { from: 8, to: 12 }]), [{ from: 0, to: 2 }, { from: 4, to: 8 }]);
+  });
+});
+
+describe('checkSchedule', () => {
+  it('treats spaces without a schedule as always available', () => {
+    assert.deepEqual(checkSchedule([], at('20', '01:00'), at('20', '03:00')), { available: true });
+  });
+
+  it('accepts ranges inside the weekly windows', () => {
+    assert.equal(checkSchedule(weekdays, at('20', '09:00'), at('20', '17:00')).available, true);
+  });
+
+  it('rejects ranges outside the weekly windows', () => {
+    const result = checkSchedule(weekdays, at('20', '17:00'), at('20', '19:00'));
+
+    assert.equal(result.available, false);
+    assert.equal(result.date, '2025-10-20');
+    assert.equal(result.windows[0].available_from, '08:00');
+  });
+
+  it('rejects days without any window', () => {
+    const result = checkSchedule(weekdays, at('25', '09:00'), at('25', '10:00'));
+
+    assert.equal(result.available, false);
+    assert.deepEqual(result.windows, []);
+  });
+
+  it('rejects explicitly unavailable windows', () => {
+    const schedules = [...weekdays, window(1, '12:00', '13:00', false)];
+    const result = checkSchedule(schedules, at('20', '11:00'), at('20', '14:00'));
+
+    assert.equal(result.available, false);
+    assert.equal(result.window.available_from, '12:00');
+  });
+
+  it('carries overnight windows across midnight', () => {
+    const nights = [window(1, '18:00', '08:00')];
+
+    assert.equal(checkSchedule(nights, at('20', '20:00'), at('21', '07:00')).available, true);
+    assert.equal(checkSchedule(nights, at('20', '20:00'), at('21', '09:00')).available, false);
+    assert.equal(checkSchedule(nights, at('21', '20:00'), at('21', '22:00')).available, false);
+  });
+
+  it('closes blacked out days', () => {
+    const overrides = [{ override_type: 'blackout', start_date: '2025-10-20', end_date: '2025-10-21', reason: 'Resurfacing', windows: [] }];
+    const result = checkSchedule(weekdays, at('21', '09:00'), at('21', '10:00'), overrides);
+
+    assert.equal(result.available, false);
+    assert.match(result.reason, /Resurfacing/);
+    assert.equal(checkSchedule(weekdays, at('22', '09:00'), at('22', '10:00'), overrides).available, true);
+  });
+
+  it('opens extra windows on top of the weekly schedule', () => {
+    const overrides = [{ override_type: 'extra', start_date: '2025-10-25', end_date: '2025-10-25', windows: [{ available_from: '10:00', available_to: '14:00' }] }];
+
+    assert.equal(checkSchedule(weekdays, at('25', '10:00'), at('25', '12:00'), overrides).available, true);
+    assert.equal(checkSchedule(weekdays, at('25', '13:00'), at('25', '15:00'), overrides).available, false);
+  });
+
+  it('replaces the weekly windows and stops overnight carry-over', () => {
+    const nights = [window(1, '18:00', '08:00'), window(2, '18:00', '08:00')];
+    const overrides = [{ override_type: 'replace', start_date: '2025-10-20', end_date: '2025-10-20', windows: [{ available_from: '09:00', available_to: '12:00' }] }];
+
+    assert.equal(checkSchedule(nights, at('20', '10:00'), at('20', '11:00'), overrides).available, true);
+    assert.equal(checkSchedule(nights, at('20', '20:00'), at('20', '21:00'), overrides).available, false);
+    assert.equal(checkSchedule(nights, at('21', '06:00'), at('21', '07:00'), overrides).available, false);
+  });
+});
+
+describe('getScheduleIntervals', () => {
+  it('lists open intervals and merges them across midnight', () => {
+    const nights = [window(1, '18:00', '08:00')];
+
+    assert.deepEqual(getScheduleIntervals(nights, at('20', '00:00'), at('22', '00:00')), [
+      { from: at('20', '18:00').getTime(), to: at('21', '08:00').getTime() }
+    ]);
+  });
+
+  it('leaves out unavailable windows', () => {
+    const schedules = [window(1, '08:00', '18:00'), window(1, '12:00', '13:00', false)];
+
+    assert.deepEqual(getScheduleIntervals(schedules, at('20', '00:00'), at('21', '00:00')), [
+      { from: at('20', '08:00').getTime(), to: at('20', '12:00').getTime() },
+      { from: at('20', '13:00').getTime(), to: at('20', '18:00').getTime() }
+    ]);
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  findCapacityConflict,
+  getFullyBookedRanges,
+  calculateCancellationRefund,
+  getPaymentShares
+} = require('../src/utils/bookingHelpers');
+
+const at = (time) => new Date(`2025-10-20T${time}:00Z`);
+const interval = (from, to, extra = {}) => ({ start_time: at(from), end_time: at(to), ...extra });
+
+describe('findCapacityConflict', () => {
+  const occupants = [
+    interval('09:00', '11:00', { booking_number: 'BK-1' }),
+    interval('10:00', '12:00', { booking_number: 'BK-2' }),
+    interval('13:00', '14:00', { booking_number: 'BK-3' })
+  ];
+
+  it('returns the occupant filling the only unit', () => {
+    assert.equal(findCapacityConflict(occupants, at('13:30'), at('15:00')).booking_number, 'BK-3');
+  });
+
+  it('ignores occupants that only touch the range', () => {
+    assert.equal(findCapacityConflict(occupants, at('12:00'), at('13:00')), null);
+  });
+
+  it('accepts a range while a unit is left at every moment', () => {
+    assert.equal(findCapacityConflict(occupants, at('08:00'), at('10:00'), 2), null);
+    assert.equal(findCapacityConflict(occupants, at('11:00'), at('14:00'), 2), null);
+  });
+
+  it('reports the fullest moment when every unit is taken', () => {
+    assert.equal(findCapacityConflict(occupants, at('08:00'), at('12:00'), 2).booking_number, 'BK-1');
+    assert.equal(findCapacityConflict(occupants, at('08:00'), at('12:00'), 3), null);
+  });
+
+  it('does not stack back-to-back occupants', () => {
+    const backToBack = [interval('09:00', '10:00'), interval('10:00', '11:00')];
+    assert.equal(findCapacityConflict(backToBack, at('09:00'), at('11:00'), 2), null);
+  });
+});
+
+describe('getFullyBookedRanges', () => {
+  it('lists the ranges where every unit is taken', () => {
+    const busy = [interval('09:00', '11:00'), interval('10:00', '12:00'), interval('10:30', '11:30')];
+
+    assert.deepEqual(getFullyBookedRanges(busy, 2), [{ from: at('10:00').getTime(), to: at('11:30').getTime() }]);
+    assert.deepEqual(getFullyBookedRanges(busy, 3), [{ from: at('10:30').getTime(), to: at('11:00').getTime() }]);
+  });
+
+  it('joins back-to-back bookings into one range', () => {
+    const busy = [interval('09:00', '10:00'), interval('10:00', '11:00')];
+
+    assert.deepEqual(getFullyBookedRanges(busy), [{ from: at('09:00').getTime(), to: at('11:00').getTime() }]);
+  });
+
+  it('returns nothing when the space is never full', () => {
+    assert.deepEqual(getFullyBookedRanges([interval('09:00', '10:00')], 2), []);
+  });
+});
+
+describe('calculateCancellationRefund', () => {
+  const booking = {
+    start_time: at('12:00'),
+    total_amount: 100,
+    cancellation_policy: {
+      name: 'moderate',
+      tiers: [
+        { hours_before: 48, refund_percentage: 100 },
+        { hours_before: 24, refund_percentage: 50 }
+      ]
+    }
+  };
+  const hoursBefore = (hours) => new Date(at('12:00').getTime() - hours * 60 * 60 * 1000);
+
+  it('applies the tier matching the time left before start', () => {
+    const refund = calculateCancellationRefund(booking, hoursBefore(30), 100);
+
+    assert.equal(refund.refundPercentage, 50);
+    assert.equal(refund.refundAmount, 50);
+    assert.equal(refund.hoursUntilStart, 30);
+    assert.deepEqual(refund.tier, { hours_before: 24, refund_percentage: 50 });
+  });
+
+  it('refunds nothing past the last tier', () => {
+    assert.equal(calculateCancellationRefund(booking, hoursBefore(10), 100).refundAmount, 0);
+  });
+
+  it('bases the refund on the refundable amount, not total_amount', () => {
+    assert.equal(calculateCancellationRefund(booking, hoursBefore(72), 60.5).refundAmount, 60.5);
+    assert.equal(calculateCancellationRefund(booking, hoursBefore(30), 33.35).refundAmount, 16.68);
+  });
+
+  it('falls back to the moderate policy for bookings without a snapshot', () => {
+    const refund = calculateCancellationRefund({ ...booking, cancellation_policy: undefined }, hoursBefore(30), 100);
+
+    assert.equal(refund.policy, 'moderate');
+    assert.equal(refund.refundAmount, 50);
+  });
+});
+
+describe('getPaymentShares', () => {
+  const payment = (id, amount, extra = {}) => ({ _id: id, amount, ...extra });
+
+  it('counts the booking payment and its top-ups in full', () => {
+    const payments = [payment('p1', 30), payment('p2', 12, { payment_purpose: 'top_up' })];
+    const shares = getPaymentShares({ amount_paid: 42, total_amount: 42, extensions: [] }, payments);
+
+    assert.deepEqual(shares.map(share => share.amount), [30, 12]);
+  });
+
+  it('takes a group member share of the combined payment from amount_paid', () => {
+    const payments = [payment('group', 100, { group_id: 'g1' }), payment('top-up', 10)];
+    const shares = getPaymentShares({ group_id: 'g1', amount_paid: 45, total_amount: 45, extensions: [] }, payments);
+
+    assert.deepEqual(shares.map(share => share.amount), [35, 10]);
+  });
+
+  it('leaves out extensions that were never collected on older bookings', () => {
+    const booking = { group_id: 'g1', amount_paid: null, total_amount: 50, extensions: [{ extension_price: 15 }] };
+    const shares = getPaymentShares(booking, [payment('group', 100, { group_id: 'g1' })]);
+
+    assert.deepEqual(shares.map(share => share.amount), [35]);
+  });
+
+  it('never takes more than the combined payment', () => {
+    const shares = getPaymentShares({ group_id: 'g1', amount_paid: 80, extensions: [] }, [payment('group', 60, { group_id: 'g1' })]);
+
+    assert.equal(shares[0].amount, 60);
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateUnusedTimeRefund } = require('../src/utils/earlyCheckout');
+
+const space = { price_per_hour: 10, price_per_day: 60 };
+const pricingRates = { commission_rate: 0.15, service_fee_rate: 0.05, service_fee_fixed: 0, tax_rate: 0 };
+const start = new Date('2025-10-20T09:00:00Z');
+const hoursAfterStart = (hours) => new Date(start.getTime() + hours * 60 * 60 * 1000);
+
+// A booking of the given length priced with the space's daily rate
+const dailyBooking = (days, extra = {}) => ({
+  start_time: start,
+  end_time: hoursAfterStart(days * 24),
+  duration_hours: days * 24,
+  base_price: days * 60,
+  discount_amount: 0,
+  pricing_rates: pricingRates,
+  ...extra
+});
+
+describe('calculateUnusedTimeRefund', () => {
+  it('reprices the used time at its own rate tier', async () => {
+    const refund = await calculateUnusedTimeRefund(dailyBooking(3), space, hoursAfterStart(30), { fee_percentage: 0 }, 189);
+
+    // 30 hours are two started days (120 + 5% fee), not 30/72 of the booked days
+    assert.equal(refund.used_hours, 30);
+    assert.equal(refund.unused_hours, 42);
+    assert.equal(refund.used_amount, 126);
+    assert.equal(refund.refund_amount, 63);
+  });
+
+  it('never prices the used time above the booked subtotal', async () => {
+    const refund = await calculateUnusedTimeRefund(dailyBooking(2), space, hoursAfterStart(20), { fee_percentage: 10 }, 126);
+
+    assert.equal(refund.used_amount, 126);
+    assert.equal(refund.unused_amount, 0);
+    assert.equal(refund.refund_amount, 0);
+  });
+
+  it('keeps the early check-out fee from the unused amount', async () => {
+    const refund = await calculateUnusedTimeRefund(dailyBooking(2), space, hoursAfterStart(5), { fee_percentage: 10 }, 126);
+
+    assert.equal(refund.used_amount, 52.5);
+    assert.equal(refund.unused_amount, 73.5);
+    assert.equal(refund.fee_amount, 7.35);
+    assert.equal(refund.refund_amount, 66.15);
+  });
+
+  it('keeps the booking discount on the used time', async () => {
+    const booking = dailyBooking(2, { discount_amount: 20 });
+    const refund = await calculateUnusedTimeRefund(booking, space, hoursAfterStart(5), { fee_percentage: 0 }, 105);
+
+    assert.equal(refund.used_amount, 31.5);
+    assert.equal(refund.refund_amount, 73.5);
+  });
+
+  it('refunds from what was paid, not from total_amount', async () => {
+    const booking = dailyBooking(2, { total_amount: 200 });
+    const refund = await calculateUnusedTimeRefund(booking, space, hoursAfterStart(5), { fee_percentage: 0 }, 60);
+
+    assert.equal(refund.refund_amount, 7.5);
+  });
+});
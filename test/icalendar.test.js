@@ -0,0 +1,132 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  formatDateTime,
+  escapeText,
+  foldLine,
+  buildCalendar,
+  bookingEventUid,
+  eventStatusFor,
+  bookingSequence,
+  parseDateValue,
+  parseDuration,
+  parseCalendar
+} = require('../src/utils/icalendar');
+
+const start = new Date('2025-10-20T09:00:00Z');
+const end = new Date('2025-10-20T17:30:00Z');
+
+describe('formatting', () => {
+  it('formats UTC date-times', () => {
+    assert.equal(formatDateTime(start), '20251020T090000Z');
+  });
+
+  it('escapes text values', () => {
+    assert.equal(escapeText('A; B, C\\D\nE'), 'A\\; B\\, C\\\\D\\nE');
+  });
+
+  it('folds long lines to 75 octets', () => {
+    const folded = foldLine(`SUMMARY:${'é'.repeat(60)}`).split('\r\n');
+
+    assert.ok(folded.length > 1);
+    assert.ok(folded.every(line => Buffer.byteLength(line) <= 75));
+    assert.ok(folded.slice(1).every(line => line.startsWith(' ')));
+  });
+});
+
+describe('booking events', () => {
+  it('keeps the UID stable per booking', () => {
+    assert.equal(bookingEventUid({ booking_number: 'BK-1' }), 'BK-1@parkbnb');
+  });
+
+  it('maps booking statuses onto event statuses', () => {
+    assert.equal(eventStatusFor('pending'), 'TENTATIVE');
+    assert.equal(eventStatusFor('active'), 'CONFIRMED');
+    assert.equal(eventStatusFor('expired'), 'CANCELLED');
+  });
+
+  it('bumps the sequence as the booking is updated', () => {
+    const created = new Date('2025-10-01T00:00:00Z');
+
+    assert.equal(bookingSequence({ created_at: created, updated_at: new Date('2025-10-01T00:02:00Z') }), 120);
+    assert.equal(bookingSequence({ created_at: created }), 0);
+  });
+});
+
+describe('parseDateValue', () => {
+  it('reads UTC and floating date-times as UTC', () => {
+    assert.deepEqual(parseDateValue('20251020T090000Z'), { date: start, isDate: false });
+    assert.deepEqual(parseDateValue('20251020T090000'), { date: start, isDate: false });
+  });
+
+  it('converts TZID date-times, including across DST', () => {
+    assert.equal(parseDateValue('20250701T120000', { TZID: 'Europe/Berlin' }).date.toISOString(), '2025-07-01T10:00:00.000Z');
+    assert.equal(parseDateValue('20251201T120000', { TZID: 'Europe/Berlin' }).date.toISOString(), '2025-12-01T11:00:00.000Z');
+  });
+
+  it('reads unknown time zones as UTC', () => {
+    assert.equal(parseDateValue('20251020T090000', { TZID: 'Not/AZone' }).date.getTime(), start.getTime());
+  });
+
+  it('recognises all-day dates and rejects malformed values', () => {
+    assert.equal(parseDateValue('20251020').isDate, true);
+    assert.equal(parseDateValue('2025-10-20'), null);
+  });
+});
+
+describe('parseDuration', () => {
+  it('parses weeks, days and times', () => {
+    assert.equal(parseDuration('P1W'), 7 * 24 * 60 * 60 * 1000);
+    assert.equal(parseDuration('PT2H30M'), 150 * 60 * 1000);
+    assert.equal(parseDuration('-P1D'), -24 * 60 * 60 * 1000);
+    assert.equal(parseDuration('2 hours'), null);
+  });
+});
+
+describe('parseCalendar', () => {
+  it('reads back the calendars it builds', () => {
+    const ics = buildCalendar('Bookings', [{
+      uid: 'BK-1@parkbnb',
+      start,
+      end,
+      summary: 'Parking, space A-101; level 2',
+      status: 'CONFIRMED',
+      description: 'x'.repeat(200)
+    }]);
+    const { events, skipped } = parseCalendar(ics);
+
+    assert.deepEqual(skipped, []);
+    assert.deepEqual(events, [{ uid: 'BK-1@parkbnb', start_time: start, end_time: end, summary: 'Parking, space A-101; level 2' }]);
+  });
+
+  it('ends events by DURATION or after one day for all-day events', () => {
+    const { events } = parseCalendar([
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT', 'UID:a', 'DTSTART:20251020T090000Z', 'DURATION:PT2H', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:b', 'DTSTART;VALUE=DATE:20251021', 'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n'));
+
+    assert.equal(events[0].end_time.toISOString(), '2025-10-20T11:00:00.000Z');
+    assert.equal(events[1].end_time.toISOString(), '2025-10-22T00:00:00.000Z');
+  });
+
+  it('skips cancelled, recurring and zero-length events', () => {
+    const { events, skipped } = parseCalendar([
+      'BEGIN:VEVENT', 'UID:cancelled', 'DTSTART:20251020T090000Z', 'DTEND:20251020T100000Z', 'STATUS:CANCELLED', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:weekly', 'DTSTART:20251020T090000Z', 'DTEND:20251020T100000Z', 'RRULE:FREQ=WEEKLY', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:empty', 'DTSTART:20251020T090000Z', 'DTEND:20251020T090000Z', 'END:VEVENT'
+    ].join('\n'));
+
+    assert.deepEqual(events, []);
+    assert.deepEqual(skipped.map(s => s.uid), ['cancelled', 'weekly', 'empty']);
+  });
+
+  it('gives events without a UID a stable generated one', () => {
+    const ics = 'BEGIN:VEVENT\nDTSTART:20251020T090000Z\nDTEND:20251020T100000Z\nSUMMARY:Owner use\nEND:VEVENT';
+    const first = parseCalendar(ics).events[0].uid;
+
+    assert.match(first, /^generated-[0-9a-f]{40}$/);
+    assert.equal(parseCalendar(ics).events[0].uid, first);
+  });
+});
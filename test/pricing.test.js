@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  roundAmount,
+  getRates,
+  calculateBaseFare,
+  calculatePromoDiscount,
+  buildPriceQuote,
+  bookingPriceFields
+} = require('../src/utils/pricing');
+
+const space = { price_per_hour: 10, price_per_day: 60, price_per_month: 900 };
+const rates = { commission_rate: 0.15, service_fee_rate: 0.05, service_fee_fixed: 0.5, tax_rate: 0.1 };
+
+describe('getRates', () => {
+  it('prefers the price_per_* fields over the legacy aliases', () => {
+    assert.deepEqual(getRates({ ...space, hourly_rate: 99 }), { hourly: 10, daily: 60, monthly: 900 });
+  });
+
+  it('falls back to 24x hourly and 30x daily', () => {
+    assert.deepEqual(getRates({ hourly_rate: 2 }), { hourly: 2, daily: 48, monthly: 1440 });
+  });
+});
+
+describe('calculateBaseFare', () => {
+  it('bills up to 24 hours per hour', () => {
+    assert.deepEqual(calculateBaseFare(space, 2.5), { tier: 'hourly', quantity: 2.5, unit_price: 10, amount: 25 });
+    assert.equal(calculateBaseFare(space, 24).tier, 'hourly');
+  });
+
+  it('bills up to 30 days per started day', () => {
+    assert.deepEqual(calculateBaseFare(space, 25), { tier: 'daily', quantity: 2, unit_price: 60, amount: 120 });
+    assert.equal(calculateBaseFare(space, 24 * 30).quantity, 30);
+  });
+
+  it('bills longer stays per started month', () => {
+    assert.deepEqual(calculateBaseFare(space, 24 * 31), { tier: 'monthly', quantity: 2, unit_price: 900, amount: 1800 });
+  });
+});
+
+describe('calculatePromoDiscount', () => {
+  it('applies percentages up to the maximum discount', () => {
+    assert.equal(calculatePromoDiscount({ promo_type: 'percentage', discount_value: 20 }, 50, space), 10);
+    assert.equal(calculatePromoDiscount({ promo_type: 'percentage', discount_value: 20, max_discount_amount: 5 }, 50, space), 5);
+  });
+
+  it('prices free hours at the hourly rate', () => {
+    assert.equal(calculatePromoDiscount({ promo_type: 'free_hours', discount_value: 2 }, 50, space), 20);
+  });
+
+  it('never discounts more than the subtotal', () => {
+    assert.equal(calculatePromoDiscount({ promo_type: 'fixed_amount', discount_value: 80 }, 50, space), 50);
+  });
+});
+
+describe('buildPriceQuote', () => {
+  it('adds the service fee and tax to the discounted subtotal', async () => {
+    const quote = await buildPriceQuote(space, 3, { fixedDiscount: 5, rates });
+
+    assert.equal(quote.subtotal, 30);
+    assert.equal(quote.discount_amount, 5);
+    assert.equal(quote.service_fee, 1.75);
+    assert.equal(quote.tax_amount, 2.68);
+    assert.equal(quote.total, 29.43);
+    assert.equal(quote.platform_commission, 3.75);
+    assert.equal(quote.owner_payout, 21.25);
+    assert.deepEqual(quote.rates, rates);
+  });
+
+  it('applies a promo instead of the fixed discount', async () => {
+    const quote = await buildPriceQuote(space, 3, { promo: { code: 'SAVE10', promo_type: 'percentage', discount_value: 10 }, fixedDiscount: 20, rates });
+
+    assert.equal(quote.discount_amount, 3);
+    assert.deepEqual(quote.discount, { code: 'SAVE10', promo_type: 'percentage', amount: 3 });
+  });
+
+  it('charges no service fee when nothing is left to pay', async () => {
+    const quote = await buildPriceQuote(space, 1, { fixedDiscount: 10, rates });
+
+    assert.equal(quote.service_fee, 0);
+    assert.equal(quote.total, 0);
+  });
+
+  it('uses a given base fare instead of the duration tiers', async () => {
+    const baseFare = { tier: 'subscription', quantity: 1, unit_price: 100, amount: 100 };
+    const quote = await buildPriceQuote(space, 720, { baseFare, rates });
+
+    assert.deepEqual(quote.line_items, [baseFare]);
+    assert.equal(quote.subtotal, 100);
+  });
+
+  it('maps onto the booking price fields', async () => {
+    const quote = await buildPriceQuote(space, 2, { rates });
+
+    assert.deepEqual(bookingPriceFields(quote), {
+      base_price: 20,
+      discount_amount: 0,
+      service_fee: 1.5,
+      tax_amount: 2.15,
+      platform_commission: 3,
+      owner_payout: 17,
+      total_amount: 23.65,
+      pricing_rates: rates
+    });
+  });
+});
+
+describe('roundAmount', () => {
+  it('rounds to cents', () => {
+    assert.equal(roundAmount(0.1 + 0.2), 0.3);
+    assert.equal(roundAmount(2.675), 2.68);
+  });
+});